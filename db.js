@@ -13,6 +13,7 @@
 import dotenv from "dotenv";
 import pkg from "pg";
 import crypto from "crypto";
+import { hashPassword } from "./utils/password.js";
 
 dotenv.config();
 const { Pool } = pkg;
@@ -393,6 +394,593 @@ export async function runMigrations() {
       console.log("[DB] Default maintenance plans seeded (VAT 2025 pricing).");
     }
 
+    /* ============================================================
+       👥 Admin Users & Roles
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'developer'
+          CHECK (role IN ('owner','bookkeeper','developer')),
+        active BOOLEAN DEFAULT TRUE,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Bootstrap the first owner from the legacy shared ADMIN_PASS
+    const { rows: adminCountRows } = await pool.query(
+      "SELECT COUNT(*)::int AS c FROM admin_users;"
+    );
+    if ((adminCountRows?.[0]?.c ?? 0) === 0 && process.env.ADMIN_PASS) {
+      await pool.query(
+        `INSERT INTO admin_users (name, email, password_hash, role)
+         VALUES ($1,$2,$3,'owner');`,
+        [
+          process.env.ADMIN_NAME || "Admin",
+          (process.env.ADMIN_EMAIL || "info@pjhwebservices.co.uk").toLowerCase(),
+          await hashPassword(process.env.ADMIN_PASS),
+        ]
+      );
+      console.log("[DB] Bootstrap owner account created from ADMIN_PASS.");
+    }
+
+    /* ============================================================
+       🔑 Two-Factor Auth (TOTP + recovery codes + role policy)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE admin_users
+        ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+      CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        admin_user_id INT NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(128) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_user ON admin_recovery_codes(admin_user_id);
+
+      CREATE TABLE IF NOT EXISTS admin_role_policies (
+        role VARCHAR(20) PRIMARY KEY
+          CHECK (role IN ('owner','bookkeeper','developer')),
+        require_totp BOOLEAN DEFAULT FALSE,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    // Roles that can refund / run Direct Debit require 2FA unless overridden
+    const totpRoles = (process.env.REQUIRE_2FA_ROLES ?? "owner,bookkeeper")
+      .split(",")
+      .map((r) => r.trim())
+      .filter(Boolean);
+    for (const role of ["owner", "bookkeeper", "developer"]) {
+      await pool.query(
+        `INSERT INTO admin_role_policies (role, require_totp)
+         VALUES ($1,$2)
+         ON CONFLICT (role) DO NOTHING;`,
+        [role, totpRoles.includes(role)]
+      );
+    }
+
+    /* ============================================================
+       🔐 Admin Sessions
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id SERIAL PRIMARY KEY,
+        session_id VARCHAR(64) UNIQUE NOT NULL,
+        admin_user_id INT REFERENCES admin_users(id) ON DELETE CASCADE,
+        refresh_hash VARCHAR(128) NOT NULL,
+        ip VARCHAR(64),
+        user_agent TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT NOW(),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE admin_sessions
+        ADD COLUMN IF NOT EXISTS admin_user_id INT REFERENCES admin_users(id) ON DELETE CASCADE;
+
+      CREATE INDEX IF NOT EXISTS idx_admin_sessions_refresh ON admin_sessions(refresh_hash);
+    `);
+
+    /* ============================================================
+       🧑‍💼 Customer Portal (magic links + sessions)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_magic_links (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        ip VARCHAR(64),
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS customer_sessions (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        token_hash VARCHAR(128) UNIQUE NOT NULL,
+        ip VARCHAR(64),
+        user_agent TEXT,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_sessions_customer ON customer_sessions(customer_id);
+    `);
+
+    /* ============================================================
+       📜 Audit Log
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        actor_type VARCHAR(20) NOT NULL DEFAULT 'system',
+        actor_id INT,
+        actor_name VARCHAR(150),
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(64),
+        before JSONB,
+        after JSONB,
+        diff JSONB,
+        meta JSONB,
+        ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+    `);
+
+    /* ============================================================
+       🚦 Rate Limiting & Login Lockout
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        bucket_key VARCHAR(255) PRIMARY KEY,
+        hits INT NOT NULL DEFAULT 0,
+        window_start TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS login_lockouts (
+        identifier VARCHAR(255) PRIMARY KEY,
+        failures INT NOT NULL DEFAULT 0,
+        lockouts INT NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP,
+        last_failure_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated ON rate_limit_buckets(updated_at);
+    `);
+
+    /* ============================================================
+       ⏳ Quote Response Tokens (expiry + single use)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE quotes
+        ADD COLUMN IF NOT EXISTS valid_until DATE,
+        ADD COLUMN IF NOT EXISTS response_token_expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS response_token_used_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS response_token_revoked_at TIMESTAMP;
+
+      -- Legacy tokens: expire 30 days after the quote was created
+      UPDATE quotes
+      SET response_token_expires_at = created_at + INTERVAL '30 days'
+      WHERE response_token IS NOT NULL AND response_token_expires_at IS NULL;
+    `);
+
+    /* ============================================================
+       🗝️ API Keys (machine access)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        key_prefix VARCHAR(20) NOT NULL,
+        key_hash VARCHAR(128) UNIQUE NOT NULL,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+        last_used_at TIMESTAMP,
+        last_used_ip VARCHAR(64),
+        expires_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    /* ============================================================
+       📨 Quote History & Email Log (subject-access exports)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quote_history (
+        id SERIAL PRIMARY KEY,
+        quote_id INT REFERENCES quotes(id) ON DELETE CASCADE,
+        action VARCHAR(50) NOT NULL,
+        feedback TEXT,
+        actor VARCHAR(100),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_quote_history_quote ON quote_history(quote_id);
+
+      CREATE TABLE IF NOT EXISTS email_log (
+        id BIGSERIAL PRIMARY KEY,
+        to_address VARCHAR(255) NOT NULL,
+        subject VARCHAR(500),
+        attachments TEXT[] DEFAULT '{}',
+        message_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'sent'
+          CHECK (status IN ('sent','failed')),
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_log_to ON email_log(LOWER(to_address));
+    `);
+
+    /* ============================================================
+       🕶️ GDPR Erasure (anonymise, keep financial records)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS customer_erasure_requests (
+        id SERIAL PRIMARY KEY,
+        customer_id INT REFERENCES customers(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL
+          CHECK (status IN ('completed','blocked')),
+        reason TEXT,
+        blockers JSONB,
+        requested_by VARCHAR(150),
+        requested_at TIMESTAMP DEFAULT NOW(),
+        completed_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_erasure_requests_customer ON customer_erasure_requests(customer_id);
+    `);
+
+    /* ============================================================
+       🔀 Customer Merges (duplicate clean-up log)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_merges (
+        id SERIAL PRIMARY KEY,
+        survivor_id INT REFERENCES customers(id) ON DELETE SET NULL,
+        merged_customer_id INT NOT NULL,
+        merged_snapshot JSONB NOT NULL,
+        moved JSONB,
+        orphaned_stripe_customer_id TEXT,
+        merged_by VARCHAR(150),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_merges_survivor ON customer_merges(survivor_id);
+    `);
+
+    /* ============================================================
+       📇 Customer Contacts (roles drive email routing)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_contacts (
+        id SERIAL PRIMARY KEY,
+        customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        phone VARCHAR(50),
+        job_title VARCHAR(150),
+        roles TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_contacts_customer ON customer_contacts(customer_id);
+    `);
+
+    /* ============================================================
+       🏷️ Customer Tags, Saved Segments & Email Queue
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_tags (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        colour VARCHAR(20),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_customer_tags_name ON customer_tags(LOWER(name));
+
+      CREATE TABLE IF NOT EXISTS customer_tag_links (
+        customer_id INT NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        tag_id INT NOT NULL REFERENCES customer_tags(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (customer_id, tag_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_tag_links_tag ON customer_tag_links(tag_id);
+
+      CREATE TABLE IF NOT EXISTS customer_segments (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        description TEXT,
+        rules JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_by VARCHAR(150),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS email_queue (
+        id BIGSERIAL PRIMARY KEY,
+        to_address VARCHAR(255) NOT NULL,
+        subject VARCHAR(500) NOT NULL,
+        html TEXT NOT NULL,
+        customer_id INT REFERENCES customers(id) ON DELETE SET NULL,
+        segment_id INT REFERENCES customer_segments(id) ON DELETE SET NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending','sending','sent','failed','cancelled')),
+        attempts INT NOT NULL DEFAULT 0,
+        last_error TEXT,
+        queued_by VARCHAR(150),
+        locked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_queue_pending ON email_queue(status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_email_queue_customer ON email_queue(customer_id);
+
+      -- Erasure cancels queued mail
+      ALTER TABLE email_queue DROP CONSTRAINT IF EXISTS email_queue_status_check;
+      ALTER TABLE email_queue ADD CONSTRAINT email_queue_status_check
+        CHECK (status IN ('pending','sending','sent','failed','cancelled'));
+    `);
+
+    /* ============================================================
+       🧲 Leads (contact form enquiries + sales pipeline)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        phone VARCHAR(50),
+        business VARCHAR(255),
+        message TEXT,
+        source VARCHAR(50) NOT NULL DEFAULT 'contact_form',
+        stage VARCHAR(20) NOT NULL DEFAULT 'new'
+          CHECK (stage IN ('new','contacted','quoted','won','lost')),
+        owner_id INT REFERENCES admin_users(id) ON DELETE SET NULL,
+        notes TEXT,
+        customer_id INT REFERENCES customers(id) ON DELETE SET NULL,
+        quote_id INT REFERENCES quotes(id) ON DELETE SET NULL,
+        converted_at TIMESTAMP,
+        notified_at TIMESTAMP,
+        stage_changed_at TIMESTAMP DEFAULT NOW(),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_leads_stage ON leads(stage, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(LOWER(email));
+      CREATE INDEX IF NOT EXISTS idx_leads_customer ON leads(customer_id);
+
+      CREATE TABLE IF NOT EXISTS lead_stage_history (
+        id SERIAL PRIMARY KEY,
+        lead_id INT NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+        from_stage VARCHAR(20),
+        to_stage VARCHAR(20) NOT NULL,
+        note TEXT,
+        changed_by VARCHAR(150),
+        changed_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_lead_stage_history_lead ON lead_stage_history(lead_id, changed_at);
+    `);
+
+    /* ============================================================
+       🏦 Direct Debit mandate events (from the Stripe webhook)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS direct_debit_events (
+        id SERIAL PRIMARY KEY,
+        customer_id INT REFERENCES customers(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        mandate_id VARCHAR(255),
+        stripe_event_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (stripe_event_id, customer_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_direct_debit_events_customer
+        ON direct_debit_events(customer_id, created_at);
+    `);
+
+    /* ============================================================
+       🧾 Invoice dates (for statements of account)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS deposit_invoiced_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS balance_invoiced_at TIMESTAMP;
+
+      -- Invoices raised before dates were tracked: use the order date
+      UPDATE orders SET deposit_invoiced_at = created_at
+      WHERE deposit_invoiced AND deposit_invoiced_at IS NULL;
+      UPDATE orders SET balance_invoiced_at = created_at
+      WHERE balance_invoiced AND balance_invoiced_at IS NULL;
+    `);
+
+    /* ============================================================
+       🇬🇧 VAT number + tidy postcodes (see utils/ukFormats.js)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS vat_number VARCHAR(20);
+
+      -- Respace well-formed postcodes typed before normalisation;
+      -- anything else is fixed next time the customer is saved
+      UPDATE customers
+      SET postcode = REGEXP_REPLACE(UPPER(REGEXP_REPLACE(postcode, '\\s+', '', 'g')), '^(.+)(.{3})$', '\\1 \\2')
+      WHERE UPPER(REGEXP_REPLACE(postcode, '\\s+', '', 'g')) ~ '^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$'
+        AND postcode <> REGEXP_REPLACE(UPPER(REGEXP_REPLACE(postcode, '\\s+', '', 'g')), '^(.+)(.{3})$', '\\1 \\2');
+    `);
+
+    /* ============================================================
+       🗂️ Quote Revisions (quotes row = latest revision)
+    ============================================================ */
+    await pool.query(`
+      ALTER TABLE quotes
+        ADD COLUMN IF NOT EXISTS current_revision INT NOT NULL DEFAULT 1;
+
+      CREATE TABLE IF NOT EXISTS quote_revisions (
+        id SERIAL PRIMARY KEY,
+        quote_id INT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+        revision INT NOT NULL,
+        title VARCHAR(255),
+        description TEXT,
+        items JSONB NOT NULL DEFAULT '[]'::jsonb,
+        deposit NUMERIC(10,2),
+        notes TEXT,
+        package_id INT,
+        maintenance_id INT,
+        custom_price NUMERIC(10,2),
+        discount_percent NUMERIC(5,2) DEFAULT 0,
+        valid_until DATE,
+        change_note TEXT,
+        created_by VARCHAR(150),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (quote_id, revision)
+      );
+
+      -- Existing quotes become v1 of themselves
+      INSERT INTO quote_revisions (
+        quote_id, revision, title, description, items, deposit, notes,
+        package_id, maintenance_id, custom_price, discount_percent, valid_until, created_at
+      )
+      SELECT q.id, q.current_revision, q.title, q.description, q.items, q.deposit, q.notes,
+             q.package_id, q.maintenance_id, q.custom_price, q.discount_percent, q.valid_until, q.created_at
+      FROM quotes q
+      ON CONFLICT (quote_id, revision) DO NOTHING;
+    `);
+
+    /* ============================================================
+       ⏳ Quote Expiry + Reminders (see utils/quoteExpiry.js)
+    ============================================================ */
+    await pool.query(`
+      -- Allow every status the quote flow actually uses
+      ALTER TABLE quotes DROP CONSTRAINT IF EXISTS quotes_status_check;
+      ALTER TABLE quotes ADD CONSTRAINT quotes_status_check
+        CHECK (status IN ('pending','amend_requested','accepted','rejected','expired','closed')) NOT VALID;
+
+      -- Open quotes without a validity date expire with their link
+      UPDATE quotes
+      SET valid_until = response_token_expires_at::date
+      WHERE valid_until IS NULL
+        AND status IN ('pending','amend_requested')
+        AND response_token_expires_at IS NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS quote_reminders (
+        id SERIAL PRIMARY KEY,
+        quote_id INT NOT NULL REFERENCES quotes(id) ON DELETE CASCADE,
+        valid_until DATE NOT NULL,
+        days_before INT NOT NULL,
+        sent_to VARCHAR(255),
+        sent_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (quote_id, valid_until, days_before)
+      );
+    `);
+
+    /* ============================================================
+       🧩 Quote Templates (see utils/quoteTemplates.js)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quote_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(150) NOT NULL,
+        title VARCHAR(255),
+        description TEXT,
+        items JSONB NOT NULL DEFAULT '[]'::jsonb,
+        deposit_percent NUMERIC(5,2),
+        notes TEXT,
+        package_id INT REFERENCES packages(id) ON DELETE SET NULL,
+        maintenance_id INT REFERENCES maintenance_plans(id) ON DELETE SET NULL,
+        created_by VARCHAR(150),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_quote_templates_name ON quote_templates(LOWER(name));
+
+      ALTER TABLE quotes
+        ADD COLUMN IF NOT EXISTS template_id INT REFERENCES quote_templates(id) ON DELETE SET NULL;
+    `);
+
+    /* ============================================================
+       🔢 Document Numbering (see utils/numbering.js)
+    ============================================================ */
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        doc_type VARCHAR(30) NOT NULL,
+        series VARCHAR(255) NOT NULL,
+        last_value BIGINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (doc_type, series)
+      );
+
+      ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS deposit_invoice_number VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS balance_invoice_number VARCHAR(100);
+
+      -- Invoices already sent keep the reference printed on them
+      UPDATE orders SET deposit_invoice_number = 'PJH-' || LPAD(id::text, 4, '0')
+      WHERE deposit_invoiced AND deposit_invoice_number IS NULL;
+      UPDATE orders SET balance_invoice_number = 'PJH-' || LPAD(id::text, 4, '0')
+      WHERE balance_invoiced AND balance_invoice_number IS NULL;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_deposit_invoice_number ON orders(deposit_invoice_number);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_balance_invoice_number ON orders(balance_invoice_number);
+
+      -- Each refund is issued a credit note number
+      ALTER TABLE payments ADD COLUMN IF NOT EXISTS credit_note_number VARCHAR(100);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_credit_note_number ON payments(credit_note_number);
+
+      -- Register of numbered (emailed) statements; every issued number has a row
+      CREATE TABLE IF NOT EXISTS customer_statements (
+        id SERIAL PRIMARY KEY,
+        statement_number VARCHAR(100) NOT NULL UNIQUE,
+        customer_id INT REFERENCES customers(id) ON DELETE SET NULL,
+        period_from DATE,
+        period_to DATE NOT NULL,
+        closing_balance NUMERIC(10,2),
+        sent_to VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending','sent','failed')),
+        error TEXT,
+        sent_at TIMESTAMP,
+        created_by VARCHAR(150),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_customer_statements_customer ON customer_statements(customer_id);
+    `);
+
     await pool.query("COMMIT");
     console.log("[DB] ✅ Migrations complete — schema and seed data up-to-date.");
   } catch (err) {
@@ -404,20 +992,6 @@ export async function runMigrations() {
 /* ------------------------------------------------------------
    Utility Functions
 ------------------------------------------------------------ */
-export async function generateQuoteNumber(customerId, businessName = "Customer") {
-  const safeName = (businessName || "Customer")
-    .replace(/[^a-zA-Z0-9\s-]/g, "")
-    .replace(/\s+/g, "-")
-    .toUpperCase();
-
-  const { rows } = await pool.query(
-    "SELECT COUNT(*)::int AS c FROM quotes WHERE customer_id=$1;",
-    [customerId]
-  );
-  const count = (rows?.[0]?.c || 0) + 1;
-  return `PJH-WS/${safeName}/${String(count).padStart(6, "0")}`;
-}
-
 export function generateResponseToken() {
   return crypto.randomUUID();
 }
@@ -8,8 +8,12 @@
  *  ✅ Stripe webhooks (raw-body safe)
  *  ✅ Unified Payments + Billing routers
  *  ✅ Automated Direct Debit billing routes
- *  ✅ Email-powered contact form
+ *  ✅ Contact form → stored leads + sales pipeline
  *  ✅ Static assets for PDFs/logos
+ *  ✅ Session-protected admin routes
+ *  ✅ Customer portal (magic-link login)
+ *  ✅ Audit log of admin changes
+ *  ✅ Scoped API keys for cron jobs + integrations
  * ============================================================
  */
 
@@ -17,24 +21,45 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import bodyParser from "body-parser";
+import cookieParser from "cookie-parser";
 import path from "path";
 import { fileURLToPath } from "url";
 import { runMigrations } from "./db.js";
 import { sendEmail } from "./utils/email.js";
+import {
+  requireAdmin,
+  requireAdminOrApiKey,
+  requirePermission,
+} from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { validate } from "./middleware/validate.js";
+import { contactSchema } from "./utils/schemas.js";
+import { pruneRateLimits } from "./utils/rateLimit.js";
+import { processEmailQueue } from "./utils/emailQueue.js";
+import { runQuoteExpiryJob } from "./utils/quoteExpiry.js";
+import { createLead, markLeadNotified } from "./utils/leads.js";
 
 // ──────────────────────────────
 // Core Routers
 // ──────────────────────────────
 import adminQuotesRoutes from "./routes/adminQuotes.js";
 import authRoutes from "./routes/auth.js";
+import adminUsersRoutes from "./routes/adminUsers.js";
+import auditRoutes from "./routes/audit.js";
+import apiKeysRoutes from "./routes/apiKeys.js";
 import customerRoutes from "./routes/customers.js";
+import customerContactsRoutes from "./routes/customerContacts.js";
+import customerSegmentsRoutes from "./routes/customerSegments.js";
+import leadsRoutes from "./routes/leads.js";
 import orderRoutes from "./routes/orders.js";
 import quoteResponseRoutes from "./routes/quoteResponses.js";
+import quoteTemplatesRoutes from "./routes/quoteTemplates.js";
 import responsesRoutes from "./routes/responses.js";
 import orderDiaryRoutes from "./routes/orderDiary.js";
 import { quotesCustomerRouter, quotesAdminRouter } from "./routes/quotes.js";
 import packagesRouter from "./routes/packages.js";
 import maintenanceRouter from "./routes/maintenance.js";
+import portalRouter from "./routes/portal.js";
 
 // ──────────────────────────────
 // Stripe Billing + Automation
@@ -46,6 +71,9 @@ import automationRouter from "./routes/automation/index.js";
 dotenv.config();
 const app = express();
 
+// Behind Render's proxy — trust X-Forwarded-For so req.ip is the client
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
+
 /* ============================================================
    ⚡ Stripe Webhooks — Mount before JSON parsing
 ============================================================ */
@@ -126,21 +154,36 @@ console.table({
 ============================================================ */
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 /* ============================================================
    🧱 Run Database Migrations
 ============================================================ */
 await runMigrations();
 
+// 🧹 Hourly cleanup of expired rate-limit buckets
+setInterval(pruneRateLimits, 60 * 60 * 1000).unref();
+
+// 📨 Drain queued bulk emails (segment sends) every minute
+setInterval(processEmailQueue, 60 * 1000).unref();
+
+// ⏳ Quote expiry reminders + expiring overdue quotes, hourly
+setInterval(runQuoteExpiryJob, 60 * 60 * 1000).unref();
+
 /* ============================================================
    ✉️ Contact Form Handler
 ============================================================ */
-app.post("/api/contact", async (req, res) => {
+const contactLimit = rateLimit("contact", { identifier: (req) => req.body?.email });
+
+// The enquiry is stored as a lead first, so an SMTP failure no longer loses it
+app.post("/api/contact", contactLimit, validate({ body: contactSchema }), async (req, res) => {
   const { name, email, phone, message } = req.body;
-  if (!name || !email || !phone || !message) {
-    return res
-      .status(400)
-      .json({ success: false, error: "All fields are required." });
+
+  let lead = null;
+  try {
+    lead = await createLead({ name, email, phone, message, source: "contact_form" });
+  } catch (err) {
+    console.error("❌ Contact form lead not saved:", err.message);
   }
 
   try {
@@ -148,43 +191,70 @@ app.post("/api/contact", async (req, res) => {
       from: `"PJH Web Services" <${process.env.SMTP_USER}>`,
       to: process.env.TO_EMAIL || process.env.SMTP_USER,
       subject: `📬 Contact Form: ${name}`,
-      text: `${message}\n\nEmail: ${email}\nPhone: ${phone}`,
+      text: `${message}\n\nEmail: ${email}\nPhone: ${phone}${lead ? `\nLead: #${lead.id}` : ""}`,
     });
-
-    console.log(`📧 Contact form received from ${name} (${email})`);
-    res.json({ success: true, message: "Email sent successfully." });
+    if (lead) await markLeadNotified(lead.id);
   } catch (err) {
-    console.error("❌ Contact form error:", err.message);
-    res.status(500).json({ success: false, error: "Failed to send email." });
+    console.error("❌ Contact form email error:", err.message);
+    if (!lead) {
+      return res.status(500).json({ success: false, error: "Failed to send your message." });
+    }
   }
+
+  console.log(`📧 Contact form received from ${name} (${email})${lead ? ` → lead #${lead.id}` : ""}`);
+  res.json({ success: true, message: "Thanks — your message has been received." });
 });
 
 /* ============================================================
    📦 Core API Routes
+   ------------------------------------------------------------
+   🔐 requireAdmin guards every admin router. Public routes
+   (auth, packages list, maintenance plans, quote tokens,
+   contact) are mounted without it. Routers behind
+   requireAdminOrApiKey also accept a scoped API key.
 ============================================================ */
 // ✅ Stripe Billing + Direct Debit Payments
+// (/api/billing stays open for the Stripe webhook; /checkout is guarded in-router)
 app.use("/api/billing", billingRouter);
-app.use("/api/payments", paymentsRouter);
+app.use("/api/payments", requireAdminOrApiKey("reporting"), paymentsRouter);
 
 // ✅ Recurring Automation (Direct Debit charge scheduler)
-app.use("/api/automation", automationRouter);
+// (cron callers authenticate with an API key scoped to "automation")
+app.use(
+  "/api/automation",
+  requireAdminOrApiKey("automation"),
+  requirePermission("automation:run"),
+  automationRouter
+);
 
 // ✅ Business Logic Routes
-app.use("/api/admin/quotes", adminQuotesRoutes);
+app.use("/api/admin/quotes", requireAdmin, adminQuotesRoutes);
 app.use("/api/auth", authRoutes);
-app.use("/api/customers", customerRoutes);
-app.use("/api/orders", orderRoutes);
+app.use("/api/admin/users", requireAdmin, requirePermission("users:manage"), adminUsersRoutes);
+app.use("/api/audit", requireAdminOrApiKey("audit"), requirePermission("audit:read"), auditRoutes);
+app.use("/api/admin/api-keys", requireAdmin, requirePermission("apikeys:manage"), apiKeysRoutes);
+// Tags + segments first so /tags and /segments are not read as :id
+app.use("/api/customers", requireAdminOrApiKey("reporting"), customerSegmentsRoutes);
+app.use("/api/customers", requireAdminOrApiKey("reporting"), customerRoutes);
+app.use("/api/customers", requireAdminOrApiKey("reporting"), customerContactsRoutes);
+app.use("/api/orders", requireAdminOrApiKey("reporting"), orderRoutes);
+app.use("/api/leads", requireAdminOrApiKey("reporting"), leadsRoutes);
 app.use("/api/quotes", quoteResponseRoutes);
+app.use("/api/quote-templates", requireAdmin, quoteTemplatesRoutes);
 app.use("/api/responses", responsesRoutes);
 app.use("/api/packages", packagesRouter);
 app.use("/api/maintenance", maintenanceRouter);
 
+// ✅ Customer Portal (magic-link sessions, scoped per customer)
+app.use("/api/portal", portalRouter);
+
 // ✅ Order Diary + Notes
-app.use("/api/diary", orderDiaryRoutes);
+app.use("/api/diary", requireAdmin, orderDiaryRoutes);
 
 // ✅ Dual Mount for Quotes (Admin + Customer)
-app.use("/api/customers", quotesCustomerRouter);
-app.use("/api/quotes", quotesAdminRouter);
+// Token routes above respond first; everything else under /api/quotes is admin-only.
+app.use("/api/customers", requireAdminOrApiKey("reporting"), quotesCustomerRouter);
+app.use("/api/quotes", requireAdmin, quotesAdminRouter);
 
 /* ============================================================
    🩹 Stub for /api/payments/schedule/:id
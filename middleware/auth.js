@@ -0,0 +1,146 @@
+/**
+ * ============================================================
+ * PJH Web Services — Admin Auth Middleware
+ * ============================================================
+ * Rejects requests without a valid admin session.
+ * Mounted in index.js in front of every admin router; public
+ * routes (packages list, maintenance plans, quote tokens,
+ * contact form) are mounted without it.
+ *
+ * Roles:
+ *   • owner       → everything (incl. packages, order deletion, users, API keys)
+ *   • bookkeeper  → customers (incl. exports), leads, quotes, payments, refunds,
+ *                   DD runs, audit log
+ *   • developer   → orders + diary entries
+ * All authenticated roles may read.
+ *
+ * Machine callers (cron, integrations) may use an API key via
+ * requireAdminOrApiKey(scope) instead of a session.
+ * ============================================================
+ */
+
+import { ACCESS_COOKIE, verifySession } from "../utils/session.js";
+import { API_KEY_SCOPES, verifyApiKey, scopesGrant } from "../utils/apiKeys.js";
+
+export const ROLES = ["owner", "bookkeeper", "developer"];
+
+export const ROLE_PERMISSIONS = {
+  owner: ["*"],
+  bookkeeper: [
+    "customers:write",
+    "customers:export",
+    "leads:write",
+    "quotes:write",
+    "payments:write",
+    "payments:refund",
+    "automation:run",
+    "audit:read",
+  ],
+  developer: ["orders:write", "diary:write"],
+};
+
+/**
+ * Whether a role grants a permission.
+ */
+export function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+/**
+ * Require an authenticated admin session.
+ * Attaches req.adminSession and req.adminUser on success.
+ */
+export async function requireAdmin(req, res, next) {
+  try {
+    const session = await verifySession(req.cookies?.[ACCESS_COOKIE]);
+    if (!session) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Authentication required." });
+    }
+
+    req.adminSession = session;
+    req.adminUser = {
+      id: session.admin_user_id,
+      name: session.user_name,
+      email: session.user_email,
+      role: session.user_role,
+    };
+    next();
+  } catch (err) {
+    console.error("❌ Admin auth check failed:", err.message);
+    res.status(500).json({ success: false, error: "Failed to verify session." });
+  }
+}
+
+/**
+ * Accept either an admin session or an API key scoped to this
+ * route group (Authorization: Bearer ...).
+ * Attaches req.apiKey { id, name, scopes } for key callers.
+ * @param {string} scope - key of API_KEY_SCOPES, e.g. "automation"
+ */
+export function requireAdminOrApiKey(scope) {
+  return async (req, res, next) => {
+    const header = req.get("authorization") || "";
+    if (!header.startsWith("Bearer ")) return requireAdmin(req, res, next);
+
+    try {
+      const apiKey = await verifyApiKey(header.slice(7).trim(), { ip: req.ip });
+      if (!apiKey) {
+        return res
+          .status(401)
+          .json({ success: false, error: "Invalid, expired or revoked API key." });
+      }
+
+      const readOnly = API_KEY_SCOPES[scope]?.readOnly;
+      if (!apiKey.scopes.includes(scope) || (readOnly && !["GET", "HEAD"].includes(req.method))) {
+        console.warn(`🚫 API key "${apiKey.name}" denied ${req.method} ${req.originalUrl}`);
+        return res
+          .status(403)
+          .json({ success: false, error: "This API key is not allowed to do that." });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (err) {
+      console.error("❌ API key check failed:", err.message);
+      res.status(500).json({ success: false, error: "Failed to verify API key." });
+    }
+  };
+}
+
+/**
+ * Require the signed-in admin's role — or, for API key callers,
+ * one of the key's scopes (API_KEY_SCOPES[].permissions) — to
+ * grant a permission. Must run after requireAdmin / requireAdminOrApiKey.
+ * @param {string} permission - e.g. "payments:refund"
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.apiKey) {
+      if (scopesGrant(req.apiKey.scopes, permission)) return next();
+      console.warn(`🚫 API key "${req.apiKey.name}" denied ${permission}`);
+      return res
+        .status(403)
+        .json({ success: false, error: "This API key is not allowed to do that." });
+    }
+
+    if (!req.adminUser) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Authentication required." });
+    }
+
+    if (!hasPermission(req.adminUser.role, permission)) {
+      console.warn(
+        `🚫 ${req.adminUser.email} (${req.adminUser.role}) denied ${permission}`
+      );
+      return res
+        .status(403)
+        .json({ success: false, error: "You do not have permission to do that." });
+    }
+
+    next();
+  };
+}
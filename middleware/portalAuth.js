@@ -0,0 +1,28 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Portal Auth Middleware
+ * ============================================================
+ * Requires a live portal session and exposes req.customerId.
+ * Portal routes must filter every query by req.customerId.
+ * ============================================================
+ */
+
+import { PORTAL_COOKIE, verifyPortalSession } from "../utils/portalSession.js";
+
+export async function requireCustomer(req, res, next) {
+  try {
+    const session = await verifyPortalSession(req.cookies?.[PORTAL_COOKIE]);
+    if (!session) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Please sign in to your client portal." });
+    }
+
+    req.portalSession = session;
+    req.customerId = session.customer_id;
+    next();
+  } catch (err) {
+    console.error("❌ Portal auth check failed:", err.message);
+    res.status(500).json({ success: false, error: "Failed to verify session." });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * ============================================================
+ * PJH Web Services — Rate Limit Middleware
+ * ============================================================
+ * rateLimit(name, { identifier, errorKey })
+ *   • Always counts a per-IP bucket
+ *   • Optionally counts a per-identifier bucket (email, token…)
+ *   • Responds 429 with Retry-After when either is exhausted
+ *
+ * Limits come from RATE_LIMITS in utils/rateLimit.js.
+ * If the database is unreachable requests are let through.
+ * ============================================================
+ */
+
+import { RATE_LIMITS, hitBucket } from "../utils/rateLimit.js";
+import { hashToken } from "../utils/token.js";
+
+/**
+ * Send the standard 429 response.
+ * @param {string} [options.errorKey] - "error" or "message", matching the router's JSON shape
+ */
+export function sendTooManyRequests(
+  res,
+  retryAfter,
+  { errorKey = "error", message = "Too many requests. Please try again later." } = {}
+) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ success: false, [errorKey]: message, retry_after: retryAfter });
+}
+
+export function rateLimit(name, { identifier, errorKey = "error" } = {}) {
+  const limits = RATE_LIMITS[name];
+  if (!limits) throw new Error(`Unknown rate limit: ${name}`);
+
+  return async (req, res, next) => {
+    try {
+      const buckets = [{ key: `${name}:ip:${req.ip}`, max: limits.perIp }];
+
+      const id = identifier?.(req);
+      if (id) {
+        // Hash so emails / tokens are never stored in plain text
+        const idHash = hashToken(String(id).trim().toLowerCase()).slice(0, 32);
+        buckets.push({ key: `${name}:id:${idHash}`, max: limits.perIdentifier });
+      }
+
+      for (const { key, max } of buckets) {
+        const { hits, retryAfter } = await hitBucket(key, limits.windowSeconds);
+        if (hits > max) {
+          console.warn(`🚦 Rate limit hit: ${name} (${req.ip})`);
+          return sendTooManyRequests(res, retryAfter, { errorKey });
+        }
+      }
+
+      next();
+    } catch (err) {
+      console.error(`⚠️ Rate limiter unavailable (${name}):`, err.message);
+      next();
+    }
+  };
+}
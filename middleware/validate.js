@@ -0,0 +1,48 @@
+/**
+ * ============================================================
+ * PJH Web Services — Validation Middleware
+ * ============================================================
+ *   • validate({ params, query, body }) → route-level schemas
+ *   • validateId → router.param() handler for numeric IDs
+ *
+ * Every failure responds with the same 400 shape:
+ *   {
+ *     success: false,
+ *     error: "Invalid request.",
+ *     errors: [{ field, location, message }]
+ *   }
+ * ============================================================
+ */
+
+import { validateSchema, isValidId } from "../utils/validation.js";
+
+export function sendValidationError(res, errors) {
+  return res.status(400).json({ success: false, error: "Invalid request.", errors });
+}
+
+/**
+ * Validate any of req.params / req.query / req.body against schemas.
+ * @param {{params?:object, query?:object, body?:object}} schemas
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const errors = ["params", "query", "body"].flatMap((location) =>
+      schemas[location] ? validateSchema(req[location], schemas[location], location) : []
+    );
+    if (errors.length) return sendValidationError(res, errors);
+    next();
+  };
+}
+
+/**
+ * router.param() handler: rejects non-numeric IDs before they reach Postgres.
+ *   router.param("id", validateId);
+ */
+export function validateId(req, res, next, value, name) {
+  if (!isValidId(value)) {
+    return sendValidationError(res, [
+      { field: name, location: "params", message: "must be a numeric ID" },
+    ]);
+  }
+  next();
+}
@@ -13,17 +13,25 @@
 
 import express from "express";
 import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { quoteFeedbackSchema, quoteAmendSchema } from "../utils/schemas.js";
 
 const router = express.Router();
 
+router.param("id", validateId);
+
 /* -----------------------------
    POST /api/admin/quotes/:id/accept
    Admin accepts a quote (no token required)
 -------------------------------- */
-router.post("/:id/accept", async (req, res) => {
+router.post("/:id/accept", requirePermission("quotes:write"), async (req, res) => {
   const { id } = req.params;
 
   try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM quotes WHERE id = $1", [id]);
+
     const { rows } = await pool.query(
       `UPDATE quotes 
        SET status = 'accepted', updated_at = NOW()
@@ -44,6 +52,14 @@ router.post("/:id/accept", async (req, res) => {
       [quote.id]
     );
 
+    await recordAudit(req, {
+      action: "accepted",
+      entityType: "quote",
+      entityId: quote.id,
+      before: beforeRows[0],
+      after: quote,
+    });
+
     res.json({ success: true, message: "✅ Quote accepted by admin.", quote });
   } catch (err) {
     console.error("❌ Admin error accepting quote:", err);
@@ -55,11 +71,13 @@ router.post("/:id/accept", async (req, res) => {
    POST /api/admin/quotes/:id/reject
    Admin rejects a quote with optional feedback
 -------------------------------- */
-router.post("/:id/reject", async (req, res) => {
+router.post("/:id/reject", requirePermission("quotes:write"), validate({ body: quoteFeedbackSchema }), async (req, res) => {
   const { id } = req.params;
   const { feedback } = req.body;
 
   try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM quotes WHERE id = $1", [id]);
+
     const { rows } = await pool.query(
       `UPDATE quotes 
        SET status = 'rejected', feedback = $2, updated_at = NOW()
@@ -80,6 +98,14 @@ router.post("/:id/reject", async (req, res) => {
       [quote.id, feedback || null]
     );
 
+    await recordAudit(req, {
+      action: "rejected",
+      entityType: "quote",
+      entityId: quote.id,
+      before: beforeRows[0],
+      after: quote,
+    });
+
     res.json({ success: true, message: "❌ Quote rejected by admin.", quote });
   } catch (err) {
     console.error("❌ Admin error rejecting quote:", err);
@@ -89,19 +115,16 @@ router.post("/:id/reject", async (req, res) => {
 
 /* -----------------------------
    POST /api/admin/quotes/:id/amend
-   Admin requests an amendment (feedback required)
+   Admin requests an amendment (feedback required); the amended
+   quote is then saved via POST /api/quotes/:quoteId/revisions
 -------------------------------- */
-router.post("/:id/amend", async (req, res) => {
+router.post("/:id/amend", requirePermission("quotes:write"), validate({ body: quoteAmendSchema }), async (req, res) => {
   const { id } = req.params;
   const { feedback } = req.body;
 
-  if (!feedback || feedback.trim().length === 0) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Feedback is required to request an amendment." });
-  }
-
   try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM quotes WHERE id = $1", [id]);
+
     const { rows } = await pool.query(
       `UPDATE quotes 
        SET status = 'amend_requested', feedback = $2, updated_at = NOW()
@@ -122,6 +145,14 @@ router.post("/:id/amend", async (req, res) => {
       [quote.id, feedback]
     );
 
+    await recordAudit(req, {
+      action: "amend_requested",
+      entityType: "quote",
+      entityId: quote.id,
+      before: beforeRows[0],
+      after: quote,
+    });
+
     res.json({ success: true, message: "✏️ Amendment requested by admin.", quote });
   } catch (err) {
     console.error("❌ Admin error requesting amendment:", err);
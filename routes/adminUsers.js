@@ -0,0 +1,234 @@
+/**
+ * ============================================================
+ * PJH Web Services — Admin User Management API
+ * ============================================================
+ * Owner-only management of team accounts:
+ *   • GET    /api/admin/users        → list users
+ *   • POST   /api/admin/users        → create user (hashed password)
+ *   • PUT    /api/admin/users/:id    → update name / role / active / password
+ *   • DELETE /api/admin/users/:id    → deactivate user + revoke sessions
+ *   • POST   /api/admin/users/:id/reset-2fa → clear a lost authenticator
+ *   • GET    /api/admin/users/policies        → per-role 2FA policy
+ *   • PUT    /api/admin/users/policies/:role  → require / relax 2FA for a role
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { ROLES } from "../middleware/auth.js";
+import { hashPassword } from "../utils/password.js";
+import { revokeUserSessions } from "../utils/session.js";
+import { validate, validateId } from "../middleware/validate.js";
+import {
+  adminUserCreateSchema,
+  adminUserUpdateSchema,
+  rolePolicySchema,
+} from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+
+const PUBLIC_COLUMNS =
+  "id, name, email, role, active, totp_enabled, last_login_at, created_at, updated_at";
+
+/* ============================================================
+   🔑 GET /api/admin/users/policies
+============================================================ */
+router.get("/policies", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT role, require_totp, updated_at FROM admin_role_policies ORDER BY role;"
+    );
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error fetching role policies:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch role policies." });
+  }
+});
+
+/* ============================================================
+   🔑 PUT /api/admin/users/policies/:role
+============================================================ */
+router.put("/policies/:role", validate({ body: rolePolicySchema }), async (req, res) => {
+  const { role } = req.params;
+  const { require_totp } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `Role must be one of: ${ROLES.join(", ")}.` });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO admin_role_policies (role, require_totp, updated_at)
+       VALUES ($1,$2,NOW())
+       ON CONFLICT (role) DO UPDATE SET require_totp = EXCLUDED.require_totp, updated_at = NOW()
+       RETURNING role, require_totp, updated_at;`,
+      [role, require_totp]
+    );
+
+    console.log(`🔑 [DB][AdminUsers] 2FA ${require_totp ? "required" : "optional"} for ${role}`);
+    res.json({ success: true, message: "Role policy updated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error updating role policy:", err);
+    res.status(500).json({ success: false, error: "Failed to update role policy." });
+  }
+});
+
+/* ============================================================
+   👥 GET /api/admin/users
+============================================================ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY created_at ASC;`
+    );
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error fetching users:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch users." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/admin/users
+============================================================ */
+router.post("/", validate({ body: adminUserCreateSchema }), async (req, res) => {
+  const { name, email, password, role = "developer" } = req.body;
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO admin_users (name, email, password_hash, role, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,NOW(),NOW())
+       RETURNING ${PUBLIC_COLUMNS};`,
+      [name.trim(), email.trim().toLowerCase(), await hashPassword(password), role]
+    );
+
+    console.log(`✅ [DB][AdminUsers] Created: ${rows[0].email} (${rows[0].role})`);
+    res.status(201).json({ success: true, message: "User created.", data: rows[0] });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res
+        .status(409)
+        .json({ success: false, error: "A user with that email already exists." });
+    }
+    console.error("❌ [DB][AdminUsers] Error creating user:", err);
+    res.status(500).json({ success: false, error: "Failed to create user." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/admin/users/:id
+============================================================ */
+router.put("/:id", validate({ body: adminUserUpdateSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { name, role, active, password } = req.body;
+  if (Number(id) === req.adminUser.id && (active === false || (role && role !== "owner"))) {
+    return res.status(400).json({
+      success: false,
+      error: "You cannot demote or deactivate your own account.",
+    });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE admin_users
+       SET
+         name = COALESCE($1, name),
+         role = COALESCE($2, role),
+         active = COALESCE($3, active),
+         password_hash = COALESCE($4, password_hash),
+         updated_at = NOW()
+       WHERE id = $5
+       RETURNING ${PUBLIC_COLUMNS};`,
+      [
+        name?.trim() || null,
+        role || null,
+        typeof active === "boolean" ? active : null,
+        password ? await hashPassword(password) : null,
+        id,
+      ]
+    );
+
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "User not found." });
+
+    // Role, password or status changes take effect on next login
+    if (role || password || active === false) await revokeUserSessions(id);
+
+    console.log(`📝 [DB][AdminUsers] Updated (ID: ${id})`);
+    res.json({ success: true, message: "User updated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error updating user:", err);
+    res.status(500).json({ success: false, error: "Failed to update user." });
+  }
+});
+
+/* ============================================================
+   🔓 POST /api/admin/users/:id/reset-2fa
+   Clears TOTP for a user who lost their device; they re-enrol
+   on next login if their role requires it.
+============================================================ */
+router.post("/:id/reset-2fa", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE admin_users
+       SET totp_enabled = FALSE, totp_secret = NULL, totp_pending_secret = NULL,
+           totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${PUBLIC_COLUMNS};`,
+      [id]
+    );
+
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "User not found." });
+
+    await pool.query("DELETE FROM admin_recovery_codes WHERE admin_user_id = $1;", [id]);
+    await revokeUserSessions(id);
+
+    console.log(`🔓 [DB][AdminUsers] 2FA reset (ID: ${id})`);
+    res.json({ success: true, message: "Two-factor authentication reset.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error resetting 2FA:", err);
+    res.status(500).json({ success: false, error: "Failed to reset two-factor authentication." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/admin/users/:id — deactivate (keeps history)
+============================================================ */
+router.delete("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  if (Number(id) === req.adminUser.id) {
+    return res
+      .status(400)
+      .json({ success: false, error: "You cannot deactivate your own account." });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE admin_users SET active = FALSE, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${PUBLIC_COLUMNS};`,
+      [id]
+    );
+
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "User not found." });
+
+    await revokeUserSessions(id);
+
+    console.log(`🗑️ [DB][AdminUsers] Deactivated (ID: ${id})`);
+    res.json({ success: true, message: "User deactivated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][AdminUsers] Error deactivating user:", err);
+    res.status(500).json({ success: false, error: "Failed to deactivate user." });
+  }
+});
+
+export default router;
@@ -0,0 +1,151 @@
+/**
+ * ============================================================
+ * PJH Web Services — API Key Management
+ * ============================================================
+ * Owner-only management of machine credentials:
+ *   • GET    /api/admin/api-keys         → list keys (never the secret)
+ *   • GET    /api/admin/api-keys/scopes  → grantable scopes
+ *   • POST   /api/admin/api-keys         → create key (secret shown once)
+ *   • PUT    /api/admin/api-keys/:id     → rename / change scopes
+ *   • DELETE /api/admin/api-keys/:id     → revoke
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import {
+  API_KEY_SCOPES,
+  API_KEY_COLUMNS,
+  createApiKey,
+  revokeApiKey,
+} from "../utils/apiKeys.js";
+import { recordAudit } from "../utils/audit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { apiKeySchema, apiKeyUpdateSchema } from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+
+/* ============================================================
+   📋 GET /api/admin/api-keys/scopes
+============================================================ */
+router.get("/scopes", (_req, res) => {
+  res.json({ success: true, data: API_KEY_SCOPES });
+});
+
+/* ============================================================
+   🗝️ GET /api/admin/api-keys
+============================================================ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC;`
+    );
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][ApiKeys] Error fetching keys:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch API keys." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/admin/api-keys
+============================================================ */
+router.post("/", validate({ body: apiKeySchema }), async (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+
+  try {
+    const { key, record } = await createApiKey({
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: expires_at ? new Date(expires_at) : null,
+      createdBy: req.adminUser.id,
+    });
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "api_key",
+      entityId: record.id,
+      after: record,
+    });
+
+    console.log(`🗝️ [DB][ApiKeys] Created "${record.name}" (${record.scopes.join(", ")})`);
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now — it will not be shown again.",
+      key,
+      data: record,
+    });
+  } catch (err) {
+    console.error("❌ [DB][ApiKeys] Error creating key:", err);
+    res.status(500).json({ success: false, error: "Failed to create API key." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/admin/api-keys/:id
+============================================================ */
+router.put("/:id", validate({ body: apiKeyUpdateSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { name, scopes } = req.body;
+
+  try {
+    const { rows: beforeRows } = await pool.query(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = $1;`,
+      [id]
+    );
+    if (!beforeRows.length)
+      return res.status(404).json({ success: false, error: "API key not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE api_keys
+       SET name = COALESCE($1, name), scopes = COALESCE($2, scopes)
+       WHERE id = $3
+       RETURNING ${API_KEY_COLUMNS};`,
+      [name?.trim() || null, scopes ? [...new Set(scopes)] : null, id]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "api_key",
+      entityId: id,
+      before: beforeRows[0],
+      after: rows[0],
+    });
+
+    console.log(`📝 [DB][ApiKeys] Updated (ID: ${id})`);
+    res.json({ success: true, message: "API key updated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][ApiKeys] Error updating key:", err);
+    res.status(500).json({ success: false, error: "Failed to update API key." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/admin/api-keys/:id — revoke (keeps history)
+============================================================ */
+router.delete("/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const record = await revokeApiKey(id);
+    if (!record)
+      return res.status(404).json({ success: false, error: "API key not found." });
+
+    await recordAudit(req, {
+      action: "revoke",
+      entityType: "api_key",
+      entityId: id,
+      after: record,
+    });
+
+    console.log(`🗑️ [DB][ApiKeys] Revoked (ID: ${id})`);
+    res.json({ success: true, message: "API key revoked.", data: record });
+  } catch (err) {
+    console.error("❌ [DB][ApiKeys] Error revoking key:", err);
+    res.status(500).json({ success: false, error: "Failed to revoke API key." });
+  }
+});
+
+export default router;
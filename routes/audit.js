@@ -0,0 +1,79 @@
+/**
+ * ============================================================
+ * PJH Web Services — Audit Log API
+ * ============================================================
+ * Read-only view over audit_log:
+ *   • GET /api/audit → filterable, newest first
+ *
+ * Query filters (all optional):
+ *   actor_type, actor_id, action, entity_type, entity_id,
+ *   from, to (ISO dates), limit (max 200), offset
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { validate } from "../middleware/validate.js";
+import { auditQuerySchema } from "../utils/schemas.js";
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+/* ============================================================
+   📜 GET /api/audit
+============================================================ */
+router.get("/", validate({ query: auditQuerySchema }), async (req, res) => {
+  const { actor_type, actor_id, action, entity_type, entity_id, from, to } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), MAX_LIMIT);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (actor_type) add("actor_type = ?", actor_type);
+  if (actor_id) add("actor_id = ?", Number(actor_id));
+  if (action) add("action = ?", action);
+  if (entity_type) add("entity_type = ?", entity_type);
+  if (entity_id) add("entity_id = ?", String(entity_id));
+  if (from) add("created_at >= ?", new Date(from));
+  if (to) add("created_at <= ?", new Date(to));
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  try {
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_log ${where};`,
+      params
+    );
+
+    const { rows } = await pool.query(
+      `
+      SELECT id, actor_type, actor_id, actor_name, action, entity_type, entity_id,
+             before, after, diff, meta, ip, created_at
+      FROM audit_log
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2};
+      `,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: rows,
+      total: countRows[0].total,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Audit] Error fetching audit log:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch audit log." });
+  }
+});
+
+export default router;
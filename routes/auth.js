@@ -1,44 +1,515 @@
 /**
  * ============================================================
- * PJH Web Services — Simple Admin Authentication
+ * PJH Web Services — Admin Authentication
  * ============================================================
- * Provides minimal login protection for the admin dashboard.
- * Uses a password stored in .env (ADMIN_PASS) for access.
+ * Per-user, session-based login for the admin dashboard.
+ *   • POST /api/auth/login    → verify email + password, issue session cookies
+ *                               (or a 2FA challenge when TOTP applies)
+ *   • POST /api/auth/login/totp → complete login with TOTP / recovery code
+ *   • POST /api/auth/refresh  → rotate refresh token, new access token
+ *   • POST /api/auth/logout   → revoke session + clear cookies
+ *   • GET  /api/auth/session  → current session + user (admin)
+ *   • POST /api/auth/password → change own password (admin)
+ *   • /api/auth/totp/*        → TOTP enrolment, disable, recovery codes
+ *
+ * Login attempts are rate limited per IP + account, and repeated
+ * failures lock the account out for progressively longer.
  * ============================================================
  */
 
 import express from "express";
 import dotenv from "dotenv";
+import pool from "../db.js";
+import { hashPassword, verifyPassword } from "../utils/password.js";
+import { generateSecret, buildOtpauthUri, verifyTOTP } from "../utils/totp.js";
+import {
+  roleRequiresTotp,
+  verifySecondFactor,
+  issueRecoveryCodes,
+} from "../utils/twoFactor.js";
+import {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  ACCESS_TTL_MS,
+  SESSION_TTL_MS,
+  cookieOptions,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  verifySession,
+  signChallenge,
+  verifyChallenge,
+} from "../utils/session.js";
+import { requireAdmin } from "../middleware/auth.js";
+import { rateLimit, sendTooManyRequests } from "../middleware/rateLimit.js";
+import {
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import {
+  loginSchema,
+  totpLoginSchema,
+  passwordChangeSchema,
+  totpCodeSchema,
+  totpDisableSchema,
+} from "../utils/schemas.js";
 
 dotenv.config();
 const router = express.Router();
 
+const REFRESH_PATH = "/api/auth";
+
+const LOCKED_OUT = {
+  errorKey: "message",
+  message: "Too many failed login attempts. Please try again later.",
+};
+
+const loginLimit = rateLimit("login", {
+  identifier: (req) => req.body?.email,
+  errorKey: "message",
+});
+const loginTotpLimit = rateLimit("login_totp", {
+  identifier: (req) => verifyChallenge(req.body?.challenge, "totp"),
+  errorKey: "message",
+});
+
+/* ------------------------------------------------------------
+   Helpers
+------------------------------------------------------------ */
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.cookie(ACCESS_COOKIE, accessToken, cookieOptions(ACCESS_TTL_MS));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(SESSION_TTL_MS, REFRESH_PATH));
+}
+
+function clearSessionCookies(res) {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions(0));
+  res.clearCookie(REFRESH_COOKIE, cookieOptions(0, REFRESH_PATH));
+}
+
+// Lockout is tracked per account, by normalised email
+function lockoutKey(email) {
+  return `admin:${String(email).trim().toLowerCase()}`;
+}
+
+async function findActiveUser(userId) {
+  const { rows } = await pool.query(
+    "SELECT * FROM admin_users WHERE id = $1 AND active = TRUE LIMIT 1;",
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Issue a full session for a fully-authenticated user and respond.
+ */
+async function startSession(req, res, user, extra = {}) {
+  const session = await createSession({
+    userId: user.id,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  setSessionCookies(res, session);
+
+  await pool.query("UPDATE admin_users SET last_login_at = NOW() WHERE id = $1;", [user.id]);
+  await clearLoginFailures(lockoutKey(user.email));
+
+  console.log(`✅ Admin login successful: ${user.email} (${user.role})`);
+  return res.json({
+    success: true,
+    message: "Login successful.",
+    user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    expires_at: session.expiresAt,
+    ...extra,
+  });
+}
+
+/**
+ * Resolve the user enrolling TOTP — either signed in, or mid-login
+ * with an "enrol" challenge because their role requires 2FA.
+ */
+async function findEnrollingUser(req) {
+  const session = await verifySession(req.cookies?.[ACCESS_COOKIE]);
+  const userId = session?.admin_user_id ?? verifyChallenge(req.body?.challenge, "enrol");
+  if (!userId) return null;
+
+  const user = await findActiveUser(userId);
+  return user ? { user, viaChallenge: !session } : null;
+}
+
 /**
  * @route   POST /api/auth/login
- * @desc    Basic admin login check
- * @access  Private (simple password)
+ * @desc    Admin login — issues a signed, expiring session
+ * @access  Public
+ */
+router.post("/login", loginLimit, validate({ body: loginSchema }), async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    const lockedFor = await getLockout(lockoutKey(email));
+    if (lockedFor) return sendTooManyRequests(res, lockedFor, LOCKED_OUT);
+
+    const { rows } = await pool.query(
+      "SELECT * FROM admin_users WHERE email = $1 AND active = TRUE LIMIT 1;",
+      [String(email).trim().toLowerCase()]
+    );
+    const user = rows[0];
+
+    // Compare
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      console.warn(`❌ Invalid admin login attempt (${email})`);
+      const lockSeconds = await recordLoginFailure(lockoutKey(email));
+      if (lockSeconds) return sendTooManyRequests(res, lockSeconds, LOCKED_OUT);
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid email or password." });
+    }
+
+    // Second factor required — no session until it is verified
+    if (user.totp_enabled) {
+      return res.json({
+        success: true,
+        totp_required: true,
+        challenge: signChallenge(user.id, "totp"),
+        message: "Enter the code from your authenticator app.",
+      });
+    }
+
+    if (await roleRequiresTotp(user.role)) {
+      return res.json({
+        success: true,
+        totp_setup_required: true,
+        challenge: signChallenge(user.id, "enrol"),
+        message: "Two-factor authentication is required for your role. Please set it up.",
+      });
+    }
+
+    return await startSession(req, res, user);
+  } catch (err) {
+    console.error("❌ Failed to create admin session:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to start session." });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/totp
+ * @desc    Complete login with a TOTP code or recovery code
+ * @access  Public (requires login challenge)
  */
-router.post("/login", (req, res) => {
-  const { password } = req.body;
-  const adminPass = process.env.ADMIN_PASS || "changeme";
+router.post("/login/totp", loginTotpLimit, validate({ body: totpLoginSchema }), async (req, res) => {
+  const { challenge, code } = req.body;
 
-  // Validate password presence
-  if (!password) {
+  const userId = verifyChallenge(challenge, "totp");
+  if (!userId) {
     return res
-      .status(400)
-      .json({ success: false, message: "Password is required." });
+      .status(401)
+      .json({ success: false, message: "Login expired. Please sign in again." });
   }
 
-  // Compare
-  if (password === adminPass) {
-    console.log("✅ Admin login successful");
-    return res.json({ success: true, message: "Login successful." });
+  try {
+    const user = await findActiveUser(userId);
+
+    const lockedFor = user ? await getLockout(lockoutKey(user.email)) : 0;
+    if (lockedFor) return sendTooManyRequests(res, lockedFor, LOCKED_OUT);
+
+    const factor = user ? await verifySecondFactor(user, code) : null;
+
+    if (!factor) {
+      console.warn(`❌ Invalid 2FA code for admin user ${userId}`);
+      const lockSeconds = user ? await recordLoginFailure(lockoutKey(user.email)) : 0;
+      if (lockSeconds) return sendTooManyRequests(res, lockSeconds, LOCKED_OUT);
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid authentication code." });
+    }
+
+    return await startSession(req, res, user, { used_recovery_code: factor === "recovery" });
+  } catch (err) {
+    console.error("❌ Failed to verify 2FA login:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to verify code." });
   }
+});
 
-  console.warn("❌ Invalid admin login attempt");
-  return res
-    .status(401)
-    .json({ success: false, message: "Invalid password." });
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate the refresh token and issue a new access token
+ * @access  Public (requires refresh cookie)
+ */
+router.post("/refresh", async (req, res) => {
+  try {
+    const session = await refreshSession(req.cookies?.[REFRESH_COOKIE]);
+    if (!session) {
+      clearSessionCookies(res);
+      return res
+        .status(401)
+        .json({ success: false, message: "Session expired. Please log in again." });
+    }
+
+    setSessionCookies(res, session);
+    return res.json({
+      success: true,
+      message: "Session refreshed.",
+      expires_at: session.expiresAt,
+    });
+  } catch (err) {
+    console.error("❌ Failed to refresh admin session:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to refresh session." });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current session and clear cookies
+ * @access  Public
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession({
+      accessToken: req.cookies?.[ACCESS_COOKIE],
+      refreshToken: req.cookies?.[REFRESH_COOKIE],
+    });
+  } catch (err) {
+    console.error("⚠️ Failed to revoke admin session:", err.message);
+  }
+
+  clearSessionCookies(res);
+  return res.json({ success: true, message: "Logged out." });
+});
+
+/**
+ * @route   GET /api/auth/session
+ * @desc    Returns the active session + user (used by the dashboard on load)
+ * @access  Private
+ */
+router.get("/session", requireAdmin, (req, res) => {
+  const { session_id, created_at, expires_at } = req.adminSession;
+  return res.json({
+    success: true,
+    session: { id: session_id, created_at, expires_at },
+    user: req.adminUser,
+  });
+});
+
+/**
+ * @route   POST /api/auth/password
+ * @desc    Change own password — revokes all other sessions
+ * @access  Private
+ */
+router.post("/password", requireAdmin, validate({ body: passwordChangeSchema }), async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  try {
+    const { rows } = await pool.query(
+      "SELECT password_hash FROM admin_users WHERE id = $1;",
+      [req.adminUser.id]
+    );
+    if (!rows.length || !(await verifyPassword(current_password, rows[0].password_hash))) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Current password is incorrect." });
+    }
+
+    await pool.query(
+      "UPDATE admin_users SET password_hash = $1, updated_at = NOW() WHERE id = $2;",
+      [await hashPassword(new_password), req.adminUser.id]
+    );
+    await revokeUserSessions(req.adminUser.id);
+
+    clearSessionCookies(res);
+    console.log(`🔑 Password changed for ${req.adminUser.email}`);
+    return res.json({ success: true, message: "Password changed. Please log in again." });
+  } catch (err) {
+    console.error("❌ Failed to change password:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to change password." });
+  }
+});
+
+/* ============================================================
+   🔑 TWO-FACTOR AUTHENTICATION (TOTP)
+============================================================ */
+
+/**
+ * @route   POST /api/auth/totp/setup
+ * @desc    Start TOTP enrolment — returns secret + otpauth URI (QR payload)
+ * @access  Private, or "enrol" challenge from login
+ */
+router.post("/totp/setup", async (req, res) => {
+  try {
+    const found = await findEnrollingUser(req);
+    if (!found) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Authentication required." });
+    }
+
+    const { user } = found;
+    if (user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled.",
+      });
+    }
+
+    const secret = generateSecret();
+    await pool.query(
+      "UPDATE admin_users SET totp_pending_secret = $1, updated_at = NOW() WHERE id = $2;",
+      [secret, user.id]
+    );
+
+    const otpauthUri = buildOtpauthUri({ secret, account: user.email });
+    return res.json({
+      success: true,
+      secret,
+      otpauth_uri: otpauthUri,
+      qr_payload: otpauthUri,
+    });
+  } catch (err) {
+    console.error("❌ Failed to start TOTP setup:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to start two-factor setup." });
+  }
+});
+
+/**
+ * @route   POST /api/auth/totp/enable
+ * @desc    Confirm enrolment with a code; returns recovery codes (shown once).
+ *          When enrolling mid-login, also starts the session.
+ * @access  Private, or "enrol" challenge from login
+ */
+router.post("/totp/enable", validate({ body: totpCodeSchema }), async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const found = await findEnrollingUser(req);
+    if (!found) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Authentication required." });
+    }
+
+    const { user, viaChallenge } = found;
+    if (!user.totp_pending_secret) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Start two-factor setup first." });
+    }
+
+    const step = verifyTOTP(user.totp_pending_secret, code);
+    if (step === null) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid authentication code." });
+    }
+
+    await pool.query(
+      `UPDATE admin_users
+       SET totp_secret = totp_pending_secret,
+           totp_pending_secret = NULL,
+           totp_enabled = TRUE,
+           totp_last_step = $1,
+           updated_at = NOW()
+       WHERE id = $2;`,
+      [step, user.id]
+    );
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+
+    console.log(`🔐 Two-factor enabled for ${user.email}`);
+    if (viaChallenge) {
+      return await startSession(req, res, user, { recovery_codes: recoveryCodes });
+    }
+    return res.json({
+      success: true,
+      message: "Two-factor authentication enabled.",
+      recovery_codes: recoveryCodes,
+    });
+  } catch (err) {
+    console.error("❌ Failed to enable TOTP:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to enable two-factor authentication." });
+  }
+});
+
+/**
+ * @route   POST /api/auth/totp/disable
+ * @desc    Disable TOTP (password + current code) unless the role requires it
+ * @access  Private
+ */
+router.post("/totp/disable", requireAdmin, validate({ body: totpDisableSchema }), async (req, res) => {
+  const { password, code } = req.body;
+
+  try {
+    if (await roleRequiresTotp(req.adminUser.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role.",
+      });
+    }
+
+    const user = await findActiveUser(req.adminUser.id);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ success: false, message: "Password is incorrect." });
+    }
+    if (!(await verifySecondFactor(user, code))) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid authentication code." });
+    }
+
+    await pool.query(
+      `UPDATE admin_users
+       SET totp_enabled = FALSE, totp_secret = NULL, totp_pending_secret = NULL,
+           totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1;`,
+      [user.id]
+    );
+    await pool.query("DELETE FROM admin_recovery_codes WHERE admin_user_id = $1;", [user.id]);
+
+    console.log(`🔓 Two-factor disabled for ${user.email}`);
+    return res.json({ success: true, message: "Two-factor authentication disabled." });
+  } catch (err) {
+    console.error("❌ Failed to disable TOTP:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to disable two-factor authentication." });
+  }
+});
+
+/**
+ * @route   POST /api/auth/totp/recovery-codes
+ * @desc    Regenerate recovery codes (invalidates the old set)
+ * @access  Private
+ */
+router.post("/totp/recovery-codes", requireAdmin, validate({ body: totpCodeSchema }), async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await findActiveUser(req.adminUser.id);
+    if (!(await verifySecondFactor(user, code))) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid authentication code." });
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user.id);
+    return res.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error("❌ Failed to regenerate recovery codes:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Failed to regenerate recovery codes." });
+  }
 });
 
 export default router;
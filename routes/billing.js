@@ -7,6 +7,7 @@
  * ✅ Unified webhook (invoices / subscriptions / DD intents)
  * ✅ Idempotent payment logging (processing → paid/failed)
  * ✅ Auto-populates customer Stripe IDs (customer/PM/mandate)
+ * ✅ Mandate lifecycle logged to direct_debit_events
  * ============================================================
  */
 
@@ -15,6 +16,9 @@ import pool from "../db.js";
 import Stripe from "stripe";
 import dotenv from "dotenv";
 import bodyParser from "body-parser";
+import { requireAdmin, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { billingCheckoutSchema } from "../utils/schemas.js";
 
 dotenv.config();
 
@@ -30,6 +34,18 @@ function poundsFromCents(n) {
   return (Number(n ?? 0) / 100);
 }
 
+// One row per affected customer; Stripe retries are ignored by the unique key
+async function recordDirectDebitEvent(customerIds, { event, mandateId, stripeEventId }) {
+  for (const customerId of customerIds) {
+    await pool.query(
+      `INSERT INTO direct_debit_events (customer_id, event, mandate_id, stripe_event_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (stripe_event_id, customer_id) DO NOTHING;`,
+      [customerId, event, mandateId || null, stripeEventId]
+    );
+  }
+}
+
 async function upsertPaymentByReference({
   reference,            // Stripe PI id or CSI id
   orderId,              // PJH order id (int)
@@ -97,12 +113,9 @@ async function ensureStripeCustomerId(customerId) {
    💳 POST /api/billing/checkout
    Create a Stripe Checkout (subscription) session
 ============================================================ */
-router.post("/checkout", async (req, res) => {
+router.post("/checkout", requireAdmin, requirePermission("payments:write"), validate({ body: billingCheckoutSchema }), async (req, res) => {
   try {
     const { orderId, customerId, packageId, maintenanceId } = req.body;
-    if (!orderId || !customerId) {
-      return res.status(400).json({ error: "orderId and customerId are required" });
-    }
 
     const stripeCustomerId = await ensureStripeCustomerId(customerId);
     if (!stripeCustomerId) {
@@ -237,19 +250,48 @@ router.post(
           }
 
           if (stripeCustomerId) {
-            await pool.query(
+            const { rows: updated } = await pool.query(
               `UPDATE customers 
                  SET stripe_mandate_id=$1,
                      stripe_payment_method_id=$2,
                      direct_debit_active=true
-               WHERE stripe_customer_id=$3`,
+               WHERE stripe_customer_id=$3
+               RETURNING id`,
               [mandateId, paymentMethodId, stripeCustomerId]
             );
+            await recordDirectDebitEvent(updated.map((c) => c.id), {
+              event: "mandate_created",
+              mandateId,
+              stripeEventId: event.id,
+            });
             console.log(`🏦 Direct Debit setup stored — customer ${stripeCustomerId}`);
           }
           break;
         }
 
+        /* --------------------------------------------------------
+           🏦 Mandate status change (active / inactive / pending)
+           - An inactive mandate can no longer be charged
+        --------------------------------------------------------- */
+        case "mandate.updated": {
+          const mandate = event.data.object;
+          const { rows: customers } = await pool.query(
+            mandate.status === "inactive"
+              ? `UPDATE customers SET direct_debit_active=false
+                 WHERE stripe_mandate_id=$1
+                 RETURNING id`
+              : "SELECT id FROM customers WHERE stripe_mandate_id=$1",
+            [mandate.id]
+          );
+          await recordDirectDebitEvent(customers.map((c) => c.id), {
+            event: `mandate_${mandate.status}`,
+            mandateId: mandate.id,
+            stripeEventId: event.id,
+          });
+          console.log(`🏦 Mandate ${mandate.id} is now ${mandate.status}`);
+          break;
+        }
+
         /* --------------------------------------------------------
            💸 Direct Debit / Maintenance charge lifecycle
            (automation creates PI with metadata: order_id, type=maintenance)
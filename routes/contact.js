@@ -5,6 +5,10 @@
 import express from "express";
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { contactSchema } from "../utils/schemas.js";
+import { createLead, markLeadNotified } from "../utils/leads.js";
 
 dotenv.config();
 const router = express.Router();
@@ -38,16 +42,19 @@ transporter.verify((err, success) => {
 // ============================================
 // POST /api/contact
 // ============================================
-router.post("/", async (req, res) => {
+const contactLimit = rateLimit("contact", { identifier: (req) => req.body?.email });
+
+router.post("/", contactLimit, validate({ body: contactSchema }), async (req, res) => {
   const { name, email, phone, message } = req.body;
 
   // -----------------------------
-  // Basic validation
+  // Store the enquiry as a lead first (survives SMTP failure)
   // -----------------------------
-  if (!name || !email || !phone || !message) {
-    return res
-      .status(400)
-      .json({ success: false, error: "All fields (name, email, phone, message) are required." });
+  let lead = null;
+  try {
+    lead = await createLead({ name, email, phone, message, source: "contact_form" });
+  } catch (error) {
+    console.error("❌ Lead save error:", error.message);
   }
 
   // -----------------------------
@@ -96,12 +103,16 @@ Sent automatically from the PJH Web Services website contact form.
   // -----------------------------
   try {
     await transporter.sendMail(mailOptions);
+    if (lead) await markLeadNotified(lead.id);
     console.log(`📧 Contact form email sent successfully from ${name} <${email}>`);
-    res.status(200).json({ success: true, message: "Email sent successfully." });
   } catch (error) {
     console.error("❌ Email send error:", error.message);
-    res.status(500).json({ success: false, error: "Email failed to send." });
+    if (!lead) {
+      return res.status(500).json({ success: false, error: "Email failed to send." });
+    }
   }
+
+  res.status(200).json({ success: true, message: "Thanks — your message has been received." });
 });
 
 export default router;
@@ -0,0 +1,172 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Contacts API
+ * ============================================================
+ * People attached to a customer, each with roles that decide
+ * who receives quotes, invoices and payment requests
+ * (see utils/customerContacts.js):
+ *   • GET    /api/customers/:id/contacts
+ *   • POST   /api/customers/:id/contacts
+ *   • PUT    /api/customers/:id/contacts/:contactId
+ *   • DELETE /api/customers/:id/contacts/:contactId
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { CONTACT_COLUMNS, getCustomerContacts } from "../utils/customerContacts.js";
+import { normalisePhoneE164 } from "../utils/ukFormats.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { contactCreateSchema, contactUpdateSchema } from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+router.param("contactId", validateId);
+
+const uniqueRoles = (roles) => (roles ? [...new Set(roles)] : null);
+
+/* ============================================================
+   📇 GET /api/customers/:id/contacts
+============================================================ */
+router.get("/:id/contacts", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const rows = await getCustomerContacts(id);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][Contacts] Error fetching contacts:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch contacts." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/customers/:id/contacts
+============================================================ */
+router.post("/:id/contacts", requirePermission("customers:write"), validate({ body: contactCreateSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { name, email, phone, job_title, roles } = req.body;
+
+  try {
+    const { rows: customers } = await pool.query("SELECT id FROM customers WHERE id = $1;", [id]);
+    if (!customers.length)
+      return res.status(404).json({ success: false, error: "Customer not found." });
+
+    const { rows } = await pool.query(
+      `INSERT INTO customer_contacts (customer_id, name, email, phone, job_title, roles)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING ${CONTACT_COLUMNS};`,
+      [
+        id,
+        name.trim(),
+        email.trim().toLowerCase(),
+        normalisePhoneE164(phone) || null,
+        job_title?.trim() || null,
+        uniqueRoles(roles) || [],
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "customer_contact",
+      entityId: rows[0].id,
+      after: rows[0],
+      meta: { customer_id: Number(id) },
+    });
+
+    console.log(`📇 [DB][Contacts] Added "${rows[0].name}" to customer #${id}`);
+    res.status(201).json({ success: true, message: "Contact added.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][Contacts] Error creating contact:", err);
+    res.status(500).json({ success: false, error: "Failed to add contact." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/customers/:id/contacts/:contactId
+============================================================ */
+router.put("/:id/contacts/:contactId", requirePermission("customers:write"), validate({ body: contactUpdateSchema }), async (req, res) => {
+  const { id, contactId } = req.params;
+  const { name, email, phone, job_title, roles } = req.body;
+
+  try {
+    const { rows: beforeRows } = await pool.query(
+      `SELECT ${CONTACT_COLUMNS} FROM customer_contacts WHERE id = $1 AND customer_id = $2;`,
+      [contactId, id]
+    );
+    if (!beforeRows.length)
+      return res.status(404).json({ success: false, error: "Contact not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE customer_contacts
+       SET name = COALESCE($1, name),
+           email = COALESCE($2, email),
+           phone = CASE WHEN $3::boolean THEN $4 ELSE phone END,
+           job_title = CASE WHEN $5::boolean THEN $6 ELSE job_title END,
+           roles = COALESCE($7, roles),
+           updated_at = NOW()
+       WHERE id = $8
+       RETURNING ${CONTACT_COLUMNS};`,
+      [
+        name?.trim() || null,
+        email?.trim().toLowerCase() || null,
+        phone !== undefined,
+        normalisePhoneE164(phone) || null,
+        job_title !== undefined,
+        job_title?.trim() || null,
+        uniqueRoles(roles),
+        contactId,
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "customer_contact",
+      entityId: contactId,
+      before: beforeRows[0],
+      after: rows[0],
+      meta: { customer_id: Number(id) },
+    });
+
+    console.log(`📝 [DB][Contacts] Updated (ID: ${contactId})`);
+    res.json({ success: true, message: "Contact updated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][Contacts] Error updating contact:", err);
+    res.status(500).json({ success: false, error: "Failed to update contact." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/customers/:id/contacts/:contactId
+============================================================ */
+router.delete("/:id/contacts/:contactId", requirePermission("customers:write"), async (req, res) => {
+  const { id, contactId } = req.params;
+
+  try {
+    const { rows } = await pool.query(
+      `DELETE FROM customer_contacts WHERE id = $1 AND customer_id = $2
+       RETURNING ${CONTACT_COLUMNS};`,
+      [contactId, id]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Contact not found." });
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "customer_contact",
+      entityId: contactId,
+      before: rows[0],
+      meta: { customer_id: Number(id) },
+    });
+
+    console.log(`🗑️ [DB][Contacts] Deleted (ID: ${contactId})`);
+    res.json({ success: true, message: "Contact deleted." });
+  } catch (err) {
+    console.error("❌ [DB][Contacts] Error deleting contact:", err);
+    res.status(500).json({ success: false, error: "Failed to delete contact." });
+  }
+});
+
+export default router;
@@ -0,0 +1,470 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Tags, Segments & Bulk Actions
+ * ============================================================
+ * Mounted on /api/customers ahead of the main customer router
+ * so /tags and /segments are not mistaken for customer IDs.
+ *
+ * Tags:
+ *   • GET    /api/customers/tags
+ *   • POST   /api/customers/tags
+ *   • PUT    /api/customers/tags/:tagId
+ *   • DELETE /api/customers/tags/:tagId
+ *   • POST   /api/customers/:id/tags          → { tag_ids }
+ *   • DELETE /api/customers/:id/tags/:tagId
+ *
+ * Segments (saved filter rules, see utils/customerSegments.js):
+ *   • GET/POST           /api/customers/segments
+ *   • GET/PUT/DELETE     /api/customers/segments/:segmentId
+ *   • GET  /api/customers/segments/:segmentId/customers   (paginated)
+ *   • GET  /api/customers/segments/:segmentId/export.csv
+ *   • POST /api/customers/segments/:segmentId/actions/tag    → { tag_id }
+ *   • POST /api/customers/segments/:segmentId/actions/email  → { subject, message }
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, actorFromRequest } from "../utils/audit.js";
+import { searchCustomers, listCustomers } from "../utils/customers.js";
+import { cleanRules, segmentFilters, CUSTOMER_CSV_COLUMNS } from "../utils/customerSegments.js";
+import { resolveRecipient } from "../utils/customerContacts.js";
+import { queueEmails } from "../utils/emailQueue.js";
+import { customerMessageTemplate } from "../utils/emailTemplates.js";
+import { toCsv } from "../utils/csv.js";
+import { validate, validateId } from "../middleware/validate.js";
+import {
+  tagCreateSchema,
+  tagUpdateSchema,
+  customerTagsSchema,
+  segmentCreateSchema,
+  segmentUpdateSchema,
+  segmentTagActionSchema,
+  segmentEmailActionSchema,
+  customerSearchQuerySchema,
+} from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+router.param("tagId", validateId);
+router.param("segmentId", validateId);
+
+const isUniqueViolation = (err) => err.code === "23505";
+
+async function loadSegment(id) {
+  const { rows } = await pool.query("SELECT * FROM customer_segments WHERE id = $1;", [id]);
+  return rows[0] || null;
+}
+
+/* ============================================================
+   🏷️ GET /api/customers/tags — with usage counts
+============================================================ */
+router.get("/tags", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT t.*, COUNT(l.customer_id)::int AS customer_count
+      FROM customer_tags t
+      LEFT JOIN customer_tag_links l ON l.tag_id = t.id
+      GROUP BY t.id
+      ORDER BY LOWER(t.name);
+    `);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][Tags] Error fetching tags:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch tags." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/customers/tags
+============================================================ */
+router.post("/tags", requirePermission("customers:write"), validate({ body: tagCreateSchema }), async (req, res) => {
+  const { name, colour } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO customer_tags (name, colour) VALUES ($1, $2) RETURNING *;`,
+      [name.trim(), colour?.trim() || null]
+    );
+
+    await recordAudit(req, { action: "create", entityType: "customer_tag", entityId: rows[0].id, after: rows[0] });
+
+    console.log(`🏷️ [DB][Tags] Created "${rows[0].name}"`);
+    res.status(201).json({ success: true, message: "Tag created.", data: rows[0] });
+  } catch (err) {
+    if (isUniqueViolation(err))
+      return res.status(409).json({ success: false, error: "A tag with that name already exists." });
+    console.error("❌ [DB][Tags] Error creating tag:", err);
+    res.status(500).json({ success: false, error: "Failed to create tag." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/customers/tags/:tagId
+============================================================ */
+router.put("/tags/:tagId", requirePermission("customers:write"), validate({ body: tagUpdateSchema }), async (req, res) => {
+  const { tagId } = req.params;
+  const { name, colour } = req.body;
+  try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM customer_tags WHERE id = $1;", [tagId]);
+    if (!beforeRows.length)
+      return res.status(404).json({ success: false, error: "Tag not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE customer_tags
+       SET name = COALESCE($1, name),
+           colour = CASE WHEN $2::boolean THEN $3 ELSE colour END
+       WHERE id = $4
+       RETURNING *;`,
+      [name?.trim() || null, colour !== undefined, colour?.trim() || null, tagId]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "customer_tag",
+      entityId: tagId,
+      before: beforeRows[0],
+      after: rows[0],
+    });
+
+    res.json({ success: true, message: "Tag updated.", data: rows[0] });
+  } catch (err) {
+    if (isUniqueViolation(err))
+      return res.status(409).json({ success: false, error: "A tag with that name already exists." });
+    console.error("❌ [DB][Tags] Error updating tag:", err);
+    res.status(500).json({ success: false, error: "Failed to update tag." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/customers/tags/:tagId — also untags customers
+============================================================ */
+router.delete("/tags/:tagId", requirePermission("customers:write"), async (req, res) => {
+  const { tagId } = req.params;
+  try {
+    const { rows } = await pool.query("DELETE FROM customer_tags WHERE id = $1 RETURNING *;", [tagId]);
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Tag not found." });
+
+    await recordAudit(req, { action: "delete", entityType: "customer_tag", entityId: tagId, before: rows[0] });
+
+    console.log(`🗑️ [DB][Tags] Deleted "${rows[0].name}"`);
+    res.json({ success: true, message: "Tag deleted." });
+  } catch (err) {
+    console.error("❌ [DB][Tags] Error deleting tag:", err);
+    res.status(500).json({ success: false, error: "Failed to delete tag." });
+  }
+});
+
+/* ============================================================
+   🏷️ POST /api/customers/:id/tags — add tags to a customer
+============================================================ */
+router.post("/:id/tags", requirePermission("customers:write"), validate({ body: customerTagsSchema }), async (req, res) => {
+  const { id } = req.params;
+  const tagIds = [...new Set(req.body.tag_ids.map(Number))];
+
+  try {
+    const { rows: customers } = await pool.query("SELECT id FROM customers WHERE id = $1;", [id]);
+    if (!customers.length)
+      return res.status(404).json({ success: false, error: "Customer not found." });
+
+    const { rowCount } = await pool.query(
+      `INSERT INTO customer_tag_links (customer_id, tag_id)
+       SELECT $1, t.id FROM customer_tags t WHERE t.id = ANY($2::int[])
+       ON CONFLICT DO NOTHING;`,
+      [id, tagIds]
+    );
+
+    await recordAudit(req, { action: "tag", entityType: "customer", entityId: id, meta: { tag_ids: tagIds } });
+
+    res.json({ success: true, message: `${rowCount} tag(s) added.`, added: rowCount });
+  } catch (err) {
+    console.error("❌ [DB][Tags] Error tagging customer:", err);
+    res.status(500).json({ success: false, error: "Failed to tag customer." });
+  }
+});
+
+/* ============================================================
+   🏷️ DELETE /api/customers/:id/tags/:tagId
+============================================================ */
+router.delete("/:id/tags/:tagId", requirePermission("customers:write"), async (req, res) => {
+  const { id, tagId } = req.params;
+  try {
+    const { rowCount } = await pool.query(
+      "DELETE FROM customer_tag_links WHERE customer_id = $1 AND tag_id = $2;",
+      [id, tagId]
+    );
+    if (!rowCount)
+      return res.status(404).json({ success: false, error: "Customer does not have that tag." });
+
+    await recordAudit(req, { action: "untag", entityType: "customer", entityId: id, meta: { tag_id: Number(tagId) } });
+
+    res.json({ success: true, message: "Tag removed." });
+  } catch (err) {
+    console.error("❌ [DB][Tags] Error untagging customer:", err);
+    res.status(500).json({ success: false, error: "Failed to remove tag." });
+  }
+});
+
+/* ============================================================
+   📂 GET /api/customers/segments
+============================================================ */
+router.get("/segments", async (_req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM customer_segments ORDER BY LOWER(name);");
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error fetching segments:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch segments." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/customers/segments
+============================================================ */
+router.post("/segments", requirePermission("customers:write"), validate({ body: segmentCreateSchema }), async (req, res) => {
+  const { name, description, rules } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO customer_segments (name, description, rules, created_by)
+       VALUES ($1, $2, $3::jsonb, $4)
+       RETURNING *;`,
+      [name.trim(), description?.trim() || null, JSON.stringify(cleanRules(rules)), actorFromRequest(req).name]
+    );
+
+    await recordAudit(req, { action: "create", entityType: "customer_segment", entityId: rows[0].id, after: rows[0] });
+
+    console.log(`📂 [DB][Segments] Created "${rows[0].name}"`);
+    res.status(201).json({ success: true, message: "Segment created.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error creating segment:", err);
+    res.status(500).json({ success: false, error: "Failed to create segment." });
+  }
+});
+
+/* ============================================================
+   📂 GET /api/customers/segments/:segmentId — with match count
+============================================================ */
+router.get("/segments/:segmentId", async (req, res) => {
+  try {
+    const segment = await loadSegment(req.params.segmentId);
+    if (!segment)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const { total } = await searchCustomers({ ...segmentFilters(segment.rules), limit: 1 });
+    res.json({ success: true, data: { ...segment, customer_count: total } });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error fetching segment:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch segment." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/customers/segments/:segmentId
+============================================================ */
+router.put("/segments/:segmentId", requirePermission("customers:write"), validate({ body: segmentUpdateSchema }), async (req, res) => {
+  const { segmentId } = req.params;
+  const { name, description, rules } = req.body;
+  try {
+    const before = await loadSegment(segmentId);
+    if (!before)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE customer_segments
+       SET name = COALESCE($1, name),
+           description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+           rules = COALESCE($4::jsonb, rules),
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING *;`,
+      [
+        name?.trim() || null,
+        description !== undefined,
+        description?.trim() || null,
+        rules ? JSON.stringify(cleanRules(rules)) : null,
+        segmentId,
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "customer_segment",
+      entityId: segmentId,
+      before,
+      after: rows[0],
+    });
+
+    res.json({ success: true, message: "Segment updated.", data: rows[0] });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error updating segment:", err);
+    res.status(500).json({ success: false, error: "Failed to update segment." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/customers/segments/:segmentId
+============================================================ */
+router.delete("/segments/:segmentId", requirePermission("customers:write"), async (req, res) => {
+  const { segmentId } = req.params;
+  try {
+    const { rows } = await pool.query("DELETE FROM customer_segments WHERE id = $1 RETURNING *;", [segmentId]);
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    await recordAudit(req, { action: "delete", entityType: "customer_segment", entityId: segmentId, before: rows[0] });
+
+    res.json({ success: true, message: "Segment deleted." });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error deleting segment:", err);
+    res.status(500).json({ success: false, error: "Failed to delete segment." });
+  }
+});
+
+/* ============================================================
+   👥 GET /api/customers/segments/:segmentId/customers
+   Matching customers — same sort / limit / cursor as GET /api/customers
+============================================================ */
+router.get("/segments/:segmentId/customers", validate({ query: customerSearchQuerySchema }), async (req, res) => {
+  try {
+    const segment = await loadSegment(req.params.segmentId);
+    if (!segment)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const { rows, total, nextCursor } = await searchCustomers({
+      ...segmentFilters(segment.rules),
+      sort: req.query.sort || undefined,
+      order: req.query.order || undefined,
+      limit: Number(req.query.limit) || undefined,
+      cursor: req.query.cursor || undefined,
+    });
+
+    res.json({ success: true, data: rows, count: rows.length, total, next_cursor: nextCursor });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error fetching segment customers:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch segment customers." });
+  }
+});
+
+/* ============================================================
+   📄 GET /api/customers/segments/:segmentId/export.csv
+============================================================ */
+router.get("/segments/:segmentId/export.csv", requirePermission("customers:export"), async (req, res) => {
+  try {
+    const segment = await loadSegment(req.params.segmentId);
+    if (!segment)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const rows = await listCustomers(segmentFilters(segment.rules));
+
+    await recordAudit(req, {
+      action: "export",
+      entityType: "customer_segment",
+      entityId: segment.id,
+      meta: { customers: rows.length },
+    });
+
+    const fileName = `PJH_Segment_${segment.name.replace(/[^A-Za-z0-9]+/g, "_")}.csv`;
+    res.attachment(fileName).type("text/csv").send(toCsv(rows, CUSTOMER_CSV_COLUMNS));
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error exporting segment:", err);
+    res.status(500).json({ success: false, error: "Failed to export segment." });
+  }
+});
+
+/* ============================================================
+   🏷️ POST /api/customers/segments/:segmentId/actions/tag
+============================================================ */
+router.post("/segments/:segmentId/actions/tag", requirePermission("customers:write"), validate({ body: segmentTagActionSchema }), async (req, res) => {
+  const tagId = Number(req.body.tag_id);
+  try {
+    const segment = await loadSegment(req.params.segmentId);
+    if (!segment)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const { rows: tags } = await pool.query("SELECT id, name FROM customer_tags WHERE id = $1;", [tagId]);
+    if (!tags.length)
+      return res.status(404).json({ success: false, error: "Tag not found." });
+
+    const ids = (await listCustomers(segmentFilters(segment.rules))).map((c) => c.id);
+    const { rowCount } = await pool.query(
+      `INSERT INTO customer_tag_links (customer_id, tag_id)
+       SELECT UNNEST($1::int[]), $2
+       ON CONFLICT DO NOTHING;`,
+      [ids, tagId]
+    );
+
+    await recordAudit(req, {
+      action: "bulk_tag",
+      entityType: "customer_segment",
+      entityId: segment.id,
+      meta: { tag_id: tagId, matched: ids.length, added: rowCount },
+    });
+
+    console.log(`🏷️ [DB][Segments] Tagged ${rowCount} customer(s) "${tags[0].name}" via "${segment.name}"`);
+    res.json({
+      success: true,
+      message: `Tag "${tags[0].name}" applied to ${rowCount} customer(s).`,
+      matched: ids.length,
+      added: rowCount,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error applying tag:", err);
+    res.status(500).json({ success: false, error: "Failed to apply tag." });
+  }
+});
+
+/* ============================================================
+   📣 POST /api/customers/segments/:segmentId/actions/email
+   Queues one email per matching customer (marketing contact
+   if set); the email queue sends them in batches.
+============================================================ */
+router.post("/segments/:segmentId/actions/email", requirePermission("customers:write"), validate({ body: segmentEmailActionSchema }), async (req, res) => {
+  const subject = req.body.subject.trim();
+  const { message } = req.body;
+
+  try {
+    const segment = await loadSegment(req.params.segmentId);
+    if (!segment)
+      return res.status(404).json({ success: false, error: "Segment not found." });
+
+    const customers = await listCustomers(segmentFilters(segment.rules));
+    const messages = [];
+    for (const customer of customers) {
+      const recipient = await resolveRecipient(customer.id, "marketing");
+      if (!recipient?.email) continue;
+      messages.push({
+        to: recipient.email,
+        subject,
+        html: customerMessageTemplate({ customerName: recipient.name, subject, message }),
+        customerId: customer.id,
+      });
+    }
+
+    const queued = await queueEmails(messages, {
+      segmentId: segment.id,
+      queuedBy: actorFromRequest(req).name,
+    });
+
+    await recordAudit(req, {
+      action: "bulk_email",
+      entityType: "customer_segment",
+      entityId: segment.id,
+      meta: { subject, matched: customers.length, queued },
+    });
+
+    console.log(`📣 [DB][Segments] Queued ${queued} email(s) for "${segment.name}"`);
+    res.status(202).json({
+      success: true,
+      message: `${queued} email(s) queued for sending.`,
+      matched: customers.length,
+      queued,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Segments] Error queueing segment email:", err);
+    res.status(500).json({ success: false, error: "Failed to queue emails." });
+  }
+});
+
+export default router;
@@ -4,34 +4,127 @@
  * ============================================================
  * Central CRM API for PJH Web Services:
  *   • Full CRUD for customer profiles
+ *   • Search, filters, sorting + cursor pagination on the list
  *   • Joins with quotes and orders for admin panels
  *   • Cascade-safe deletions (removes related quotes + orders)
+ *   • GDPR subject-access export (ZIP + JSON manifest)
+ *   • GDPR erasure by anonymisation (financial rows retained)
+ *   • Duplicate detection + merge
+ *   • Tag filtering (tags/segments live in customerSegments.js)
+ *   • CSV import (mapping + dry run) and CSV export
+ *   • Activity timeline across quotes, orders, payments + emails
+ *   • Statements of account (JSON / PDF / email)
  *   • Consistent JSON schema across all endpoints
  * ============================================================
  */
 
 import express from "express";
 import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import {
+  getCustomerQuotes,
+  getCustomerOrders,
+  searchCustomers,
+  listCustomers,
+} from "../utils/customers.js";
+import { recordAudit, actorFromRequest } from "../utils/audit.js";
+import { buildCustomerExport } from "../utils/customerExport.js";
+import { eraseCustomer } from "../utils/customerErasure.js";
+import { findDuplicates, mergeCustomers } from "../utils/customerMerge.js";
+import { analyseImport, summariseImport, commitImport } from "../utils/customerImport.js";
+import { CUSTOMER_CSV_COLUMNS } from "../utils/customerSegments.js";
+import { toCsv } from "../utils/csv.js";
+import { getCustomerTimeline } from "../utils/customerTimeline.js";
+import {
+  buildStatement,
+  generateStatementPDF,
+  statementFileName,
+  issueStatementNumber,
+  markStatementSent,
+} from "../utils/statement.js";
+import { resolveRecipient } from "../utils/customerContacts.js";
+import { sendEmail } from "../utils/email.js";
+import { statementEmailTemplate } from "../utils/emailTemplates.js";
+import { normaliseCustomerDetails } from "../utils/ukFormats.js";
+import { validate, validateId, sendValidationError } from "../middleware/validate.js";
+import {
+  customerSchema,
+  customerErasureSchema,
+  customerSearchQuerySchema,
+  customerMergeSchema,
+  customerImportQuerySchema,
+  customerCsvExportQuerySchema,
+  customerTimelineQuerySchema,
+  statementQuerySchema,
+  statementEmailSchema,
+} from "../utils/schemas.js";
 
 const router = express.Router();
 
+router.param("id", validateId);
+
+const FRONTEND_URL =
+  process.env.FRONTEND_URL ||
+  (process.env.NODE_ENV === "development"
+    ? "http://localhost:5173"
+    : "https://www.pjhwebservices.co.uk");
+
+const invalidRange = ({ from, to }) =>
+  from && to && from > to
+    ? [{ field: "from", location: "query", message: "must be on or before to" }]
+    : null;
+
+// Shared by the list and CSV export: query string → searchCustomers() filters
+function filtersFromQuery(query) {
+  const flag = (value) => (value === undefined || value === "" ? undefined : value === "true");
+  return {
+    q: query.q?.trim() || undefined,
+    directDebitActive: flag(query.direct_debit_active),
+    paymentMethod: query.payment_method || undefined,
+    hasBalance: flag(query.has_balance),
+    createdFrom: query.created_from || undefined,
+    createdTo: query.created_to || undefined,
+    tagsAny: query.tags
+      ? query.tags.split(",").map((t) => t.trim()).filter(Boolean)
+      : undefined,
+  };
+}
+
 /* ============================================================
    🧱 GET /api/customers
-   Fetch all customers
+   Search + list customers (each row includes balance_due)
+
+   Query (all optional):
+     q                    name / business / email / phone / postcode
+     direct_debit_active  true | false
+     payment_method       card | direct_debit | mixed
+     has_balance          true | false (outstanding balance)
+     created_from, created_to   ISO dates (inclusive)
+     tags                 comma-separated tag names (matches any)
+     sort                 any customer column or balance_due
+     order                asc | desc (default desc)
+     limit                1–200 (default 50)
+     cursor               next_cursor from the previous page
 ============================================================ */
-router.get("/", async (_req, res) => {
+router.get("/", validate({ query: customerSearchQuerySchema }), async (req, res) => {
+  const query = req.query;
+
   try {
-    const { rows } = await pool.query(`
-      SELECT *
-      FROM customers
-      ORDER BY created_at DESC;
-    `);
+    const { rows, total, nextCursor } = await searchCustomers({
+      ...filtersFromQuery(query),
+      sort: query.sort || undefined,
+      order: query.order || undefined,
+      limit: Number(query.limit) || undefined,
+      cursor: query.cursor || undefined,
+    });
 
     res.json({
       success: true,
       message: "Customers retrieved successfully.",
       data: rows,
       count: rows.length,
+      total,
+      next_cursor: nextCursor,
     });
   } catch (err) {
     console.error("❌ [DB][Customers] Error fetching customers:", err);
@@ -42,50 +135,183 @@ router.get("/", async (_req, res) => {
   }
 });
 
+/* ============================================================
+   👯 GET /api/customers/duplicates
+   Likely duplicate pairs across all customers, best match first
+   (declared before /:id so "duplicates" is not read as an ID)
+============================================================ */
+router.get("/duplicates", async (_req, res) => {
+  try {
+    const pairs = await findDuplicates();
+    res.json({ success: true, data: pairs, count: pairs.length });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error finding duplicates:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to find duplicate customers.",
+    });
+  }
+});
+
+/* ============================================================
+   📄 GET /api/customers/export.csv
+   Same filters as the list; ?columns=id,name,email picks and
+   orders the columns (default: all of CUSTOMER_CSV_COLUMNS)
+============================================================ */
+router.get("/export.csv", requirePermission("customers:export"), validate({ query: customerCsvExportQuerySchema }), async (req, res) => {
+  const columns = req.query.columns
+    ? [...new Set(req.query.columns.split(",").map((c) => c.trim()).filter(Boolean))]
+    : CUSTOMER_CSV_COLUMNS;
+
+  try {
+    const rows = await listCustomers(filtersFromQuery(req.query));
+
+    await recordAudit(req, {
+      action: "export_csv",
+      entityType: "customer",
+      meta: { customers: rows.length, columns },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res
+      .attachment(`PJH_Customers_${date}.csv`)
+      .type("text/csv")
+      .send(toCsv(rows, columns));
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error exporting customers CSV:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export customers.",
+    });
+  }
+});
+
+/* ============================================================
+   📥 POST /api/customers/import
+   Body: raw CSV (Content-Type: text/csv), first row = headers.
+
+   Query:
+     dry_run             true → validate + report only (no writes)
+     include_duplicates  true → also create rows flagged as duplicates
+     mapping[field]      CSV header for a customer field, e.g.
+                         mapping[name]=Contact%20Name — omit to
+                         auto-match headers by name
+
+   A commit is refused (422) while any row is invalid, and runs
+   in one transaction, so a file is imported whole or not at all.
+============================================================ */
+router.post(
+  "/import",
+  requirePermission("customers:write"),
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" }),
+  validate({ query: customerImportQuerySchema }),
+  async (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Send the CSV as the request body with Content-Type: text/csv.",
+      });
+    }
+
+    const dryRun = req.query.dry_run === "true";
+    const includeDuplicates = req.query.include_duplicates === "true";
+
+    try {
+      const analysis = await analyseImport(req.body, { mapping: req.query.mapping });
+      if (analysis.status === "invalid_file") {
+        return res.status(400).json({ success: false, error: analysis.error });
+      }
+
+      const summary = summariseImport(analysis.rows);
+      const report = { mapping: analysis.mapping, summary, rows: analysis.rows };
+
+      if (dryRun) {
+        return res.json({
+          success: true,
+          message: `Dry run: ${summary.valid} of ${summary.rows} row(s) ready to import.`,
+          dry_run: true,
+          ...report,
+        });
+      }
+
+      if (summary.invalid) {
+        return res.status(422).json({
+          success: false,
+          error: `${summary.invalid} row(s) failed validation — nothing was imported.`,
+          ...report,
+        });
+      }
+
+      const created = await commitImport(analysis.rows, { includeDuplicates });
+
+      await recordAudit(req, {
+        action: "import",
+        entityType: "customer",
+        meta: {
+          ...summary,
+          created: created.length,
+          include_duplicates: includeDuplicates,
+          customer_ids: created.map((c) => c.id),
+        },
+      });
+
+      console.log(`📥 [DB][Customers] Imported ${created.length} customer(s) from CSV`);
+      res.status(201).json({
+        success: true,
+        message: `${created.length} customer(s) imported.`,
+        dry_run: false,
+        created: created.length,
+        data: created,
+        ...report,
+      });
+    } catch (err) {
+      console.error("❌ [DB][Customers] Error importing customers:", err);
+      res.status(500).json({
+        success: false,
+        error: "Failed to import customers.",
+      });
+    }
+  }
+);
+
 /* ============================================================
    ➕ POST /api/customers
    Create a new customer
 ============================================================ */
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("customers:write"), validate({ body: customerSchema }), async (req, res) => {
   const {
     business,
     name,
     email,
-    phone,
     address1,
     address2,
     city,
     county,
-    postcode,
     notes,
   } = req.body;
-
-  if (!name || !email) {
-    return res.status(400).json({
-      success: false,
-      error: "Name and email are required to create a customer.",
-    });
-  }
+  const { phone, postcode, vat_number } = normaliseCustomerDetails(req.body);
 
   try {
     const { rows } = await pool.query(
       `
       INSERT INTO customers 
-        (business, name, email, phone, address1, address2, city, county, postcode, notes, created_at, updated_at)
+        (business, name, email, phone, address1, address2, city, county, postcode, vat_number, notes,
+         created_at, updated_at)
       VALUES 
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,NOW(),NOW())
+        ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,NOW(),NOW())
       RETURNING *;
       `,
       [
         business?.trim() || null,
         name.trim(),
         email.trim().toLowerCase(),
-        phone?.trim() || null,
+        phone || null,
         address1?.trim() || null,
         address2?.trim() || null,
         city?.trim() || null,
         county?.trim() || null,
-        postcode?.trim() || null,
+        postcode || null,
+        vat_number || null,
         notes?.trim() || null,
       ]
     );
@@ -93,6 +319,13 @@ router.post("/", async (req, res) => {
     if (!rows.length) throw new Error("Customer insert returned no data.");
 
     const customer = rows[0];
+    await recordAudit(req, {
+      action: "create",
+      entityType: "customer",
+      entityId: customer.id,
+      after: customer,
+    });
+
     console.log(`✅ [DB][Customers] Created: ${customer.name} (ID: ${customer.id})`);
     res.status(201).json({
       success: true,
@@ -143,22 +376,23 @@ router.get("/:id", async (req, res) => {
    ✏️ PUT /api/customers/:id
    Update existing customer
 ============================================================ */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("customers:write"), validate({ body: customerSchema }), async (req, res) => {
   const { id } = req.params;
   const {
     business,
     name,
     email,
-    phone,
     address1,
     address2,
     city,
     county,
-    postcode,
     notes,
   } = req.body;
+  const { phone, postcode, vat_number } = normaliseCustomerDetails(req.body);
 
   try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM customers WHERE id = $1;", [id]);
+
     const { rows } = await pool.query(
       `
       UPDATE customers
@@ -172,21 +406,23 @@ router.put("/:id", async (req, res) => {
         city = $7,
         county = $8,
         postcode = $9,
-        notes = $10,
+        vat_number = $10,
+        notes = $11,
         updated_at = NOW()
-      WHERE id = $11
+      WHERE id = $12
       RETURNING *;
       `,
       [
         business?.trim() || null,
         name?.trim() || null,
         email?.trim()?.toLowerCase() || null,
-        phone?.trim() || null,
+        phone || null,
         address1?.trim() || null,
         address2?.trim() || null,
         city?.trim() || null,
         county?.trim() || null,
-        postcode?.trim() || null,
+        postcode || null,
+        vat_number || null,
         notes?.trim() || null,
         id,
       ]
@@ -199,6 +435,14 @@ router.put("/:id", async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "customer",
+      entityId: id,
+      before: beforeRows[0],
+      after: rows[0],
+    });
+
     console.log(`📝 [DB][Customers] Updated (ID: ${id})`);
     res.json({
       success: true,
@@ -216,18 +460,46 @@ router.put("/:id", async (req, res) => {
 
 /* ============================================================
    🗑️ DELETE /api/customers/:id
-   Delete customer and cascade related data
+   Delete customer and cascade related data. Refused once any
+   invoice or payment exists — those must be kept, so use
+   POST /api/customers/:id/erase instead.
 ============================================================ */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("customers:write"), async (req, res) => {
   const { id } = req.params;
   const client = await pool.connect();
 
   try {
     await client.query("BEGIN");
 
+    const { rows: beforeRows } = await client.query("SELECT * FROM customers WHERE id = $1;", [id]);
+
+    const { rows: financial } = await client.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM payments
+                 WHERE customer_id = $1
+                    OR order_id IN (SELECT id FROM orders WHERE customer_id = $1)) AS has_payments,
+         EXISTS (SELECT 1 FROM orders
+                 WHERE customer_id = $1 AND (deposit_invoiced OR balance_invoiced)) AS has_invoices;`,
+      [id]
+    );
+    if (financial[0].has_payments || financial[0].has_invoices) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        error:
+          "This customer has invoices or payments that must be retained. Use erasure (anonymisation) instead.",
+      });
+    }
+
     // Remove related quotes & orders first
-    await client.query("DELETE FROM orders WHERE customer_id = $1;", [id]);
-    await client.query("DELETE FROM quotes WHERE customer_id = $1;", [id]);
+    const { rowCount: ordersDeleted } = await client.query(
+      "DELETE FROM orders WHERE customer_id = $1;",
+      [id]
+    );
+    const { rowCount: quotesDeleted } = await client.query(
+      "DELETE FROM quotes WHERE customer_id = $1;",
+      [id]
+    );
 
     const { rowCount } = await client.query("DELETE FROM customers WHERE id = $1;", [id]);
 
@@ -240,6 +512,14 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "customer",
+      entityId: id,
+      before: beforeRows[0],
+      meta: { orders_deleted: ordersDeleted, quotes_deleted: quotesDeleted },
+    });
+
     console.log(`🗑️ [DB][Customers] Deleted (ID: ${id}) + related records`);
     res.json({
       success: true,
@@ -258,29 +538,164 @@ router.delete("/:id", async (req, res) => {
 });
 
 /* ============================================================
-   🧾 GET /api/customers/:id/quotes
-   Fetch all quotes for a customer
+   👯 GET /api/customers/:id/duplicates
+   Likely duplicates of one customer
 ============================================================ */
-router.get("/:id/quotes", async (req, res) => {
+router.get("/:id/duplicates", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const pairs = await findDuplicates({ customerId: id });
+    res.json({ success: true, data: pairs, count: pairs.length });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error finding duplicates:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to find duplicate customers.",
+    });
+  }
+});
+
+/* ============================================================
+   🔀 POST /api/customers/:id/merge
+   Fold customer `source_id` into :id (the surviving record)
+============================================================ */
+router.post("/:id/merge", requirePermission("customers:write"), validate({ body: customerMergeSchema }), async (req, res) => {
+  const { id } = req.params;
+  const sourceId = Number(req.body.source_id);
+
+  if (Number(id) === sourceId) {
+    return res.status(400).json({ success: false, error: "A customer cannot be merged into itself." });
+  }
+
+  try {
+    const result = await mergeCustomers(id, sourceId, {
+      mergedBy: actorFromRequest(req).name,
+    });
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, error: "Customer not found." });
+    if (result.status === "conflict")
+      return res.status(409).json({ success: false, error: result.error });
+
+    await recordAudit(req, {
+      action: "merge",
+      entityType: "customer",
+      entityId: id,
+      before: result.before,
+      after: result.customer,
+      meta: {
+        merge_id: result.merge.id,
+        merged_customer_id: sourceId,
+        moved: result.merge.moved,
+        orphaned_stripe_customer_id: result.merge.orphaned_stripe_customer_id,
+      },
+    });
+    await recordAudit(req, {
+      action: "merged_into",
+      entityType: "customer",
+      entityId: sourceId,
+      before: result.merge.merged_snapshot,
+      meta: { survivor_id: Number(id), merge_id: result.merge.id },
+    });
+
+    console.log(`🔀 [DB][Customers] Merged #${sourceId} into #${id}`);
+    res.json({
+      success: true,
+      message: "Customers merged successfully.",
+      data: result.customer,
+      merge: result.merge,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error merging customers:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to merge customers.",
+    });
+  }
+});
+
+/* ============================================================
+   🕶️ POST /api/customers/:id/erase
+   GDPR erasure — anonymise personal data, keep financial rows
+============================================================ */
+router.post("/:id/erase", requirePermission("customers:write"), validate({ body: customerErasureSchema }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await eraseCustomer(id, {
+      reason: req.body?.reason?.trim() || null,
+      requestedBy: actorFromRequest(req).name,
+    });
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, error: "Customer not found." });
+    if (result.status === "already_erased")
+      return res.status(409).json({ success: false, error: "Customer has already been erased." });
+
+    // No before/after snapshots — they would copy the erased data into the log
+    await recordAudit(req, {
+      action: result.status === "blocked" ? "erase_blocked" : "erase",
+      entityType: "customer",
+      entityId: id,
+      meta: { request_id: result.request.id, blockers: result.blockers || null },
+    });
+
+    if (result.status === "blocked") {
+      return res.status(409).json({
+        success: false,
+        error: "Erasure is blocked until the following are resolved.",
+        blockers: result.blockers,
+        request: result.request,
+      });
+    }
+
+    console.log(`🕶️ [DB][Customers] Erased personal data (ID: ${id})`);
+    res.json({
+      success: true,
+      message: "Customer personal data erased. Financial records have been retained.",
+      request: result.request,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error erasing customer:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to erase customer.",
+    });
+  }
+});
+
+/* ============================================================
+   📋 GET /api/customers/:id/erasure-requests
+   Erasure request history for a customer
+============================================================ */
+router.get("/:id/erasure-requests", async (req, res) => {
   const { id } = req.params;
   try {
     const { rows } = await pool.query(
-      `
-      SELECT q.*, 
-             p.name AS package_name,
-             p.price_oneoff,
-             p.price_monthly,
-             m.name AS maintenance_name,
-             m.price AS maintenance_monthly
-      FROM quotes q
-      LEFT JOIN packages p ON q.package_id = p.id
-      LEFT JOIN maintenance_plans m ON q.maintenance_id = m.id
-      WHERE q.customer_id = $1
-      ORDER BY q.created_at DESC;
-      `,
+      `SELECT * FROM customer_erasure_requests
+       WHERE customer_id = $1
+       ORDER BY requested_at DESC;`,
       [id]
     );
 
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error fetching erasure requests:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch erasure requests.",
+    });
+  }
+});
+
+/* ============================================================
+   🧾 GET /api/customers/:id/quotes
+   Fetch all quotes for a customer
+============================================================ */
+router.get("/:id/quotes", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const rows = await getCustomerQuotes(id);
+
     res.json({
       success: true,
       message: "Quotes retrieved successfully.",
@@ -302,20 +717,7 @@ router.get("/:id/quotes", async (req, res) => {
 router.get("/:id/orders", async (req, res) => {
   const { id } = req.params;
   try {
-    const { rows } = await pool.query(
-      `
-      SELECT o.*, 
-             c.name AS customer_name,
-             c.business AS customer_business,
-             o.maintenance_name,
-             o.maintenance_monthly
-      FROM orders o
-      JOIN customers c ON o.customer_id = c.id
-      WHERE o.customer_id = $1
-      ORDER BY o.created_at DESC;
-      `,
-      [id]
-    );
+    const rows = await getCustomerOrders(id);
 
     res.json({
       success: true,
@@ -331,4 +733,226 @@ router.get("/:id/orders", async (req, res) => {
   }
 });
 
+/* ============================================================
+   🕒 GET /api/customers/:id/timeline
+   Newest-first activity feed (see utils/customerTimeline.js)
+
+   Query (all optional):
+     types          comma-separated: quote, order, diary, payment,
+                    email, direct_debit (default: all)
+     from, to       ISO dates (inclusive)
+     limit          1–200 (default 50)
+     cursor         next_cursor from the previous page
+============================================================ */
+router.get("/:id/timeline", validate({ query: customerTimelineQuerySchema }), async (req, res) => {
+  const { id } = req.params;
+  const query = req.query;
+
+  try {
+    const timeline = await getCustomerTimeline(id, {
+      limit: Number(query.limit) || 50,
+      cursor: query.cursor || undefined,
+      categories: query.types
+        ? query.types.split(",").map((t) => t.trim()).filter(Boolean)
+        : undefined,
+      from: query.from || undefined,
+      to: query.to || undefined,
+    });
+
+    if (!timeline) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Timeline retrieved successfully.",
+      data: timeline.rows,
+      count: timeline.rows.length,
+      next_cursor: timeline.nextCursor,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error fetching customer timeline:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch customer timeline.",
+    });
+  }
+});
+
+/* ============================================================
+   📒 GET /api/customers/:id/statement?from&to&format=json|pdf
+   Ledger of invoices, payments + refunds with running balance
+   (see utils/statement.js). format=pdf downloads the PDF.
+============================================================ */
+router.get("/:id/statement", requirePermission("customers:export"), validate({ query: statementQuerySchema }), async (req, res) => {
+  const { id } = req.params;
+  const { from, to, format } = req.query;
+
+  const rangeErrors = invalidRange({ from, to });
+  if (rangeErrors) return sendValidationError(res, rangeErrors);
+
+  try {
+    const statement = await buildStatement(id, { from: from || null, to: to || null });
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found.",
+      });
+    }
+
+    if (format === "pdf") {
+      const pdf = await generateStatementPDF(statement);
+      return res
+        .attachment(statementFileName(statement))
+        .type("application/pdf")
+        .send(Buffer.from(pdf));
+    }
+
+    res.json({
+      success: true,
+      message: "Statement generated successfully.",
+      data: statement,
+    });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error building statement:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build statement.",
+    });
+  }
+});
+
+/* ============================================================
+   📧 POST /api/customers/:id/statement/email  { from?, to? }
+   Emails the statement PDF to the billing contact. Sent
+   statements are numbered and kept in customer_statements,
+   which records whether the send succeeded.
+============================================================ */
+router.post("/:id/statement/email", requirePermission("payments:write"), validate({ body: statementEmailSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.body;
+
+  const rangeErrors = invalidRange({ from, to });
+  if (rangeErrors) {
+    return sendValidationError(res, rangeErrors.map((e) => ({ ...e, location: "body" })));
+  }
+
+  try {
+    const statement = await buildStatement(id, { from: from || null, to: to || null });
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: "Customer not found.",
+      });
+    }
+
+    if (statement.customer.erased_at) {
+      return res.status(409).json({
+        success: false,
+        error: "This customer has been erased.",
+      });
+    }
+
+    const recipient = await resolveRecipient(id, "invoice");
+    if (!recipient?.email) {
+      return res.status(409).json({
+        success: false,
+        error: "Customer has no email address.",
+      });
+    }
+
+    const ukDate = (iso) => new Date(`${iso}T00:00:00Z`).toLocaleDateString("en-GB", { timeZone: "UTC" });
+    const periodLabel = statement.period.from
+      ? `${ukDate(statement.period.from)} to ${ukDate(statement.period.to)}`
+      : `the period up to ${ukDate(statement.period.to)}`;
+
+    const statementId = await issueStatementNumber(statement, {
+      sentTo: recipient.email,
+      createdBy: actorFromRequest(req).name,
+    });
+    try {
+      const pdf = await generateStatementPDF(statement);
+      await sendEmail({
+        to: recipient.email,
+        subject: `Statement of account ${statement.number} — ${statement.customer.business || statement.customer.name}`,
+        html: statementEmailTemplate({
+          customerName: recipient.name,
+          periodLabel,
+          closingBalance: statement.closing_balance,
+          link: `${FRONTEND_URL}/portal`,
+        }),
+        attachments: [{ filename: statementFileName(statement), content: Buffer.from(pdf) }],
+      });
+    } catch (err) {
+      await markStatementSent(statementId, err).catch(() => {});
+      throw err;
+    }
+    await markStatementSent(statementId);
+
+    await recordAudit(req, {
+      action: "statement_email",
+      entityType: "customer",
+      entityId: id,
+      meta: {
+        statement_number: statement.number,
+        period: statement.period,
+        closing_balance: statement.closing_balance,
+        recipient_contact_id: recipient.contact_id,
+      },
+    });
+
+    console.log(`📒 [DB][Customers] Statement ${statement.number} for customer #${id} emailed`);
+    res.json({
+      success: true,
+      message: `Statement sent to ${recipient.email}.`,
+      data: { number: statement.number, period: statement.period, closing_balance: statement.closing_balance },
+    });
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error emailing statement:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to email statement.",
+    });
+  }
+});
+
+/* ============================================================
+   🗜️ GET /api/customers/:id/export
+   GDPR subject-access export — ZIP of all held data + PDFs
+============================================================ */
+router.get("/:id/export", requirePermission("customers:export"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await buildCustomerExport(id, {
+      requestedBy: req.adminUser?.email || (req.apiKey && `api_key:${req.apiKey.name}`),
+    });
+    if (!result)
+      return res.status(404).json({ success: false, error: "Customer not found." });
+
+    await recordAudit(req, {
+      action: "export",
+      entityType: "customer",
+      entityId: id,
+      meta: { files: result.manifest.files.length, errors: result.manifest.errors.length },
+    });
+
+    const stamp = result.manifest.generated_at.slice(0, 10);
+    console.log(`🗜️ [DB][Customers] Data export generated (ID: ${id})`);
+    res
+      .status(200)
+      .attachment(`PJH_Customer_${id}_Data_Export_${stamp}.zip`)
+      .type("application/zip")
+      .send(result.zip);
+  } catch (err) {
+    console.error("❌ [DB][Customers] Error exporting customer data:", err);
+    res.status(500).json({
+      success: false,
+      error: "Failed to export customer data.",
+    });
+  }
+});
+
 export default router;
@@ -0,0 +1,338 @@
+/**
+ * ============================================================
+ * PJH Web Services — Leads API
+ * ============================================================
+ * Sales pipeline for enquiries (see utils/leads.js):
+ *   • GET    /api/leads                 → list + filters
+ *   • GET    /api/leads/:id             → lead + stage history
+ *   • POST   /api/leads                 → manual lead (phone, referral …)
+ *   • PUT    /api/leads/:id             → details, owner, notes
+ *   • DELETE /api/leads/:id
+ *   • POST   /api/leads/:id/stage       → { stage, note }
+ *   • POST   /api/leads/:id/convert     → customer (+ optional draft quote)
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, actorFromRequest } from "../utils/audit.js";
+import { createLead, changeLeadStage, convertLead } from "../utils/leads.js";
+import { validate, validateId } from "../middleware/validate.js";
+import {
+  leadCreateSchema,
+  leadUpdateSchema,
+  leadStageSchema,
+  leadConvertSchema,
+  leadListQuerySchema,
+} from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+
+const LEAD_SELECT = `
+  SELECT l.*, u.name AS owner_name
+  FROM leads l
+  LEFT JOIN admin_users u ON u.id = l.owner_id
+`;
+
+const isMissingOwner = (err) => err.code === "23503" && /owner_id/.test(err.detail || err.constraint || "");
+
+/* ============================================================
+   📋 GET /api/leads
+   Query: stage, source, owner_id, q, converted, limit, offset
+============================================================ */
+router.get("/", validate({ query: leadListQuerySchema }), async (req, res) => {
+  const { stage, source, owner_id, q, converted } = req.query;
+  const limit = Number(req.query.limit) || 50;
+  const offset = Number(req.query.offset) || 0;
+
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    conditions.push(sql.replace(/\?/g, () => `$${params.push(values.shift())}`));
+  };
+
+  if (stage) add("l.stage = ?", stage);
+  if (source) add("l.source = ?", source);
+  if (owner_id) add("l.owner_id = ?", Number(owner_id));
+  if (converted === "true") conditions.push("l.customer_id IS NOT NULL");
+  if (converted === "false") conditions.push("l.customer_id IS NULL");
+  if (q?.trim()) {
+    const like = `%${q.trim()}%`;
+    add("(l.name ILIKE ? OR l.email ILIKE ? OR l.business ILIKE ? OR l.phone ILIKE ?)", like, like, like, like);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  try {
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+      pool.query(
+        `${LEAD_SELECT} ${where}
+         ORDER BY l.created_at DESC, l.id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2};`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM leads l ${where};`, params),
+    ]);
+
+    res.json({ success: true, data: rows, count: rows.length, total: countRows[0].total });
+  } catch (err) {
+    console.error("❌ [DB][Leads] Error fetching leads:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch leads." });
+  }
+});
+
+/* ============================================================
+   🔍 GET /api/leads/:id — with stage history
+============================================================ */
+router.get("/:id", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { rows } = await pool.query(`${LEAD_SELECT} WHERE l.id = $1;`, [id]);
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Lead not found." });
+
+    const { rows: history } = await pool.query(
+      "SELECT * FROM lead_stage_history WHERE lead_id = $1 ORDER BY changed_at ASC, id ASC;",
+      [id]
+    );
+
+    res.json({ success: true, data: { ...rows[0], stage_history: history } });
+  } catch (err) {
+    console.error("❌ [DB][Leads] Error fetching lead:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch lead." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/leads — manual entry
+============================================================ */
+router.post("/", requirePermission("leads:write"), validate({ body: leadCreateSchema }), async (req, res) => {
+  const { name, email, phone, business, message, source, owner_id, notes } = req.body;
+  try {
+    const lead = await createLead(
+      { name, email, phone, business, message, source: source || "other", ownerId: owner_id, notes },
+      { createdBy: actorFromRequest(req).name }
+    );
+
+    await recordAudit(req, { action: "create", entityType: "lead", entityId: lead.id, after: lead });
+
+    console.log(`🧲 [DB][Leads] Created lead #${lead.id} (${lead.source})`);
+    res.status(201).json({ success: true, message: "Lead created.", data: lead });
+  } catch (err) {
+    if (isMissingOwner(err))
+      return res.status(400).json({ success: false, error: "Owner not found." });
+    console.error("❌ [DB][Leads] Error creating lead:", err);
+    res.status(500).json({ success: false, error: "Failed to create lead." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/leads/:id
+   Stage changes go through POST /:id/stage so they are logged.
+============================================================ */
+router.put("/:id", requirePermission("leads:write"), validate({ body: leadUpdateSchema }), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body;
+  const has = (field) => body[field] !== undefined;
+  const text = (field) => (typeof body[field] === "string" ? body[field].trim() || null : null);
+
+  try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM leads WHERE id = $1;", [id]);
+    if (!beforeRows.length)
+      return res.status(404).json({ success: false, error: "Lead not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE leads
+       SET name = COALESCE($2, name),
+           email = COALESCE($3, email),
+           phone = CASE WHEN $4::boolean THEN $5 ELSE phone END,
+           business = CASE WHEN $6::boolean THEN $7 ELSE business END,
+           message = CASE WHEN $8::boolean THEN $9 ELSE message END,
+           source = COALESCE($10, source),
+           owner_id = CASE WHEN $11::boolean THEN $12::int ELSE owner_id END,
+           notes = CASE WHEN $13::boolean THEN $14 ELSE notes END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [
+        id,
+        text("name"),
+        text("email")?.toLowerCase() ?? null,
+        has("phone"),
+        text("phone"),
+        has("business"),
+        text("business"),
+        has("message"),
+        text("message"),
+        body.source || null,
+        has("owner_id"),
+        body.owner_id ? Number(body.owner_id) : null,
+        has("notes"),
+        text("notes"),
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "lead",
+      entityId: id,
+      before: beforeRows[0],
+      after: rows[0],
+    });
+
+    res.json({ success: true, message: "Lead updated.", data: rows[0] });
+  } catch (err) {
+    if (isMissingOwner(err))
+      return res.status(400).json({ success: false, error: "Owner not found." });
+    console.error("❌ [DB][Leads] Error updating lead:", err);
+    res.status(500).json({ success: false, error: "Failed to update lead." });
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/leads/:id
+============================================================ */
+router.delete("/:id", requirePermission("leads:write"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { rows } = await pool.query("DELETE FROM leads WHERE id = $1 RETURNING *;", [id]);
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Lead not found." });
+
+    await recordAudit(req, { action: "delete", entityType: "lead", entityId: id, before: rows[0] });
+
+    console.log(`🗑️ [DB][Leads] Deleted lead #${id}`);
+    res.json({ success: true, message: "Lead deleted." });
+  } catch (err) {
+    console.error("❌ [DB][Leads] Error deleting lead:", err);
+    res.status(500).json({ success: false, error: "Failed to delete lead." });
+  }
+});
+
+/* ============================================================
+   🔀 POST /api/leads/:id/stage
+============================================================ */
+router.post("/:id/stage", requirePermission("leads:write"), validate({ body: leadStageSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { stage, note } = req.body;
+
+  try {
+    const result = await changeLeadStage(id, stage, {
+      note: note?.trim() || null,
+      changedBy: actorFromRequest(req).name,
+    });
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, error: "Lead not found." });
+    if (result.status === "unchanged")
+      return res.json({ success: true, message: `Lead is already ${stage}.`, data: result.lead });
+    if (result.status === "invalid_transition") {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot move a ${result.before.stage} lead to ${stage}.`,
+        allowed: result.allowed,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "stage_change",
+      entityType: "lead",
+      entityId: id,
+      before: { stage: result.before.stage },
+      after: { stage: result.lead.stage },
+      meta: note ? { note } : null,
+    });
+
+    console.log(`🔀 [DB][Leads] Lead #${id}: ${result.before.stage} → ${stage}`);
+    res.json({ success: true, message: `Lead moved to ${stage}.`, data: result.lead });
+  } catch (err) {
+    console.error("❌ [DB][Leads] Error changing stage:", err);
+    res.status(500).json({ success: false, error: "Failed to change lead stage." });
+  }
+});
+
+/* ============================================================
+   🤝 POST /api/leads/:id/convert
+   Body (all optional):
+     customer_id   link to an existing customer instead
+     customer      overrides for the new customer (address etc.)
+     create_quote  true → raise a draft quote
+     quote         draft quote fields (title, items, package_id …)
+============================================================ */
+router.post("/:id/convert", requirePermission("customers:write"), validate({ body: leadConvertSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { customer_id, customer, create_quote, quote } = req.body;
+
+  try {
+    const result = await convertLead(id, {
+      customerId: customer_id ? Number(customer_id) : null,
+      customer: customer || {},
+      quote: create_quote || quote ? { ...quote } : null,
+      convertedBy: actorFromRequest(req).name,
+    });
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, error: "Lead not found." });
+    if (result.status === "customer_not_found")
+      return res.status(404).json({ success: false, error: "Customer not found." });
+    if (result.status === "already_converted") {
+      return res.status(409).json({
+        success: false,
+        error: "Lead has already been converted.",
+        customer_id: result.lead.customer_id,
+      });
+    }
+    if (result.status === "email_exists") {
+      return res.status(409).json({
+        success: false,
+        error: "A customer with this email already exists — pass customer_id to link the lead to them.",
+        customer_id: result.existing_customer_id,
+      });
+    }
+
+    await recordAudit(req, {
+      action: "convert",
+      entityType: "lead",
+      entityId: id,
+      before: result.before,
+      after: result.lead,
+      meta: { customer_id: result.customer.id, quote_id: result.quote?.id ?? null },
+    });
+    if (!customer_id) {
+      await recordAudit(req, {
+        action: "create",
+        entityType: "customer",
+        entityId: result.customer.id,
+        after: result.customer,
+        meta: { lead_id: Number(id) },
+      });
+    }
+    if (result.quote) {
+      await recordAudit(req, {
+        action: "create",
+        entityType: "quote",
+        entityId: result.quote.id,
+        after: result.quote,
+        meta: { lead_id: Number(id) },
+      });
+    }
+
+    console.log(
+      `🤝 [DB][Leads] Lead #${id} converted → customer #${result.customer.id}` +
+        (result.quote ? ` + quote ${result.quote.quote_number}` : "")
+    );
+    res.status(201).json({
+      success: true,
+      message: result.quote ? "Lead converted and draft quote created." : "Lead converted to customer.",
+      data: { lead: result.lead, customer: result.customer, quote: result.quote },
+    });
+  } catch (err) {
+    console.error("❌ [DB][Leads] Error converting lead:", err);
+    res.status(500).json({ success: false, error: "Failed to convert lead." });
+  }
+});
+
+export default router;
@@ -17,6 +17,9 @@ import express from "express";
 import pool from "../db.js";
 import dotenv from "dotenv";
 import Stripe from "stripe";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { maintenanceSignupSchema } from "../utils/schemas.js";
 // import { sendEmail } from "../utils/email.js";
 // import { maintenanceSignupTemplate } from "../utils/emailTemplates.js";
 
@@ -92,14 +95,14 @@ router.get("/plans", async (_req, res) => {
 /* ------------------------------------------------------------
    POST /api/maintenance/signup — Create Stripe subscription
 ------------------------------------------------------------ */
-router.post("/signup", async (req, res) => {
+const signupLimit = rateLimit("maintenance_signup", {
+  identifier: (req) => req.body?.email,
+});
+
+router.post("/signup", signupLimit, validate({ body: maintenanceSignupSchema }), async (req, res) => {
   try {
     const { name, email, planId } = req.body;
 
-    if (!name || !email || !planId) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-
     // Fetch plan
     const { rows } = await pool.query(
       "SELECT * FROM maintenance_plans WHERE id = $1 AND visible = TRUE",
@@ -8,8 +8,15 @@
 
 import express from "express";
 import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { diaryNoteSchema } from "../utils/schemas.js";
 const router = express.Router();
 
+router.param("orderId", validateId);
+router.param("id", validateId);
+
 /* ============================================================
    📒 GET /api/diary/:orderId — Get diary entries for order
 ============================================================ */
@@ -30,10 +37,10 @@ router.get("/:orderId", async (req, res) => {
 /* ============================================================
    ✏️ POST /api/diary/:orderId — Add new diary entry
 ============================================================ */
-router.post("/:orderId", async (req, res) => {
+router.post("/:orderId", requirePermission("diary:write"), validate({ body: diaryNoteSchema }), async (req, res) => {
   const { orderId } = req.params;
-  const { note, author = "Admin" } = req.body;
-  if (!note?.trim()) return res.status(400).json({ success: false, error: "Empty note" });
+  const { note } = req.body;
+  const author = req.adminUser.name;
 
   try {
     const { rows } = await pool.query(
@@ -42,6 +49,15 @@ router.post("/:orderId", async (req, res) => {
        RETURNING *`,
       [orderId, note.trim(), author]
     );
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "diary_entry",
+      entityId: rows[0].id,
+      after: rows[0],
+      meta: { order_id: Number(orderId) },
+    });
+
     res.json({ success: true, entry: rows[0] });
   } catch (err) {
     console.error("❌ Failed to add diary entry:", err);
@@ -52,10 +68,21 @@ router.post("/:orderId", async (req, res) => {
 /* ============================================================
    🗑️ DELETE /api/diary/:id — Delete a diary entry
 ============================================================ */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("diary:write"), async (req, res) => {
   const { id } = req.params;
   try {
-    await pool.query(`DELETE FROM order_diary WHERE id=$1`, [id]);
+    const { rows } = await pool.query(`DELETE FROM order_diary WHERE id=$1 RETURNING *`, [id]);
+
+    if (rows.length) {
+      await recordAudit(req, {
+        action: "delete",
+        entityType: "diary_entry",
+        entityId: id,
+        before: rows[0],
+        meta: { order_id: rows[0].order_id },
+      });
+    }
+
     res.json({ success: true });
   } catch (err) {
     console.error("❌ Failed to delete diary entry:", err);
@@ -20,11 +20,20 @@ import pool from "../db.js";
 import dotenv from "dotenv";
 import Stripe from "stripe";
 import { sendEmail } from "../utils/email.js";
-import { generateInvoicePDF } from "../utils/invoice.js";
+import { generateInvoicePDF, issueInvoiceNumber, issueCreditNoteNumber } from "../utils/invoice.js";
 import { invoiceEmailTemplate } from "../utils/emailTemplates.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { orderRefundSchema, invoiceTypeParams } from "../utils/schemas.js";
+import { resolveRecipient } from "../utils/customerContacts.js";
 
 dotenv.config();
 const router = express.Router();
+
+router.param("id", validateId);
+router.param("orderId", validateId);
+router.param("quoteId", validateId);
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const FRONTEND_URL =
@@ -63,7 +72,7 @@ router.get("/", async (_req, res) => {
    🆕 POST /api/orders/from-quote/:quoteId
    Creates a new order from an existing quote (safe JSON insert)
 ============================================================ */
-router.post("/from-quote/:quoteId", async (req, res) => {
+router.post("/from-quote/:quoteId", requirePermission("orders:write"), async (req, res) => {
   const { quoteId } = req.params;
 
   try {
@@ -134,6 +143,8 @@ const balance = Math.max(total - deposit, 0);
       ]
     );
 
+    const newOrder = inserted[0];
+
 //  Link quote → order
 await pool.query("UPDATE quotes SET order_id = $1 WHERE id = $2;", [newOrder.id, quote.id]);
 
@@ -142,6 +153,14 @@ await pool.query("UPDATE quotes SET order_id = $1 WHERE id = $2;", [newOrder.id,
     await pool.query("UPDATE quotes SET status = 'closed' WHERE id = $1;", [quoteId]);
     console.log(`🔒 Quote ${quoteId} marked as closed.`);
 
+    await recordAudit(req, {
+      action: "create",
+      entityType: "order",
+      entityId: newOrder.id,
+      after: newOrder,
+      meta: { quote_id: quote.id },
+    });
+
     res.json({ success: true, data: newOrder });
   } catch (err) {
     console.error("❌ Error creating order from quote:", err);
@@ -245,25 +264,86 @@ router.get("/:orderId/payments", async (req, res) => {
   }
 });
 
+/* ============================================================
+   📧 POST /api/orders/:id/invoices/:type/email
+   Generates the deposit/balance invoice PDF and emails it to
+   the customer's billing contact; marks the order invoiced.
+   The invoice is numbered on first send and keeps that number.
+============================================================ */
+router.post("/:id/invoices/:type/email", requirePermission("payments:write"), validate({ params: invoiceTypeParams }), async (req, res) => {
+  const { id, type } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT o.*, c.business, c.name, c.email, c.address1, c.address2, c.city, c.county, c.postcode, c.vat_number,
+             (SELECT COALESCE(SUM(amount),0) FROM payments
+              WHERE order_id = o.id AND status = 'paid' AND amount > 0) AS total_paid
+      FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      WHERE o.id = $1;
+      `,
+      [id]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Order not found." });
+    const order = rows[0];
+
+    const recipient = await resolveRecipient(order.customer_id, "invoice");
+    if (!recipient?.email)
+      return res.status(409).json({ success: false, error: "Customer has no email address." });
+
+    order[`${type}_invoice_number`] = await issueInvoiceNumber(order.id, type);
+    const pdfPath = await generateInvoicePDF(order, type);
+
+    await sendEmail({
+      to: recipient.email,
+      subject: `${type === "deposit" ? "Deposit" : "Balance"} invoice — ${order.title}`,
+      html: invoiceEmailTemplate({
+        customerName: recipient.name,
+        orderTitle: order.title,
+        invoiceType: type,
+        amount: Number(order[type] || 0),
+        link: `${FRONTEND_URL}/portal/orders/${order.id}`,
+      }),
+      attachments: [{ filename: path.basename(pdfPath), path: pdfPath }],
+    });
+
+    await pool.query(
+      `UPDATE orders
+       SET ${type}_invoiced = TRUE,
+           ${type}_invoiced_at = COALESCE(${type}_invoiced_at, NOW()),
+           updated_at = NOW()
+       WHERE id = $1;`,
+      [order.id]
+    );
+
+    await recordAudit(req, {
+      action: "invoice_email",
+      entityType: "order",
+      entityId: order.id,
+      meta: { type, invoice_number: order[`${type}_invoice_number`], recipient_contact_id: recipient.contact_id },
+    });
+
+    console.log(`📧 ${type} invoice ${order[`${type}_invoice_number`]} for order #${order.id} emailed`);
+    res.json({ success: true, message: `Invoice sent to ${recipient.email}.` });
+  } catch (err) {
+    console.error("❌ Error emailing invoice:", err);
+    res.status(500).json({ success: false, error: "Failed to email invoice." });
+  }
+});
+
 
 /* ============================================================
    💸 POST /api/payments/refund — Stripe refund + record
    ------------------------------------------------------------
    • Validates payment_id and amount
    • Creates refund via Stripe API
-   • Inserts negative "refund" payment entry
+   • Inserts negative "refund" payment entry + credit note number
    • Protects against duplicates
 ============================================================ */
-router.post("/refund", async (req, res) => {
+router.post("/refund", requirePermission("payments:refund"), validate({ body: orderRefundSchema }), async (req, res) => {
   const { payment_id, amount } = req.body;
 
-  if (!payment_id || !amount || isNaN(amount)) {
-    return res.status(400).json({
-      success: false,
-      error: "Missing or invalid payment_id / amount.",
-    });
-  }
-
   try {
     // 🔍 Fetch payment
     const { rows } = await pool.query(
@@ -313,11 +393,12 @@ router.post("/refund", async (req, res) => {
     });
 
     // 🧾 Record refund in DB (negative value, type='refund')
-    await pool.query(
+    const { rows: refundRows } = await pool.query(
       `
       INSERT INTO payments 
-        (order_id, customer_id, amount, type, method, status, reference, stripe_refund_id, refunded, refund_reason, created_at)
-      VALUES ($1, $2, $3, 'refund', $4, 'refunded', $5, $6, TRUE, 'requested_by_customer', NOW());
+        (order_id, customer_id, amount, type, method, status, reference, stripe_refund_id, refunded, refund_reason, recorded_by, created_at)
+      VALUES ($1, $2, $3, 'refund', $4, 'refunded', $5, $6, TRUE, 'requested_by_customer', $7, NOW())
+      RETURNING *;
       `,
       [
         orderId,
@@ -326,8 +407,10 @@ router.post("/refund", async (req, res) => {
         payment.method || "card",
         refund.id,
         refund.id,
+        req.adminUser.name,
       ]
     );
+    refundRows[0].credit_note_number = await issueCreditNoteNumber(refundRows[0].id);
 
     console.log(
       `💸 Refund issued: Order #${orderId} — £${Number(amount).toFixed(
@@ -335,12 +418,21 @@ router.post("/refund", async (req, res) => {
       )} (Stripe refund: ${refund.id})`
     );
 
+    await recordAudit(req, {
+      action: "refund",
+      entityType: "payment",
+      entityId: refundRows[0].id,
+      after: refundRows[0],
+      meta: { order_id: orderId, original_payment_id: payment.id },
+    });
+
     return res.json({
       success: true,
       message: `Refund of £${Number(amount).toFixed(
         2
       )} processed successfully.`,
       refund_id: refund.id,
+      credit_note_number: refundRows[0].credit_note_number,
       order_id: orderId,
     });
   } catch (err) {
@@ -403,27 +495,61 @@ router.get("/:id/refresh", async (req, res) => {
 
 /* ============================================================
    🗑️ DELETE /api/orders/:id — Delete order + dependencies
+   Refused once the order has payments or an issued invoice —
+   those must be kept for HMRC.
 ============================================================ */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("orders:delete"), async (req, res) => {
   const { id } = req.params;
-  try {
-    await pool.query("BEGIN");
+  const client = await pool.connect();
 
-    await pool.query("DELETE FROM payments WHERE order_id = $1;", [id]);
-    const result = await pool.query("DELETE FROM orders WHERE id = $1 RETURNING *;", [id]);
+  try {
+    await client.query("BEGIN");
 
-    if (!result.rowCount) {
-      await pool.query("ROLLBACK");
+    const { rows: beforeRows } = await client.query(
+      "SELECT * FROM orders WHERE id = $1 FOR UPDATE;",
+      [id]
+    );
+    if (!beforeRows.length) {
+      await client.query("ROLLBACK");
       return res.status(404).json({ success: false, error: "Order not found." });
     }
 
-    await pool.query("COMMIT");
-    console.log(`🗑️ Order ${id} and associated payments deleted.`);
+    const { rows: financial } = await client.query(
+      `SELECT
+         EXISTS (SELECT 1 FROM payments WHERE order_id = $1) AS has_payments,
+         EXISTS (SELECT 1 FROM orders
+                 WHERE id = $1
+                   AND (deposit_invoiced OR balance_invoiced
+                        OR deposit_invoice_number IS NOT NULL
+                        OR balance_invoice_number IS NOT NULL)) AS has_invoices;`,
+      [id]
+    );
+    if (financial[0].has_payments || financial[0].has_invoices) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        error: "This order has invoices or payments that must be retained.",
+      });
+    }
+
+    await client.query("DELETE FROM orders WHERE id = $1;", [id]);
+    await client.query("COMMIT");
+    console.log(`🗑️ Order ${id} deleted.`);
+
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "order",
+      entityId: id,
+      before: beforeRows[0],
+    });
+
     res.json({ success: true, message: "Order deleted successfully." });
   } catch (err) {
-    await pool.query("ROLLBACK").catch(() => {});
+    await client.query("ROLLBACK").catch(() => {});
     console.error("❌ Error deleting order:", err);
     res.status(500).json({ success: false, error: "Failed to delete order." });
+  } finally {
+    client.release();
   }
 });
 
@@ -32,9 +32,15 @@
 
 import express from "express";
 import pool from "../db.js";
+import { requireAdmin, requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { packageCreateSchema, packageUpdateSchema } from "../utils/schemas.js";
 
 const router = express.Router();
 
+router.param("id", validateId);
+
 /* ------------------------------------------------------------
    🧩 Helpers
 ------------------------------------------------------------ */
@@ -131,6 +137,24 @@ router.get("/slug/:slug", async (req, res) => {
   }
 });
 
+// GET /api/packages/all — admin full list
+// (registered before /:id so "all" is not swallowed by the ID route)
+router.get("/all", requireAdmin, async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT id, name, tagline, price_oneoff, price_monthly, term_months,
+             features, description, discount_percent, visible,
+             COALESCE(pricing_guardrails, '{}'::jsonb) AS pricing_guardrails
+      FROM packages
+      ORDER BY id ASC;
+    `);
+    res.json({ success: true, data: rows, count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB] Error fetching all packages:", err.message);
+    res.status(500).json({ success: false, error: "Failed to fetch all packages." });
+  }
+});
+
 // GET /api/packages/:id — public by numeric ID
 router.get("/:id", async (req, res) => {
   const { id } = req.params;
@@ -159,25 +183,8 @@ router.get("/:id", async (req, res) => {
    🔐 ADMIN ROUTES
 ------------------------------------------------------------ */
 
-// GET /api/packages/all — admin full list
-router.get("/all", async (_req, res) => {
-  try {
-    const { rows } = await pool.query(`
-      SELECT id, name, tagline, price_oneoff, price_monthly, term_months,
-             features, description, discount_percent, visible,
-             COALESCE(pricing_guardrails, '{}'::jsonb) AS pricing_guardrails
-      FROM packages
-      ORDER BY id ASC;
-    `);
-    res.json({ success: true, data: rows, count: rows.length });
-  } catch (err) {
-    console.error("❌ [DB] Error fetching all packages:", err.message);
-    res.status(500).json({ success: false, error: "Failed to fetch all packages." });
-  }
-});
-
 // POST /api/packages — admin create
-router.post("/", async (req, res) => {
+router.post("/", requireAdmin, requirePermission("packages:write"), validate({ body: packageCreateSchema }), async (req, res) => {
   const {
     name,
     tagline,
@@ -191,9 +198,6 @@ router.post("/", async (req, res) => {
     pricing_guardrails,
   } = req.body;
 
-  if (!name)
-    return res.status(400).json({ success: false, error: "Package name is required." });
-
   const guards = toGuardrails(pricing_guardrails);
 
   if (price_monthly && Number(price_monthly) > 0 && (!term_months || Number(term_months) < 1)) {
@@ -228,6 +232,13 @@ router.post("/", async (req, res) => {
       ]
     );
 
+    await recordAudit(req, {
+      action: "create",
+      entityType: "package",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
+
     res.status(201).json({
       success: true,
       message: "Package created successfully.",
@@ -240,7 +251,7 @@ router.post("/", async (req, res) => {
 });
 
 // PUT /api/packages/:id — admin update
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireAdmin, requirePermission("packages:write"), validate({ body: packageUpdateSchema }), async (req, res) => {
   const { id } = req.params;
   const {
     name,
@@ -265,6 +276,8 @@ router.put("/:id", async (req, res) => {
   }
 
   try {
+    const { rows: beforeRows } = await pool.query("SELECT * FROM packages WHERE id = $1;", [id]);
+
     const { rows } = await pool.query(
       `
       UPDATE packages
@@ -301,6 +314,14 @@ router.put("/:id", async (req, res) => {
     if (!rows.length)
       return res.status(404).json({ success: false, error: "Package not found." });
 
+    await recordAudit(req, {
+      action: "update",
+      entityType: "package",
+      entityId: id,
+      before: beforeRows[0],
+      after: rows[0],
+    });
+
     res.json({
       success: true,
       message: "Package updated successfully.",
@@ -313,22 +334,29 @@ router.put("/:id", async (req, res) => {
 });
 
 // DELETE /api/packages/:id — admin delete
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireAdmin, requirePermission("packages:write"), async (req, res) => {
   const { id } = req.params;
 
   try {
     const { rows } = await pool.query(
-      `DELETE FROM packages WHERE id = $1 RETURNING id, name;`,
+      `DELETE FROM packages WHERE id = $1 RETURNING *;`,
       [id]
     );
 
     if (!rows.length)
       return res.status(404).json({ success: false, error: "Package not found." });
 
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "package",
+      entityId: id,
+      before: rows[0],
+    });
+
     res.json({
       success: true,
       message: "Package deleted successfully.",
-      data: rows[0],
+      data: { id: rows[0].id, name: rows[0].name },
     });
   } catch (err) {
     console.error("❌ [DB] Error deleting package:", err.message);
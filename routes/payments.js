@@ -18,9 +18,18 @@ import pool from "../db.js";
 import bodyParser from "body-parser";
 import { sendEmail } from "../utils/email.js";
 import { paymentRequestTemplate } from "../utils/emailTemplates.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit } from "../utils/audit.js";
+import { resolveRecipient } from "../utils/customerContacts.js";
+import { issueCreditNoteNumber } from "../utils/invoice.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { checkoutSchema, paymentRefundSchema } from "../utils/schemas.js";
 
 dotenv.config();
 const router = express.Router();
+
+router.param("id", validateId);
+router.param("orderId", validateId);
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 const FRONTEND_URL =
@@ -72,10 +81,9 @@ router.get("/orders/:id/payments", async (req, res) => {
 /* ============================================================
    💳 POST /api/payments/create-checkout
 ============================================================ */
-router.post("/create-checkout", async (req, res) => {
+router.post("/create-checkout", requirePermission("payments:write"), validate({ body: checkoutSchema }), async (req, res) => {
   try {
     const { orderId, flow, type, amount: reqAmount } = req.body;
-    if (!orderId) return res.status(400).json({ error: "Missing orderId" });
 
     const { rows } = await pool.query(
       `SELECT o.*, c.name AS customer_name, c.email, c.stripe_customer_id
@@ -102,6 +110,11 @@ router.post("/create-checkout", async (req, res) => {
     if (flow !== "bacs_setup" && amount <= 0)
       return res.status(400).json({ error: `No outstanding ${type} amount.` });
 
+    // Billing contact if the customer has one, else the customer
+    const recipient = await resolveRecipient(order.customer_id, "payment_request");
+    if (!recipient?.email)
+      return res.status(409).json({ error: "Customer has no email address." });
+
     // Ensure Stripe customer
     let stripeCustomer = order.stripe_customer_id;
     if (!stripeCustomer) {
@@ -147,11 +160,12 @@ router.post("/create-checkout", async (req, res) => {
       },
     });
 
+
     await sendEmail({
-      to: order.email,
+      to: recipient.email,
       subject: `Secure ${type || "Direct Debit"} payment — ${order.title}`,
       html: paymentRequestTemplate({
-        customerName: order.customer_name,
+        customerName: recipient.name,
         orderTitle: order.title,
         amount: mode === "setup" ? 0 : amount,
         link: session.url,
@@ -159,6 +173,19 @@ router.post("/create-checkout", async (req, res) => {
       }),
     });
 
+    await recordAudit(req, {
+      action: "payment_request",
+      entityType: "order",
+      entityId: order.id,
+      meta: {
+        flow: flow || null,
+        type: type || "setup",
+        amount,
+        stripe_session_id: session.id,
+        recipient_contact_id: recipient.contact_id,
+      },
+    });
+
     console.log(`✅ Stripe session created for order #${order.id} (${flow})`);
     res.json({ success: true, url: session.url, amount });
   } catch (err) {
@@ -174,19 +201,13 @@ router.post("/create-checkout", async (req, res) => {
  * Supports multiple charge IDs on one order.
  * - Finds first eligible (unrefunded) charge for refunding.
  * - Ensures cumulative refunds never exceed total paid.
- * - Logs each refund in payments table.
+ * - Logs each refund in payments table with a credit note number.
  * ============================================================
  */
-router.post("/refund", async (req, res) => {
+router.post("/refund", requirePermission("payments:refund"), validate({ body: paymentRefundSchema }), async (req, res) => {
   try {
     const { order_id, amount, reason, notes } = req.body;
-
-    if (!order_id || !amount)
-      return res.status(400).json({ error: "Missing order_id or amount" });
-
     const refundAmount = Number(amount);
-    if (!(refundAmount > 0))
-      return res.status(400).json({ error: "Refund amount must be greater than zero." });
 
     // Fetch all paid charges for this order
     const { rows: charges } = await pool.query(
@@ -258,17 +279,28 @@ router.post("/refund", async (req, res) => {
     }
 
     // Log refund in DB
-    await pool.query(
+    const { rows: refundRows } = await pool.query(
       `INSERT INTO payments
-         (order_id, amount, type, method, stripe_refund_id, refund_reason, notes, source, status)
-       VALUES ($1, $2, 'refund', 'stripe', $3, $4, $5, 'system', 'refunded')`,
-      [order_id, refundAmount, refund.id, reason || "manual refund", notes || null]
+         (order_id, amount, type, method, stripe_refund_id, refund_reason, notes, source, status, recorded_by)
+       VALUES ($1, $2, 'refund', 'stripe', $3, $4, $5, 'system', 'refunded', $6)
+       RETURNING *`,
+      [order_id, refundAmount, refund.id, reason || "manual refund", notes || null, req.adminUser.name]
     );
+    refundRows[0].credit_note_number = await issueCreditNoteNumber(refundRows[0].id);
+
+    await recordAudit(req, {
+      action: "refund",
+      entityType: "payment",
+      entityId: refundRows[0].id,
+      after: refundRows[0],
+      meta: { order_id, charge_id: usedChargeId },
+    });
 
     res.json({
       success: true,
       message: `Refund of £${refundAmount.toFixed(2)} processed.`,
       refund_id: refund.id,
+      credit_note_number: refundRows[0].credit_note_number,
       used_charge_id: usedChargeId,
       remaining_refundable: remainingRefundable - refundAmount,
     });
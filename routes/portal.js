@@ -0,0 +1,345 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Portal API
+ * ============================================================
+ * Passwordless client portal:
+ *   • POST /api/portal/login      → email a one-time magic link
+ *   • POST /api/portal/verify     → exchange link token for a session
+ *   • POST /api/portal/logout     → end the session
+ *
+ * Session-scoped (customer sees only their own records):
+ *   • GET /api/portal/me
+ *   • GET /api/portal/quotes
+ *   • GET /api/portal/quotes/:quoteId
+ *   • GET /api/portal/orders
+ *   • GET /api/portal/orders/:orderId
+ *   • GET /api/portal/orders/:orderId/diary
+ *   • GET /api/portal/orders/:orderId/invoices/:type  (PDF)
+ *   • GET /api/portal/payments
+ * ============================================================
+ */
+
+import express from "express";
+import dotenv from "dotenv";
+import pool from "../db.js";
+import { sendEmail } from "../utils/email.js";
+import { portalMagicLinkTemplate } from "../utils/emailTemplates.js";
+import { generateInvoicePDF } from "../utils/invoice.js";
+import { toArray } from "../utils/quotes.js";
+import { cookieOptions } from "../utils/session.js";
+import {
+  getCustomerQuotes,
+  getCustomerOrders,
+  getCustomerPayments,
+} from "../utils/customers.js";
+import {
+  PORTAL_COOKIE,
+  PORTAL_SESSION_TTL_MS,
+  createMagicLink,
+  consumeMagicLink,
+  createPortalSession,
+  revokePortalSession,
+} from "../utils/portalSession.js";
+import { requireCustomer } from "../middleware/portalAuth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { portalLoginSchema, portalVerifySchema, invoiceTypeParams } from "../utils/schemas.js";
+
+dotenv.config();
+const router = express.Router();
+
+router.param("quoteId", validateId);
+router.param("orderId", validateId);
+
+const FRONTEND_URL =
+  process.env.FRONTEND_URL ||
+  (process.env.NODE_ENV === "development"
+    ? "http://localhost:5173"
+    : "https://www.pjhwebservices.co.uk");
+
+/* ------------------------------------------------------------
+   Helpers
+------------------------------------------------------------ */
+
+// Fetch an order only if it belongs to the signed-in customer
+async function findOwnedOrder(orderId, customerId) {
+  const { rows } = await pool.query(
+    "SELECT * FROM orders WHERE id = $1 AND customer_id = $2;",
+    [orderId, customerId]
+  );
+  return rows[0] || null;
+}
+
+/* ============================================================
+   🔑 POST /api/portal/login — request a magic link
+   Always responds the same way so emails cannot be probed.
+   Rate-limited per IP and per email, as each call sends mail.
+============================================================ */
+const portalLoginLimit = rateLimit("portal_login", { identifier: (req) => req.body?.email });
+
+router.post("/login", portalLoginLimit, validate({ body: portalLoginSchema }), async (req, res) => {
+  const email = req.body.email.trim().toLowerCase();
+
+  const genericResponse = {
+    success: true,
+    message: "If that email is registered, a sign-in link is on its way.",
+  };
+
+  try {
+    const { rows } = await pool.query(
+      "SELECT id, name FROM customers WHERE LOWER(email) = $1 ORDER BY created_at DESC LIMIT 1;",
+      [email]
+    );
+    if (!rows.length) {
+      console.warn(`⚠️ Portal login requested for unknown email: ${email}`);
+      return res.json(genericResponse);
+    }
+
+    const customer = rows[0];
+    const token = await createMagicLink(customer.id, { ip: req.ip });
+    const link = `${FRONTEND_URL}/portal/login?token=${token}`;
+
+    await sendEmail({
+      to: email,
+      subject: "Your PJH Web Services client portal link",
+      html: portalMagicLinkTemplate({ customerName: customer.name, link }),
+    });
+
+    console.log(`🔑 Portal magic link sent to customer ${customer.id}`);
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("❌ Portal login error:", err);
+    res.status(500).json({ success: false, error: "Failed to send sign-in link." });
+  }
+});
+
+/* ============================================================
+   ✅ POST /api/portal/verify — exchange magic link for session
+============================================================ */
+router.post("/verify", validate({ body: portalVerifySchema }), async (req, res) => {
+  const { token } = req.body;
+
+  try {
+    const customerId = await consumeMagicLink(token);
+    if (!customerId) {
+      return res.status(401).json({
+        success: false,
+        error: "This sign-in link is invalid or has expired.",
+      });
+    }
+
+    const session = await createPortalSession(customerId, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+    res.cookie(PORTAL_COOKIE, session.token, cookieOptions(PORTAL_SESSION_TTL_MS));
+
+    console.log(`✅ Portal session started for customer ${customerId}`);
+    res.json({ success: true, message: "Signed in.", expires_at: session.expiresAt });
+  } catch (err) {
+    console.error("❌ Portal verify error:", err);
+    res.status(500).json({ success: false, error: "Failed to sign in." });
+  }
+});
+
+/* ============================================================
+   🚪 POST /api/portal/logout
+============================================================ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokePortalSession(req.cookies?.[PORTAL_COOKIE]);
+  } catch (err) {
+    console.error("⚠️ Failed to revoke portal session:", err.message);
+  }
+  res.clearCookie(PORTAL_COOKIE, cookieOptions(0));
+  res.json({ success: true, message: "Signed out." });
+});
+
+/* ============================================================
+   🔐 Everything below requires a portal session
+============================================================ */
+router.use(requireCustomer);
+
+/* ============================================================
+   👤 GET /api/portal/me
+============================================================ */
+router.get("/me", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, business, name, email, phone, address1, address2, city, county, postcode, vat_number,
+              direct_debit_active, payment_method
+       FROM customers WHERE id = $1;`,
+      [req.customerId]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Customer not found." });
+
+    res.json({ success: true, data: rows[0] });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching profile:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch profile." });
+  }
+});
+
+/* ============================================================
+   🧾 GET /api/portal/quotes
+============================================================ */
+router.get("/quotes", async (req, res) => {
+  try {
+    const rows = await getCustomerQuotes(req.customerId);
+    res.json({
+      success: true,
+      data: rows.map((q) => ({ ...q, items: toArray(q.items) })),
+    });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching quotes:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch quotes." });
+  }
+});
+
+/* ============================================================
+   🧾 GET /api/portal/quotes/:quoteId
+============================================================ */
+router.get("/quotes/:quoteId", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT q.*, p.name AS package_name, m.name AS maintenance_name, m.price AS maintenance_price
+      FROM quotes q
+      LEFT JOIN packages p ON q.package_id = p.id
+      LEFT JOIN maintenance_plans m ON q.maintenance_id = m.id
+      WHERE q.id = $1 AND q.customer_id = $2;
+      `,
+      [req.params.quoteId, req.customerId]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Quote not found." });
+
+    res.json({ success: true, data: { ...rows[0], items: toArray(rows[0].items) } });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching quote:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch quote." });
+  }
+});
+
+/* ============================================================
+   📦 GET /api/portal/orders
+============================================================ */
+router.get("/orders", async (req, res) => {
+  try {
+    const rows = await getCustomerOrders(req.customerId);
+    res.json({ success: true, data: rows });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching orders:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch orders." });
+  }
+});
+
+/* ============================================================
+   📦 GET /api/portal/orders/:orderId — with payments + totals
+============================================================ */
+router.get("/orders/:orderId", async (req, res) => {
+  try {
+    const order = await findOwnedOrder(req.params.orderId, req.customerId);
+    if (!order)
+      return res.status(404).json({ success: false, error: "Order not found." });
+
+    const { rows: payments } = await pool.query(
+      `SELECT id, amount, type, method, status, created_at
+       FROM payments WHERE order_id = $1 ORDER BY created_at ASC;`,
+      [order.id]
+    );
+
+    const paid = payments
+      .filter((p) => p.status === "paid" && p.amount > 0)
+      .reduce((sum, p) => sum + Number(p.amount), 0);
+    const refunded = payments
+      .filter((p) => p.status === "refunded" || p.amount < 0)
+      .reduce((sum, p) => sum + Math.abs(Number(p.amount)), 0);
+    const total = Number(order.deposit || 0) + Number(order.balance || 0);
+
+    res.json({
+      success: true,
+      data: {
+        ...order,
+        payments,
+        total,
+        total_paid: paid,
+        refunded_total: refunded,
+        balance_due: Math.max(total - (paid - refunded), 0),
+      },
+    });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching order:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch order." });
+  }
+});
+
+/* ============================================================
+   📒 GET /api/portal/orders/:orderId/diary
+============================================================ */
+router.get("/orders/:orderId/diary", async (req, res) => {
+  try {
+    const order = await findOwnedOrder(req.params.orderId, req.customerId);
+    if (!order)
+      return res.status(404).json({ success: false, error: "Order not found." });
+
+    const { rows } = await pool.query(
+      `SELECT id, note, author, created_at
+       FROM order_diary WHERE order_id = $1 ORDER BY created_at DESC;`,
+      [order.id]
+    );
+    res.json({ success: true, entries: rows });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching diary:", err);
+    res.status(500).json({ success: false, error: "Failed to load diary entries." });
+  }
+});
+
+/* ============================================================
+   📄 GET /api/portal/orders/:orderId/invoices/:type
+   Streams the deposit or balance invoice PDF — only once it
+   has been raised (emailed via /api/orders/:id/invoices/:type/email)
+============================================================ */
+router.get("/orders/:orderId/invoices/:type", validate({ params: invoiceTypeParams }), async (req, res) => {
+  const { type } = req.params;
+
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT o.*, c.business, c.name, c.email, c.address1, c.address2, c.city, c.county, c.postcode, c.vat_number,
+             (SELECT COALESCE(SUM(amount),0) FROM payments
+              WHERE order_id = o.id AND status = 'paid' AND amount > 0) AS total_paid
+      FROM orders o
+      JOIN customers c ON c.id = o.customer_id
+      WHERE o.id = $1 AND o.customer_id = $2;
+      `,
+      [req.params.orderId, req.customerId]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Order not found." });
+    if (!rows[0][`${type}_invoiced`])
+      return res.status(404).json({ success: false, error: "Invoice not found." });
+
+    const pdfPath = await generateInvoicePDF(rows[0], type);
+    res.download(pdfPath);
+  } catch (err) {
+    console.error("❌ [Portal] Error generating invoice:", err);
+    res.status(500).json({ success: false, error: "Failed to generate invoice." });
+  }
+});
+
+/* ============================================================
+   💳 GET /api/portal/payments
+============================================================ */
+router.get("/payments", async (req, res) => {
+  try {
+    const rows = await getCustomerPayments(req.customerId);
+    res.json({ success: true, payments: rows });
+  } catch (err) {
+    console.error("❌ [Portal] Error fetching payments:", err);
+    res.status(500).json({ success: false, error: "Failed to load payments." });
+  }
+});
+
+export default router;
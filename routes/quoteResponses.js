@@ -4,31 +4,46 @@
  * ============================================================
  * Enables clients to view and respond to quotes using
  * secure tokenised links (accept / reject / amend).
+ * Links expire with the quote and are burned by accept / reject.
  * ============================================================
  */
 
 import express from "express";
-import pool from "../db.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+  resolveResponseToken,
+  respondToQuote,
+  recordQuoteView,
+  sendTokenError,
+} from "../utils/quoteTokens.js";
+import { validate } from "../middleware/validate.js";
+import { quoteTokenParams, quoteFeedbackSchema } from "../utils/schemas.js";
 
 const router = express.Router();
 
+// Per-IP + per-token throttle against token guessing
+const tokenLimit = rateLimit("quote_token", {
+  identifier: (req) => req.params.token,
+  errorKey: "message",
+});
+
+// Malformed tokens are rejected before they reach the limiter or DB
+const checkToken = validate({ params: quoteTokenParams });
+const checkFeedback = validate({ params: quoteTokenParams, body: quoteFeedbackSchema });
+
 /* -----------------------------
    GET /api/quotes/by-token/:token
-   Fetch quote by unique token
+   Fetch quote by unique token (410 if expired / used / revoked).
+   Always the latest revision — see utils/quoteRevisions.js
+   Each successful fetch is logged as a "viewed" event.
 -------------------------------- */
-router.get("/by-token/:token", async (req, res) => {
-  const { token } = req.params;
-
+router.get("/by-token/:token", checkToken, tokenLimit, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      "SELECT * FROM quotes WHERE response_token=$1",
-      [token]
-    );
+    const { quote, error } = await resolveResponseToken(req.params.token);
+    if (error) return sendTokenError(res, error);
 
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
+    await recordQuoteView(quote.id);
 
-    const quote = rows[0];
     quote.items =
       typeof quote.items === "string" ? JSON.parse(quote.items) : quote.items || [];
 
@@ -41,34 +56,12 @@ router.get("/by-token/:token", async (req, res) => {
 
 /* -----------------------------
    POST /api/quotes/by-token/:token/accept
-   Accept quote
+   Accept quote (burns the token)
 -------------------------------- */
-router.post("/by-token/:token/accept", async (req, res) => {
-  const { token } = req.params;
-
+router.post("/by-token/:token/accept", checkToken, tokenLimit, async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `
-      UPDATE quotes
-      SET status='accepted', updated_at=NOW()
-      WHERE response_token=$1
-      RETURNING *;
-      `,
-      [token]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `
-      INSERT INTO quote_history (quote_id, action, actor, created_at)
-      VALUES ($1, 'accepted', 'client', NOW());
-      `,
-      [quote.id]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, { status: "accepted" });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Quote accepted.", quote });
   } catch (err) {
@@ -79,35 +72,17 @@ router.post("/by-token/:token/accept", async (req, res) => {
 
 /* -----------------------------
    POST /api/quotes/by-token/:token/reject
-   Reject quote (with optional feedback)
+   Reject quote (with optional feedback; burns the token)
 -------------------------------- */
-router.post("/by-token/:token/reject", async (req, res) => {
-  const { token } = req.params;
+router.post("/by-token/:token/reject", checkFeedback, tokenLimit, async (req, res) => {
   const { feedback } = req.body || {};
 
   try {
-    const { rows } = await pool.query(
-      `
-      UPDATE quotes
-      SET status='rejected', feedback=$2, updated_at=NOW()
-      WHERE response_token=$1
-      RETURNING *;
-      `,
-      [token, feedback || null]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `
-      INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
-      VALUES ($1, 'rejected', $2, 'client', NOW());
-      `,
-      [quote.id, feedback || null]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, {
+      status: "rejected",
+      feedback: feedback || null,
+    });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Quote rejected.", quote });
   } catch (err) {
@@ -118,35 +93,17 @@ router.post("/by-token/:token/reject", async (req, res) => {
 
 /* -----------------------------
    POST /api/quotes/by-token/:token/amend
-   Request an amendment
+   Request an amendment (token stays live for the revised quote)
 -------------------------------- */
-router.post("/by-token/:token/amend", async (req, res) => {
-  const { token } = req.params;
+router.post("/by-token/:token/amend", checkFeedback, tokenLimit, async (req, res) => {
   const { feedback } = req.body || {};
 
   try {
-    const { rows } = await pool.query(
-      `
-      UPDATE quotes
-      SET status='amend_requested', feedback=$2, updated_at=NOW()
-      WHERE response_token=$1
-      RETURNING *;
-      `,
-      [token, feedback || null]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `
-      INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
-      VALUES ($1, 'amend_requested', $2, 'client', NOW());
-      `,
-      [quote.id, feedback || null]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, {
+      status: "amend_requested",
+      feedback: feedback || null,
+    });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Amendment requested.", quote });
   } catch (err) {
@@ -0,0 +1,202 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Templates API
+ * ============================================================
+ * Reusable quote starting points (see utils/quoteTemplates.js).
+ * Create a quote from one with POST /api/customers/:id/quotes
+ * and { template_id }.
+ *
+ *   • GET    /api/quote-templates
+ *   • POST   /api/quote-templates
+ *   • GET    /api/quote-templates/:id
+ *   • PUT    /api/quote-templates/:id
+ *   • DELETE /api/quote-templates/:id   (quotes keep their copy)
+ * ============================================================
+ */
+
+import express from "express";
+import pool from "../db.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, actorFromRequest } from "../utils/audit.js";
+import { toArray, quoteTotals } from "../utils/quotes.js";
+import { findQuoteTemplate } from "../utils/quoteTemplates.js";
+import { validate, validateId } from "../middleware/validate.js";
+import { quoteTemplateCreateSchema, quoteTemplateUpdateSchema } from "../utils/schemas.js";
+
+const router = express.Router();
+
+router.param("id", validateId);
+
+const isUniqueViolation = (err) => err.code === "23505";
+const isMissingLink = (err) => err.code === "23503";
+
+function sendWriteError(res, err, fallback) {
+  if (isUniqueViolation(err))
+    return res.status(409).json({ success: false, error: "A template with that name already exists." });
+  if (isMissingLink(err))
+    return res.status(400).json({ success: false, error: "Package or maintenance plan not found." });
+  res.status(500).json({ success: false, error: fallback });
+}
+
+// Templates carry their item total so the picker can show a price
+const withTotals = (template) => ({
+  ...template,
+  items: toArray(template.items),
+  totals: quoteTotals({ items: template.items }),
+});
+
+/* ============================================================
+   📋 GET /api/quote-templates — with usage counts
+============================================================ */
+router.get("/", async (_req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT t.*,
+             p.name AS package_name, m.name AS maintenance_name,
+             (SELECT COUNT(*)::int FROM quotes q WHERE q.template_id = t.id) AS quote_count
+      FROM quote_templates t
+      LEFT JOIN packages p ON p.id = t.package_id
+      LEFT JOIN maintenance_plans m ON m.id = t.maintenance_id
+      ORDER BY LOWER(t.name);
+    `);
+    res.json({ success: true, data: rows.map(withTotals), count: rows.length });
+  } catch (err) {
+    console.error("❌ [DB][QuoteTemplates] Error fetching templates:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch quote templates." });
+  }
+});
+
+/* ============================================================
+   ➕ POST /api/quote-templates
+============================================================ */
+router.post("/", requirePermission("quotes:write"), validate({ body: quoteTemplateCreateSchema }), async (req, res) => {
+  const { name, title, description, items, deposit_percent, notes, package_id, maintenance_id } = req.body;
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO quote_templates (
+         name, title, description, items, deposit_percent, notes,
+         package_id, maintenance_id, created_by
+       )
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9)
+       RETURNING *;`,
+      [
+        name.trim(),
+        title?.trim() || null,
+        description?.trim() || null,
+        JSON.stringify(toArray(items)),
+        deposit_percent ?? null,
+        notes?.trim() || null,
+        package_id || null,
+        maintenance_id || null,
+        actorFromRequest(req).name,
+      ]
+    );
+
+    await recordAudit(req, { action: "create", entityType: "quote_template", entityId: rows[0].id, after: rows[0] });
+
+    console.log(`🧩 [DB][QuoteTemplates] Created "${rows[0].name}"`);
+    res.status(201).json({ success: true, message: "Quote template created.", data: withTotals(rows[0]) });
+  } catch (err) {
+    console.error("❌ [DB][QuoteTemplates] Error creating template:", err);
+    sendWriteError(res, err, "Failed to create quote template.");
+  }
+});
+
+/* ============================================================
+   🧩 GET /api/quote-templates/:id
+============================================================ */
+router.get("/:id", async (req, res) => {
+  try {
+    const template = await findQuoteTemplate(req.params.id);
+    if (!template)
+      return res.status(404).json({ success: false, error: "Quote template not found." });
+
+    res.json({ success: true, data: withTotals(template) });
+  } catch (err) {
+    console.error("❌ [DB][QuoteTemplates] Error fetching template:", err);
+    res.status(500).json({ success: false, error: "Failed to fetch quote template." });
+  }
+});
+
+/* ============================================================
+   ✏️ PUT /api/quote-templates/:id — omitted fields unchanged,
+   null clears an optional one
+============================================================ */
+router.put("/:id", requirePermission("quotes:write"), validate({ body: quoteTemplateUpdateSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { name, title, description, items, deposit_percent, notes, package_id, maintenance_id } = req.body;
+  const given = (value) => value !== undefined;
+  const text = (value) => (typeof value === "string" ? value.trim() || null : null);
+
+  try {
+    const before = await findQuoteTemplate(id);
+    if (!before)
+      return res.status(404).json({ success: false, error: "Quote template not found." });
+
+    const { rows } = await pool.query(
+      `UPDATE quote_templates
+       SET name = COALESCE($2, name),
+           title = CASE WHEN $3::boolean THEN $4 ELSE title END,
+           description = CASE WHEN $5::boolean THEN $6 ELSE description END,
+           items = COALESCE($7::jsonb, items),
+           deposit_percent = CASE WHEN $8::boolean THEN $9::numeric ELSE deposit_percent END,
+           notes = CASE WHEN $10::boolean THEN $11 ELSE notes END,
+           package_id = CASE WHEN $12::boolean THEN $13::int ELSE package_id END,
+           maintenance_id = CASE WHEN $14::boolean THEN $15::int ELSE maintenance_id END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [
+        id,
+        name?.trim() || null,
+        given(title),
+        text(title),
+        given(description),
+        text(description),
+        Array.isArray(items) ? JSON.stringify(items) : null,
+        given(deposit_percent),
+        deposit_percent ?? null,
+        given(notes),
+        text(notes),
+        given(package_id),
+        package_id || null,
+        given(maintenance_id),
+        maintenance_id || null,
+      ]
+    );
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "quote_template",
+      entityId: id,
+      before,
+      after: rows[0],
+    });
+
+    res.json({ success: true, message: "Quote template updated.", data: withTotals(rows[0]) });
+  } catch (err) {
+    console.error("❌ [DB][QuoteTemplates] Error updating template:", err);
+    sendWriteError(res, err, "Failed to update quote template.");
+  }
+});
+
+/* ============================================================
+   🗑️ DELETE /api/quote-templates/:id
+============================================================ */
+router.delete("/:id", requirePermission("quotes:write"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { rows } = await pool.query("DELETE FROM quote_templates WHERE id = $1 RETURNING *;", [id]);
+    if (!rows.length)
+      return res.status(404).json({ success: false, error: "Quote template not found." });
+
+    await recordAudit(req, { action: "delete", entityType: "quote_template", entityId: id, before: rows[0] });
+
+    res.json({ success: true, message: "Quote template deleted." });
+  } catch (err) {
+    console.error("❌ [DB][QuoteTemplates] Error deleting template:", err);
+    res.status(500).json({ success: false, error: "Failed to delete quote template." });
+  }
+});
+
+export default router;
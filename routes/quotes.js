@@ -10,6 +10,11 @@
  *  ✅ Auto-create order with full billing info — no manual DB edits
  *  ✅ Includes DELETE endpoints for both admin & customers
  *  ✅ Works seamlessly with Direct Debit + automation billing flows
+ *  ✅ Expiring response tokens with admin revoke / reissue
+ *  ✅ Revisions (v1, v2 …) with per-revision PDFs + diffs
+ *  ✅ Validity dates with renew (extend / re-price) for expired quotes
+ *  ✅ Email quotes with PDF + response link; sent / viewed tracking
+ *  ✅ Create from a reusable quote template (template_id)
  * ============================================================
  */
 
@@ -17,11 +22,40 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
-import pool, { generateQuoteNumber } from "../db.js";
+import pool from "../db.js";
 import { generateResponseToken } from "../utils/token.js";
 import { sendEmail } from "../utils/email.js";
 import { generateQuotePDF } from "../utils/pdf.js";
-import { toArray, calcSubtotal, findQuote } from "../utils/quotes.js";
+import { toArray, calcSubtotal, findQuote, quoteTotals } from "../utils/quotes.js";
+import { requirePermission } from "../middleware/auth.js";
+import { recordAudit, actorFromRequest } from "../utils/audit.js";
+import {
+  TERMINAL_STATUSES,
+  tokenExpiresAt,
+  issueResponseToken,
+  revokeResponseToken,
+  quoteResponseLink,
+} from "../utils/quoteTokens.js";
+import {
+  recordRevision,
+  reviseQuote,
+  getQuoteRevisions,
+  getQuoteRevision,
+  diffRevisions,
+} from "../utils/quoteRevisions.js";
+import { defaultValidUntil, QUOTE_VALID_DAYS } from "../utils/quoteExpiry.js";
+import { findQuoteTemplate, applyQuoteTemplate } from "../utils/quoteTemplates.js";
+import { nextDocumentNumber } from "../utils/numbering.js";
+import { validate, validateId } from "../middleware/validate.js";
+import {
+  quoteCreateSchema,
+  quoteReissueSchema,
+  quoteRevisionSchema,
+  quoteRenewSchema,
+  quoteSendSchema,
+} from "../utils/schemas.js";
+import { resolveRecipient, recipientLabel } from "../utils/customerContacts.js";
+import { quoteEmailTemplate } from "../utils/emailTemplates.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,31 +63,46 @@ const __dirname = path.dirname(__filename);
 export const quotesCustomerRouter = express.Router();
 export const quotesAdminRouter = express.Router();
 
+quotesCustomerRouter.param("id", validateId);
+quotesCustomerRouter.param("quoteId", validateId);
+quotesAdminRouter.param("quoteId", validateId);
+quotesAdminRouter.param("revision", validateId);
+quotesAdminRouter.param("a", validateId);
+quotesAdminRouter.param("b", validateId);
+
 /* ============================================================
    CUSTOMER ROUTES
    ============================================================ */
 
 // ➕ Create Quote (Customer)
-quotesCustomerRouter.post("/:id/quotes", async (req, res) => {
+// With template_id, fields left out of the body come from the template.
+quotesCustomerRouter.post("/:id/quotes", requirePermission("quotes:write"), validate({ body: quoteCreateSchema }), async (req, res) => {
   const { id } = req.params;
-  const {
-    title,
-    description,
-    items,
-    deposit,
-    notes,
-    package_id,
-    maintenance_id,
-    custom_price,
-    discount_percent,
-  } = req.body;
+  const { template_id } = req.body;
 
   try {
     const { rows: cRows } = await pool.query("SELECT * FROM customers WHERE id=$1", [id]);
     if (!cRows.length)
       return res.status(404).json({ success: false, error: "Customer not found." });
 
-    const quoteNumber = await generateQuoteNumber(id, cRows[0].business || cRows[0].name);
+    const template = template_id ? await findQuoteTemplate(template_id) : null;
+    if (template_id && !template)
+      return res.status(404).json({ success: false, error: "Quote template not found." });
+
+    const {
+      title,
+      description,
+      items,
+      deposit,
+      notes,
+      package_id,
+      maintenance_id,
+      custom_price,
+      discount_percent,
+      valid_until,
+    } = template ? applyQuoteTemplate(template, req.body) : req.body;
+
+    const validUntil = valid_until || defaultValidUntil();
 
     // 🔍 Pull live package + maintenance plan data
     const pkg = package_id
@@ -71,39 +120,66 @@ quotesCustomerRouter.post("/:id/quotes", async (req, res) => {
         ).rows[0]
       : null;
 
-    // 💾 Insert quote
-    const { rows } = await pool.query(
-      `
-      INSERT INTO quotes (
-        customer_id, quote_number, title, description, items, deposit, notes,
-        package_id, maintenance_id, custom_price, discount_percent, status, response_token,
-        created_at, updated_at
-      )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'pending',$12,NOW(),NOW())
-      RETURNING *;
-      `,
-      [
-        id,
-        quoteNumber,
-        title || "",
-        description || "",
-        JSON.stringify(toArray(items)),
-        deposit ?? null,
-        notes || "",
-        package_id || null,
-        maintenance_id || null,
-        custom_price || null,
-        discount_percent || 0,
-        generateResponseToken(),
-      ]
-    );
+    // 💾 Insert quote — numbered in the same transaction, so a failed insert leaves no gap
+    const client = await pool.connect();
+    let quote;
+    try {
+      await client.query("BEGIN");
+      const quoteNumber = await nextDocumentNumber(client, "quote", {
+        business: cRows[0].business || cRows[0].name,
+      });
+      const { rows } = await client.query(
+        `
+        INSERT INTO quotes (
+          customer_id, quote_number, title, description, items, deposit, notes,
+          package_id, maintenance_id, custom_price, discount_percent, status, response_token,
+          valid_until, response_token_expires_at, template_id, created_at, updated_at
+        )
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'pending',$12,$13,$14,$15,NOW(),NOW())
+        RETURNING *;
+        `,
+        [
+          id,
+          quoteNumber,
+          title || "",
+          description || "",
+          JSON.stringify(toArray(items)),
+          deposit ?? null,
+          notes || "",
+          package_id || null,
+          maintenance_id || null,
+          custom_price || null,
+          discount_percent || 0,
+          generateResponseToken(),
+          validUntil,
+          tokenExpiresAt(validUntil),
+          template?.id || null,
+        ]
+      );
+      quote = rows[0];
+      await recordRevision(client, quote, { createdBy: actorFromRequest(req).name });
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await recordAudit(req, {
+      action: "create",
+      entityType: "quote",
+      entityId: quote.id,
+      after: quote,
+      meta: template ? { template_id: template.id, template_name: template.name } : null,
+    });
 
-    console.log(`📝 Quote created for customer ${id}: ${quoteNumber}`);
+    console.log(`📝 Quote created for customer ${id}: ${quote.quote_number}${template ? ` (template "${template.name}")` : ""}`);
     res.status(201).json({
       success: true,
       message: "Quote created successfully.",
       quote: {
-        ...rows[0],
+        ...quote,
         package_name: pkg?.name,
         maintenance_name: maint?.name,
       },
@@ -164,16 +240,23 @@ quotesCustomerRouter.get("/:id/quotes/:quoteId", async (req, res) => {
 });
 
 // ❌ Delete Quote (Customer)
-quotesCustomerRouter.delete("/:id/quotes/:quoteId", async (req, res) => {
+quotesCustomerRouter.delete("/:id/quotes/:quoteId", requirePermission("quotes:write"), async (req, res) => {
   const { quoteId, id } = req.params;
   try {
-    const { rowCount } = await pool.query(
-      "DELETE FROM quotes WHERE id=$1 AND customer_id=$2;",
+    const { rows, rowCount } = await pool.query(
+      "DELETE FROM quotes WHERE id=$1 AND customer_id=$2 RETURNING *;",
       [quoteId, id]
     );
     if (rowCount === 0)
       return res.status(404).json({ success: false, error: "Quote not found or already deleted." });
 
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "quote",
+      entityId: quoteId,
+      before: rows[0],
+    });
+
     console.log(`🗑️ Quote ${quoteId} deleted by customer ${id}`);
     res.json({ success: true, message: `Quote ${quoteId} deleted successfully.` });
   } catch (err) {
@@ -194,15 +277,23 @@ quotesAdminRouter.get("/:quoteId", async (req, res) => {
       SELECT q.*,
              c.name AS customer_name, c.business AS customer_business,
              c.email AS customer_email, c.phone AS customer_phone,
-             c.address1, c.address2, c.city, c.county, c.postcode,
+             c.address1, c.address2, c.city, c.county, c.postcode, c.vat_number,
              o.id AS order_id,
              p.name AS package_name, p.price_oneoff AS package_price, p.price_monthly AS package_monthly,
-             m.name AS maintenance_name, m.price AS maintenance_monthly
+             m.name AS maintenance_name, m.price AS maintenance_monthly,
+             e.last_sent_at, e.view_count, e.first_viewed_at, e.last_viewed_at
       FROM quotes q
       JOIN customers c ON q.customer_id = c.id
       LEFT JOIN orders o ON o.quote_id = q.id
       LEFT JOIN packages p ON q.package_id = p.id
       LEFT JOIN maintenance_plans m ON q.maintenance_id = m.id
+      LEFT JOIN LATERAL (
+        SELECT MAX(created_at) FILTER (WHERE action = 'sent') AS last_sent_at,
+               COUNT(*) FILTER (WHERE action = 'viewed')::int AS view_count,
+               MIN(created_at) FILTER (WHERE action = 'viewed') AS first_viewed_at,
+               MAX(created_at) FILTER (WHERE action = 'viewed') AS last_viewed_at
+        FROM quote_history WHERE quote_id = q.id
+      ) e ON TRUE
       WHERE q.id = $1;
       `,
       [req.params.quoteId]
@@ -221,7 +312,7 @@ quotesAdminRouter.get("/:quoteId", async (req, res) => {
 });
 
 // 🧩 Create Order from Quote (Monthly builds + maintenance aware)
-quotesAdminRouter.post("/:quoteId/create-order", async (req, res) => {
+quotesAdminRouter.post("/:quoteId/create-order", requirePermission("orders:write"), async (req, res) => {
   const { quoteId } = req.params;
   try {
     const q = await findQuote(quoteId);
@@ -289,6 +380,14 @@ quotesAdminRouter.post("/:quoteId/create-order", async (req, res) => {
     );
 
     const order = rows[0];
+    await recordAudit(req, {
+      action: "create",
+      entityType: "order",
+      entityId: order.id,
+      after: order,
+      meta: { quote_id: Number(quoteId), pricing_mode: pricingMode },
+    });
+
     console.log(`✅ Order #${order.id} created from quote #${quoteId} (${pricingMode})`);
     res.json({ success: true, order });
   } catch (err) {
@@ -297,17 +396,371 @@ quotesAdminRouter.post("/:quoteId/create-order", async (req, res) => {
   }
 });
 
+// 🔑 Reissue Response Token (Admin)
+// Replaces the client link; re-opens accepted / rejected quotes for a new response.
+quotesAdminRouter.post("/:quoteId/token/reissue", requirePermission("quotes:write"), validate({ body: quoteReissueSchema }), async (req, res) => {
+  const { quoteId } = req.params;
+  const { valid_until } = req.body || {};
+
+  try {
+    const before = await findQuote(quoteId);
+    if (!before)
+      return res.status(404).json({ success: false, message: "Quote not found." });
+    if (before.status === "closed" || before.order_id)
+      return res
+        .status(409)
+        .json({ success: false, message: "Quote has already been converted to an order." });
+    if (before.status === "expired")
+      return res
+        .status(409)
+        .json({ success: false, message: "Quote has expired — renew it to issue a new validity date." });
+
+    let quote = await issueResponseToken(quoteId, { validUntil: valid_until || undefined });
+
+    if (TERMINAL_STATUSES.includes(before.status)) {
+      const { rows } = await pool.query(
+        "UPDATE quotes SET status = 'pending', updated_at = NOW() WHERE id = $1 RETURNING *;",
+        [quoteId]
+      );
+      quote = rows[0];
+      await pool.query(
+        `INSERT INTO quote_history (quote_id, action, actor, created_at)
+         VALUES ($1, 'reopened', 'admin', NOW());`,
+        [quoteId]
+      );
+    }
+
+    await recordAudit(req, {
+      action: "token_reissue",
+      entityType: "quote",
+      entityId: quoteId,
+      before,
+      after: quote,
+    });
+
+    console.log(`🔑 Response token reissued for quote ${quoteId}`);
+    res.json({
+      success: true,
+      message: "New response link issued.",
+      quote: {
+        id: quote.id,
+        status: quote.status,
+        response_token: quote.response_token,
+        response_token_expires_at: quote.response_token_expires_at,
+        valid_until: quote.valid_until,
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error reissuing quote token:", err);
+    res.status(500).json({ success: false, message: "Failed to reissue response link." });
+  }
+});
+
+// 🚫 Revoke Response Token (Admin)
+quotesAdminRouter.post("/:quoteId/token/revoke", requirePermission("quotes:write"), async (req, res) => {
+  const { quoteId } = req.params;
+  try {
+    const quote = await revokeResponseToken(quoteId);
+    if (!quote)
+      return res.status(404).json({ success: false, message: "Quote not found." });
+
+    await recordAudit(req, {
+      action: "token_revoke",
+      entityType: "quote",
+      entityId: quoteId,
+      meta: { revoked_at: quote.response_token_revoked_at },
+    });
+
+    console.log(`🚫 Response token revoked for quote ${quoteId}`);
+    res.json({
+      success: true,
+      message: "Response link revoked.",
+      quote: { id: quote.id, response_token_revoked_at: quote.response_token_revoked_at },
+    });
+  } catch (err) {
+    console.error("❌ Error revoking quote token:", err);
+    res.status(500).json({ success: false, message: "Failed to revoke response link." });
+  }
+});
+
+// 📧 Send Quote (Admin)
+// Emails the current revision as a PDF with the client's response link.
+quotesAdminRouter.post("/:quoteId/send", requirePermission("quotes:write"), validate({ body: quoteSendSchema }), async (req, res) => {
+  const { quoteId } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT q.*,
+             c.name AS customer_name, c.business AS customer_business,
+             c.email AS customer_email, c.phone AS customer_phone,
+             c.address1, c.address2, c.city, c.county, c.postcode, c.vat_number,
+             o.id AS order_id,
+             q.valid_until::text AS valid_until
+      FROM quotes q
+      JOIN customers c ON q.customer_id = c.id
+      LEFT JOIN orders o ON o.quote_id = q.id
+      WHERE q.id = $1;
+      `,
+      [quoteId]
+    );
+    if (!rows.length)
+      return res.status(404).json({ success: false, message: "Quote not found." });
+    const quote = rows[0];
+
+    if (TERMINAL_STATUSES.includes(quote.status) || quote.order_id)
+      return res.status(409).json({ success: false, message: `Quote has already been ${quote.order_id ? "converted to an order" : quote.status}.` });
+    const tokenExpired = quote.response_token_expires_at && new Date(quote.response_token_expires_at) < new Date();
+    if (quote.status === "expired" || tokenExpired)
+      return res.status(409).json({ success: false, message: "Quote has expired — renew it before sending." });
+    if (!quote.response_token || quote.response_token_revoked_at || quote.response_token_used_at)
+      return res.status(409).json({ success: false, message: "Quote has no active response link — reissue it before sending." });
+
+    const recipient = await resolveRecipient(quote.customer_id, "quote");
+    if (!recipient?.email)
+      return res.status(400).json({ success: false, message: "Customer has no email address." });
+
+    const pdfPath = await generateQuotePDF(quote);
+    const revision = quote.current_revision || 1;
+
+    await sendEmail({
+      to: recipient.email,
+      subject: `Your quote ${quote.quote_number}${revision > 1 ? ` (v${revision})` : ""} from PJH Web Services`,
+      html: quoteEmailTemplate({
+        customerName: recipient.name,
+        quoteNumber: quote.quote_number,
+        title: quote.title,
+        total: quoteTotals(quote).total,
+        validUntil: quote.valid_until,
+        link: quoteResponseLink(quote.response_token),
+        message: req.body.message,
+      }),
+      attachments: [{ filename: path.basename(pdfPath), path: pdfPath }],
+    });
+
+    const actor = actorFromRequest(req).name;
+    await pool.query(
+      `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
+       VALUES ($1, 'sent', $2, $3, NOW());`,
+      [quote.id, `v${revision} to ${recipientLabel(recipient)}`, actor]
+    );
+
+    await recordAudit(req, {
+      action: "send",
+      entityType: "quote",
+      entityId: quote.id,
+      meta: { revision, recipient_contact_id: recipient.contact_id },
+    });
+
+    console.log(`📧 Quote ${quote.quote_number} (v${revision}) emailed`);
+    res.json({ success: true, message: `Quote sent to ${recipient.email}.` });
+  } catch (err) {
+    console.error("❌ Error sending quote:", err);
+    res.status(500).json({ success: false, message: "Failed to send quote." });
+  }
+});
+
+// 🗂️ List Revisions (Admin)
+quotesAdminRouter.get("/:quoteId/revisions", async (req, res) => {
+  const { quoteId } = req.params;
+  try {
+    const quote = await findQuote(quoteId);
+    if (!quote)
+      return res.status(404).json({ success: false, message: "Quote not found." });
+
+    const revisions = await getQuoteRevisions(quoteId);
+    res.json({
+      success: true,
+      quote_number: quote.quote_number,
+      current_revision: quote.current_revision,
+      revisions,
+    });
+  } catch (err) {
+    console.error("❌ Error fetching quote revisions:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch quote revisions." });
+  }
+});
+
+// ✏️ Revise Quote (Admin)
+// Amendments become a new revision; the client link now shows it.
+quotesAdminRouter.post("/:quoteId/revisions", requirePermission("quotes:write"), validate({ body: quoteRevisionSchema }), async (req, res) => {
+  const { quoteId } = req.params;
+  const { change_note, ...changes } = req.body;
+
+  try {
+    const result = await reviseQuote(quoteId, changes, {
+      createdBy: actorFromRequest(req).name,
+      note: change_note?.trim() || null,
+    });
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, message: "Quote not found." });
+    if (result.status === "locked") {
+      return res.status(409).json({
+        success: false,
+        message:
+          result.before.status === "rejected"
+            ? "Quote was rejected. Reissue the response link to re-open it before revising."
+            : "Quote has already been accepted or converted to an order.",
+      });
+    }
+    if (result.status === "unchanged")
+      return res.json({ success: true, message: "No changes — revision not created.", quote: result.quote });
+
+    await recordAudit(req, {
+      action: "revise",
+      entityType: "quote",
+      entityId: quoteId,
+      before: result.before,
+      after: result.quote,
+      meta: { revision: result.revision.revision, note: change_note || null },
+    });
+
+    console.log(`🗂️ Quote ${result.quote.quote_number} revised → v${result.revision.revision}`);
+    res.status(201).json({
+      success: true,
+      message: `Revision v${result.revision.revision} created.`,
+      quote: { ...result.quote, items: toArray(result.quote.items) },
+      revision: result.revision,
+      diff: result.diff,
+    });
+  } catch (err) {
+    console.error("❌ Error revising quote:", err);
+    res.status(500).json({ success: false, message: "Failed to revise quote." });
+  }
+});
+
+// 🔁 Renew Quote (Admin)
+// Extends (and optionally re-prices) an expired or open quote as a new revision.
+quotesAdminRouter.post("/:quoteId/renew", requirePermission("quotes:write"), validate({ body: quoteRenewSchema }), async (req, res) => {
+  const { quoteId } = req.params;
+  const { change_note, days, valid_until, ...changes } = req.body;
+  const validUntil = valid_until || defaultValidUntil(new Date(), days || QUOTE_VALID_DAYS);
+
+  try {
+    const result = await reviseQuote(
+      quoteId,
+      { ...changes, valid_until: validUntil },
+      {
+        createdBy: actorFromRequest(req).name,
+        note: change_note?.trim() || `Renewed until ${validUntil}`,
+        action: "renewed",
+      }
+    );
+
+    if (result.status === "not_found")
+      return res.status(404).json({ success: false, message: "Quote not found." });
+    if (result.status === "locked")
+      return res.status(409).json({ success: false, message: "Only open or expired quotes can be renewed." });
+    if (result.status === "unchanged")
+      return res.json({ success: true, message: `Quote is already valid until ${validUntil}.`, quote: result.quote });
+
+    await recordAudit(req, {
+      action: "renew",
+      entityType: "quote",
+      entityId: quoteId,
+      before: result.before,
+      after: result.quote,
+      meta: { revision: result.revision.revision, valid_until: validUntil },
+    });
+
+    console.log(`🔁 Quote ${result.quote.quote_number} renewed until ${validUntil} (v${result.revision.revision})`);
+    res.json({
+      success: true,
+      message: `Quote renewed until ${validUntil}.`,
+      quote: { ...result.quote, items: toArray(result.quote.items) },
+      revision: result.revision,
+      diff: result.diff,
+    });
+  } catch (err) {
+    console.error("❌ Error renewing quote:", err);
+    res.status(500).json({ success: false, message: "Failed to renew quote." });
+  }
+});
+
+// 🔍 Compare Revisions (Admin)
+quotesAdminRouter.get("/:quoteId/revisions/:a/diff/:b", async (req, res) => {
+  const { quoteId, a, b } = req.params;
+  try {
+    const [from, to] = await Promise.all([getQuoteRevision(quoteId, a), getQuoteRevision(quoteId, b)]);
+    if (!from || !to)
+      return res.status(404).json({ success: false, message: "Revision not found." });
+
+    res.json({
+      success: true,
+      from: { revision: from.revision, created_at: from.created_at, created_by: from.created_by },
+      to: { revision: to.revision, created_at: to.created_at, created_by: to.created_by },
+      diff: diffRevisions(from, to),
+    });
+  } catch (err) {
+    console.error("❌ Error comparing quote revisions:", err);
+    res.status(500).json({ success: false, message: "Failed to compare revisions." });
+  }
+});
+
+// 📄 Revision PDF (Admin)
+quotesAdminRouter.get("/:quoteId/revisions/:revision/pdf", async (req, res) => {
+  const { quoteId, revision } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT q.id, q.quote_number,
+             c.name AS customer_name, c.business AS customer_business,
+             c.email AS customer_email, c.phone AS customer_phone,
+             c.address1, c.address2, c.city, c.county, c.postcode, c.vat_number
+      FROM quotes q
+      JOIN customers c ON q.customer_id = c.id
+      WHERE q.id = $1;
+      `,
+      [quoteId]
+    );
+    const rev = rows.length ? await getQuoteRevision(quoteId, revision) : null;
+    if (!rev)
+      return res.status(404).json({ success: false, message: "Revision not found." });
+
+    const { id, quote_id, ...revisionFields } = rev;
+    const pdfPath = await generateQuotePDF({ ...rows[0], ...revisionFields });
+    res.download(pdfPath);
+  } catch (err) {
+    console.error("❌ Error generating revision PDF:", err);
+    res.status(500).json({ success: false, message: "Failed to generate revision PDF." });
+  }
+});
+
+// 🧾 Get Revision (Admin)
+quotesAdminRouter.get("/:quoteId/revisions/:revision", async (req, res) => {
+  const { quoteId, revision } = req.params;
+  try {
+    const rev = await getQuoteRevision(quoteId, revision);
+    if (!rev)
+      return res.status(404).json({ success: false, message: "Revision not found." });
+
+    res.json({ success: true, revision: rev });
+  } catch (err) {
+    console.error("❌ Error fetching quote revision:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch quote revision." });
+  }
+});
 
 // ❌ Delete Quote (Admin)
-quotesAdminRouter.delete("/:quoteId", async (req, res) => {
+quotesAdminRouter.delete("/:quoteId", requirePermission("quotes:write"), async (req, res) => {
   const { quoteId } = req.params;
   try {
-    const { rowCount } = await pool.query("DELETE FROM quotes WHERE id=$1;", [quoteId]);
+    const { rows, rowCount } = await pool.query(
+      "DELETE FROM quotes WHERE id=$1 RETURNING *;",
+      [quoteId]
+    );
     if (rowCount === 0)
       return res
         .status(404)
         .json({ success: false, message: "Quote not found or already deleted." });
 
+    await recordAudit(req, {
+      action: "delete",
+      entityType: "quote",
+      entityId: quoteId,
+      before: rows[0],
+    });
+
     console.log(`🗑️ Admin deleted quote ${quoteId}`);
     res.json({ success: true, message: `Quote ${quoteId} deleted successfully.` });
   } catch (err) {
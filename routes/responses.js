@@ -8,11 +8,24 @@
  */
 
 import express from "express";
-import pool from "../db.js";
 import PDFDocument from "pdfkit";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { respondToQuote, sendTokenError } from "../utils/quoteTokens.js";
+import { validate } from "../middleware/validate.js";
+import { quoteTokenParams, quoteFeedbackSchema } from "../utils/schemas.js";
 
 const router = express.Router();
 
+// Per-IP + per-token throttle against token guessing
+const tokenLimit = rateLimit("quote_token", {
+  identifier: (req) => req.params.token,
+  errorKey: "message",
+});
+
+// Malformed tokens are rejected before they reach the limiter or DB
+const checkToken = validate({ params: quoteTokenParams });
+const checkFeedback = validate({ params: quoteTokenParams, body: quoteFeedbackSchema });
+
 /* -----------------------------
    Helper: Generate Invoice PDF (inline to response)
 -------------------------------- */
@@ -82,29 +95,15 @@ export function generateInvoice(res, customer, quote) {
 /* -----------------------------
    POST /api/responses/:token/accept
 -------------------------------- */
-router.post("/:token/accept", async (req, res) => {
-  const { token } = req.params;
+router.post("/:token/accept", checkToken, tokenLimit, async (req, res) => {
   const actor = req.body?.actor || "customer";
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE quotes 
-       SET status='accepted', updated_at=NOW()
-       WHERE response_token=$1
-       RETURNING *`,
-      [token]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `INSERT INTO quote_history (quote_id, action, actor, created_at)
-       VALUES ($1, 'accepted', $2, NOW())`,
-      [quote.id, actor]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, {
+      status: "accepted",
+      actor,
+    });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Quote accepted.", quote });
   } catch (err) {
@@ -116,30 +115,17 @@ router.post("/:token/accept", async (req, res) => {
 /* -----------------------------
    POST /api/responses/:token/reject
 -------------------------------- */
-router.post("/:token/reject", async (req, res) => {
-  const { token } = req.params;
+router.post("/:token/reject", checkFeedback, tokenLimit, async (req, res) => {
   const { feedback } = req.body || {};
   const actor = req.body?.actor || "customer";
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE quotes 
-       SET status='rejected', feedback=$2, updated_at=NOW()
-       WHERE response_token=$1
-       RETURNING *`,
-      [token, feedback || null]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
-       VALUES ($1, 'rejected', $2, $3, NOW())`,
-      [quote.id, feedback || null, actor]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, {
+      status: "rejected",
+      feedback: feedback || null,
+      actor,
+    });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Quote rejected.", quote });
   } catch (err) {
@@ -151,30 +137,17 @@ router.post("/:token/reject", async (req, res) => {
 /* -----------------------------
    POST /api/responses/:token/amend
 -------------------------------- */
-router.post("/:token/amend", async (req, res) => {
-  const { token } = req.params;
+router.post("/:token/amend", checkFeedback, tokenLimit, async (req, res) => {
   const { feedback } = req.body || {};
   const actor = req.body?.actor || "customer";
 
   try {
-    const { rows } = await pool.query(
-      `UPDATE quotes 
-       SET status='amend_requested', feedback=$2, updated_at=NOW()
-       WHERE response_token=$1
-       RETURNING *`,
-      [token, feedback || null]
-    );
-
-    if (rows.length === 0)
-      return res.status(404).json({ success: false, message: "Quote not found." });
-
-    const quote = rows[0];
-
-    await pool.query(
-      `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
-       VALUES ($1, 'amend_requested', $2, $3, NOW())`,
-      [quote.id, feedback || null, actor]
-    );
+    const { quote, error } = await respondToQuote(req.params.token, {
+      status: "amend_requested",
+      feedback: feedback || null,
+      actor,
+    });
+    if (error) return sendTokenError(res, error);
 
     res.json({ success: true, message: "Amendment requested.", quote });
   } catch (err) {
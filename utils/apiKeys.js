@@ -0,0 +1,100 @@
+/**
+ * ============================================================
+ * PJH Web Services — API Keys
+ * ============================================================
+ * Long-lived keys for cron jobs and integrations, sent as
+ *   Authorization: Bearer pjh_<hex>
+ *
+ *   • Only a SHA-256 hash is stored; the key is shown once
+ *   • Each key is scoped to route groups (API_KEY_SCOPES)
+ *   • last_used_at / last_used_ip are stamped on every call
+ *   • Revoked or expired keys are rejected immediately
+ * ============================================================
+ */
+
+import crypto from "crypto";
+import pool from "../db.js";
+import { hashToken } from "./token.js";
+
+const KEY_PREFIX = "pjh_";
+
+// Route groups a key can be granted. readOnly scopes allow GET/HEAD only.
+// permissions are what requirePermission() lets the key do — nothing else,
+// so personal-data exports stay session-only unless a scope lists them.
+export const API_KEY_SCOPES = {
+  automation: {
+    description: "Direct Debit runs (/api/automation)",
+    readOnly: false,
+    permissions: ["automation:run"],
+  },
+  audit: { description: "Audit log (/api/audit)", readOnly: true, permissions: ["audit:read"] },
+  reporting: {
+    description: "Read-only customers, orders and payments reporting",
+    readOnly: true,
+    permissions: [],
+  },
+};
+
+/**
+ * Whether any of a key's scopes grants a permission.
+ * @param {string[]} scopes
+ * @param {string} permission
+ */
+export function scopesGrant(scopes, permission) {
+  return (scopes || []).some((scope) => API_KEY_SCOPES[scope]?.permissions.includes(permission));
+}
+
+export const API_KEY_COLUMNS =
+  "id, name, key_prefix, scopes, created_by, last_used_at, last_used_ip, expires_at, revoked_at, created_at";
+
+/* ------------------------------------------------------------
+   🗝️ createApiKey()
+   @returns {Promise<{key:string, record:object}>}
+     key = plain value, returned to the admin once
+------------------------------------------------------------ */
+export async function createApiKey({ name, scopes, expiresAt = null, createdBy = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("hex");
+
+  const { rows } = await pool.query(
+    `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,NOW())
+     RETURNING ${API_KEY_COLUMNS};`,
+    [name, key.slice(0, 12), hashToken(key), scopes, createdBy, expiresAt]
+  );
+
+  return { key, record: rows[0] };
+}
+
+/* ------------------------------------------------------------
+   🔍 verifyApiKey()
+   Looks up a live key and stamps its last use.
+   @returns {Promise<object|null>} { id, name, scopes } or null
+------------------------------------------------------------ */
+export async function verifyApiKey(key, { ip } = {}) {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const { rows } = await pool.query(
+    `UPDATE api_keys
+     SET last_used_at = NOW(), last_used_ip = $2
+     WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, name, scopes;`,
+    [hashToken(key), ip || null]
+  );
+  return rows[0] || null;
+}
+
+/* ------------------------------------------------------------
+   🚫 revokeApiKey()
+   @returns {Promise<object|null>} Updated key record
+------------------------------------------------------------ */
+export async function revokeApiKey(id) {
+  const { rows } = await pool.query(
+    `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+     WHERE id = $1
+     RETURNING ${API_KEY_COLUMNS};`,
+    [id]
+  );
+  return rows[0] || null;
+}
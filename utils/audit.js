@@ -0,0 +1,114 @@
+/**
+ * ============================================================
+ * PJH Web Services — Audit Log Service
+ * ============================================================
+ * Records who changed what across the CRM:
+ *   actor, action, entity type/id, before/after snapshots,
+ *   field-level diff, IP and timestamp.
+ *
+ * Example use (after a successful mutation):
+ *   await recordAudit(req, {
+ *     action: "update",
+ *     entityType: "customer",
+ *     entityId: id,
+ *     before,
+ *     after: rows[0],
+ *   });
+ *
+ * Failures are logged, never thrown — an audit hiccup must not
+ * undo a change that has already been committed.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+
+// Noise fields that change on every write
+const IGNORED_FIELDS = new Set(["updated_at"]);
+
+// Secrets that must never be copied into the log
+const REDACTED_FIELDS = new Set([
+  "response_token",
+  "password_hash",
+  "totp_secret",
+  "totp_pending_secret",
+]);
+
+/* ------------------------------------------------------------
+   🙈 redact()
+   Shallow copy of a row with secret fields masked.
+------------------------------------------------------------ */
+function redact(row) {
+  if (!row) return null;
+  const copy = { ...row };
+  for (const key of REDACTED_FIELDS) {
+    if (key in copy) copy[key] = "[redacted]";
+  }
+  return copy;
+}
+
+/* ------------------------------------------------------------
+   🔍 diffObjects()
+   Field-level diff: { field: { from, to } } for changed keys.
+------------------------------------------------------------ */
+export function diffObjects(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from, to };
+  }
+
+  return diff;
+}
+
+/* ------------------------------------------------------------
+   👤 actorFromRequest()
+   Resolves the acting admin user, API key, or "system".
+------------------------------------------------------------ */
+export function actorFromRequest(req) {
+  if (req?.adminUser) {
+    return { type: "admin", id: req.adminUser.id, name: req.adminUser.name };
+  }
+  if (req?.apiKey) {
+    return { type: "api_key", id: req.apiKey.id, name: req.apiKey.name };
+  }
+  return { type: "system", id: null, name: "system" };
+}
+
+/* ------------------------------------------------------------
+   📝 recordAudit()
+------------------------------------------------------------ */
+export async function recordAudit(req, { action, entityType, entityId, before = null, after = null, meta = null }) {
+  const actor = actorFromRequest(req);
+  const beforeRow = redact(before);
+  const afterRow = redact(after);
+
+  try {
+    await pool.query(
+      `
+      INSERT INTO audit_log
+        (actor_type, actor_id, actor_name, action, entity_type, entity_id,
+         before, after, diff, meta, ip, created_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7::jsonb,$8::jsonb,$9::jsonb,$10::jsonb,$11,NOW());
+      `,
+      [
+        actor.type,
+        actor.id,
+        actor.name,
+        action,
+        entityType,
+        entityId != null ? String(entityId) : null,
+        beforeRow ? JSON.stringify(beforeRow) : null,
+        afterRow ? JSON.stringify(afterRow) : null,
+        JSON.stringify(diffObjects(beforeRow, afterRow)),
+        meta ? JSON.stringify(meta) : null,
+        req?.ip || null,
+      ]
+    );
+  } catch (err) {
+    console.error(`⚠️ [Audit] Failed to record ${action} ${entityType}#${entityId}:`, err.message);
+  }
+}
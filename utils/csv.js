@@ -0,0 +1,97 @@
+/**
+ * ============================================================
+ * PJH Web Services — CSV Helpers
+ * ============================================================
+ * RFC 4180 output for spreadsheet exports. Cells starting with
+ * = + - @ (or tab / CR) are prefixed with ' so Excel and Sheets
+ * do not evaluate customer-supplied text as formulas.
+ *
+ * parseCsv() reads the same format back (quoted fields, embedded
+ * commas / newlines, "" escapes, CRLF or LF, UTF-8 BOM);
+ * unguardCell() undoes the formula prefix for re-imports.
+ * ============================================================
+ */
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text =
+    value instanceof Date ? value.toISOString() : Array.isArray(value) ? value.join("; ") : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Removes the ' that csvCell() adds in front of formula-like text,
+ * e.g. "'+447700900123" → "+447700900123".
+ * @param {string} text
+ * @returns {string}
+ */
+export function unguardCell(text) {
+  return typeof text === "string" && text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+}
+
+/**
+ * Serialise rows to CSV.
+ * @param {object[]} rows
+ * @param {string[]} columns - keys to include, in order (also the header row)
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse CSV text into rows of cells. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} on an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field.");
+  if (cell !== "" || row.length) endRow();
+  return rows;
+}
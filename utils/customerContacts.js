@@ -0,0 +1,89 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Contacts
+ * ============================================================
+ * Business clients have several people behind one customer
+ * record. Each contact carries one or more roles, and outgoing
+ * email is routed to the contact holding the matching role:
+ *
+ *   quote            → signatory (signs off quotes)
+ *   invoice          → billing
+ *   payment_request  → billing
+ *   marketing        → marketing (segment bulk email)
+ *
+ * Falls back to a "primary" contact, then the customer's own
+ * name/email, so customers without contacts work as before.
+ * Erased customers have no recipient.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+
+export const CONTACT_ROLES = ["primary", "signatory", "billing", "technical", "marketing"];
+
+const EMAIL_PURPOSE_ROLES = {
+  quote: "signatory",
+  invoice: "billing",
+  payment_request: "billing",
+  marketing: "marketing",
+};
+
+export const CONTACT_COLUMNS =
+  "id, customer_id, name, email, phone, job_title, roles, created_at, updated_at";
+
+/* ------------------------------------------------------------
+   📇 getCustomerContacts()
+------------------------------------------------------------ */
+export async function getCustomerContacts(customerId) {
+  const { rows } = await pool.query(
+    `SELECT ${CONTACT_COLUMNS} FROM customer_contacts
+     WHERE customer_id = $1
+     ORDER BY created_at ASC, id ASC;`,
+    [customerId]
+  );
+  return rows;
+}
+
+/* ------------------------------------------------------------
+   📬 resolveRecipient()
+   @param {number} customerId
+   @param {"quote"|"invoice"|"payment_request"|"marketing"} purpose
+   @returns {Promise<{email:string, name:string, contact_id:number|null, role:string|null}|null>}
+------------------------------------------------------------ */
+export async function resolveRecipient(customerId, purpose) {
+  const role = EMAIL_PURPOSE_ROLES[purpose] || "primary";
+
+  const { rows } = await pool.query(
+    `SELECT id, name, email, roles FROM customer_contacts
+     WHERE customer_id = $1 AND roles && $2::text[]
+     ORDER BY ($3 = ANY(roles)) DESC, created_at ASC, id ASC
+     LIMIT 1;`,
+    [customerId, [role, "primary"], role]
+  );
+  if (rows.length) {
+    const contact = rows[0];
+    return {
+      email: contact.email,
+      name: contact.name,
+      contact_id: contact.id,
+      role: contact.roles.includes(role) ? role : "primary",
+    };
+  }
+
+  const { rows: customers } = await pool.query(
+    "SELECT name, email FROM customers WHERE id = $1 AND erased_at IS NULL;",
+    [customerId]
+  );
+  if (!customers.length) return null;
+  return { email: customers[0].email, name: customers[0].name, contact_id: null, role: null };
+}
+
+/**
+ * Who a resolved recipient is, without their address — for
+ * history notes that must not outlive an erasure.
+ * e.g. "billing contact #12" or "customer email"
+ */
+export function recipientLabel(recipient) {
+  if (!recipient?.contact_id) return "customer email";
+  return `${recipient.role} contact #${recipient.contact_id}`;
+}
@@ -0,0 +1,236 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Erasure (GDPR Art. 17)
+ * ============================================================
+ * Erasure anonymises instead of deleting, because quotes,
+ * orders, invoices and payments must be kept for HMRC:
+ *
+ *   • Personal fields on the customer are overwritten
+ *   • Stripe customer / mandate IDs are detached
+ *   • Contacts, leads, portal sessions + magic links are removed
+ *   • Queued emails to the customer are cancelled
+ *   • Matching email_log / email_queue / maintenance_signups /
+ *     customer_statements / quote_history / quote_reminders
+ *     rows, audit_log snapshots of the customer, its contacts
+ *     and leads, and snapshots of any duplicates merged into it
+ *     are scrubbed
+ *   • Every request (completed or blocked) is recorded in
+ *     customer_erasure_requests
+ *
+ * Erasure is refused while a Direct Debit is live or money is
+ * still owed — those records are needed to collect or settle.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { balanceDueSql } from "./customers.js";
+
+export const ERASED_NAME = "Erased customer";
+
+// Personal fields cleared on erasure (name + email are NOT NULL)
+const PERSONAL_FIELDS = ["phone", "address1", "address2", "city", "county", "postcode", "notes"];
+
+// Keys stripped from audit_log snapshots of the customer
+const AUDIT_PERSONAL_KEYS = ["name", "email", ...PERSONAL_FIELDS];
+const CONTACT_PERSONAL_KEYS = ["name", "email", "phone", "job_title"];
+// Lead stage changes keep the admin's note in meta.note
+const LEAD_PERSONAL_KEYS = ["name", "email", "phone", "business", "message", "notes", "note"];
+
+// Strips personal keys from the audit_log snapshots of some records
+async function scrubAuditSnapshots(db, entityType, entityIds, keys) {
+  if (!entityIds.length) return;
+  await db.query(
+    `UPDATE audit_log
+     SET before = before - $3::text[],
+         after = after - $3::text[],
+         diff = diff - $3::text[],
+         meta = meta - $3::text[]
+     WHERE entity_type = $1 AND entity_id = ANY($2::text[]);`,
+    [entityType, entityIds.map(String), keys]
+  );
+}
+
+/* ------------------------------------------------------------
+   🚧 getErasureBlockers()
+   @returns {Promise<Array<{code:string, message:string}>>}
+------------------------------------------------------------ */
+export async function getErasureBlockers(customerId, db = pool) {
+  const blockers = [];
+
+  const { rows: ddRows } = await db.query(
+    `SELECT c.direct_debit_active,
+            EXISTS (
+              SELECT 1 FROM orders
+              WHERE customer_id = c.id AND recurring_active = TRUE
+            ) AS recurring_active
+     FROM customers c WHERE c.id = $1;`,
+    [customerId]
+  );
+  if (ddRows[0]?.direct_debit_active || ddRows[0]?.recurring_active) {
+    blockers.push({
+      code: "direct_debit_active",
+      message: "An active Direct Debit mandate or recurring plan must be cancelled first.",
+    });
+  }
+
+  const { rows: unpaid } = await db.query(
+    `
+    SELECT id, balance_due FROM (
+      SELECT o.id, ${balanceDueSql("o")} AS balance_due
+      FROM orders o
+      WHERE o.customer_id = $1 AND o.status <> 'cancelled'
+    ) t
+    WHERE balance_due > 0.005;
+    `,
+    [customerId]
+  );
+  if (unpaid.length) {
+    blockers.push({
+      code: "unpaid_balance",
+      message: "Outstanding balance on order(s) must be settled or cancelled first.",
+      orders: unpaid.map((o) => ({ id: o.id, balance_due: Number(o.balance_due) })),
+    });
+  }
+
+  return blockers;
+}
+
+/* ------------------------------------------------------------
+   🕶️ eraseCustomer()
+   @returns {Promise<{status:"completed"|"blocked"|"not_found"|"already_erased",
+                      blockers?:Array, request?:object}>}
+------------------------------------------------------------ */
+export async function eraseCustomer(customerId, { reason = null, requestedBy = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      "SELECT id, email, erased_at FROM customers WHERE id = $1 FOR UPDATE;",
+      [customerId]
+    );
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return { status: "not_found" };
+    }
+    if (rows[0].erased_at) {
+      await client.query("ROLLBACK");
+      return { status: "already_erased" };
+    }
+    const originalEmail = rows[0].email;
+
+    const blockers = await getErasureBlockers(customerId, client);
+    if (blockers.length) {
+      const { rows: requestRows } = await client.query(
+        `INSERT INTO customer_erasure_requests (customer_id, status, reason, blockers, requested_by)
+         VALUES ($1, 'blocked', $2, $3::jsonb, $4)
+         RETURNING *;`,
+        [customerId, reason, JSON.stringify(blockers), requestedBy]
+      );
+      await client.query("COMMIT");
+      return { status: "blocked", blockers, request: requestRows[0] };
+    }
+
+    const placeholder = `erased-${customerId}@erased.invalid`;
+
+    await client.query(
+      `UPDATE customers
+       SET name = $2,
+           email = $3,
+           ${PERSONAL_FIELDS.map((f) => `${f} = NULL`).join(", ")},
+           stripe_customer_id = NULL,
+           stripe_mandate_id = NULL,
+           direct_debit_active = FALSE,
+           erased_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1;`,
+      [customerId, ERASED_NAME, placeholder]
+    );
+
+    const { rows: contacts } = await client.query(
+      "DELETE FROM customer_contacts WHERE customer_id = $1 RETURNING id, email;",
+      [customerId]
+    );
+    await scrubAuditSnapshots(client, "customer_contact", contacts.map((c) => c.id), CONTACT_PERSONAL_KEYS);
+    await client.query("DELETE FROM customer_sessions WHERE customer_id = $1;", [customerId]);
+    await client.query("DELETE FROM customer_magic_links WHERE customer_id = $1;", [customerId]);
+    const { rows: leads } = await client.query(
+      "DELETE FROM leads WHERE customer_id = $1 OR LOWER(email) = LOWER($2) RETURNING id;",
+      [customerId, originalEmail]
+    );
+    await scrubAuditSnapshots(client, "lead", leads.map((l) => l.id), LEAD_PERSONAL_KEYS);
+
+    await client.query(
+      `UPDATE maintenance_signups
+       SET customer_name = $2, email = $3, notes = NULL, updated_at = NOW()
+       WHERE LOWER(email) = LOWER($1);`,
+      [originalEmail, ERASED_NAME, placeholder]
+    );
+    await client.query(
+      "UPDATE email_log SET to_address = $2 WHERE LOWER(to_address) = LOWER($1);",
+      [originalEmail, placeholder]
+    );
+    // Older quote history notes named the address a quote / reminder was sent to
+    const addressPattern = [originalEmail, ...contacts.map((c) => c.email)]
+      .map((email) => email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    await client.query(
+      `UPDATE quote_history
+       SET feedback = REGEXP_REPLACE(feedback, $2, $3, 'gi')
+       WHERE quote_id IN (SELECT id FROM quotes WHERE customer_id = $1)
+         AND feedback ~* $2;`,
+      [customerId, addressPattern, placeholder]
+    );
+    await client.query(
+      "UPDATE customer_statements SET sent_to = $2 WHERE customer_id = $1;",
+      [customerId, placeholder]
+    );
+    await client.query(
+      `UPDATE quote_reminders SET sent_to = $2
+       WHERE quote_id IN (SELECT id FROM quotes WHERE customer_id = $1) AND sent_to IS NOT NULL;`,
+      [customerId, placeholder]
+    );
+    await client.query(
+      `UPDATE email_queue
+       SET status = CASE WHEN status IN ('pending','sending') THEN 'cancelled' ELSE status END,
+           to_address = $3,
+           html = '',
+           last_error = CASE WHEN status IN ('pending','sending') THEN 'Customer erased' ELSE last_error END
+       WHERE customer_id = $1 OR LOWER(to_address) = LOWER($2);`,
+      [customerId, originalEmail, placeholder]
+    );
+    await client.query(
+      `UPDATE audit_log
+       SET before = before - $2::text[],
+           after = after - $2::text[],
+           diff = diff - $2::text[]
+       WHERE entity_type = 'customer'
+         AND (entity_id = $1 OR (action = 'merged_into' AND meta->>'survivor_id' = $1));`,
+      [String(customerId), AUDIT_PERSONAL_KEYS]
+    );
+    // Merges logged before snapshots were limited to IDs held the duplicate's details
+    await client.query(
+      `UPDATE customer_merges
+       SET merged_snapshot = merged_snapshot - $2::text[]
+       WHERE survivor_id = $1;`,
+      [customerId, [...AUDIT_PERSONAL_KEYS, "business", "vat_number"]]
+    );
+
+    const { rows: requestRows } = await client.query(
+      `INSERT INTO customer_erasure_requests
+         (customer_id, status, reason, requested_by, completed_at)
+       VALUES ($1, 'completed', $2, $3, NOW())
+       RETURNING *;`,
+      [customerId, reason, requestedBy]
+    );
+
+    await client.query("COMMIT");
+    return { status: "completed", request: requestRows[0] };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
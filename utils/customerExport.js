@@ -0,0 +1,219 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Data Export (GDPR SAR)
+ * ============================================================
+ * Assembles everything held about one customer into a ZIP:
+ *
+ *   manifest.json                 → what is included + checksums
+ *   data/customer.json
+ *   data/contacts.json
+ *   data/tags.json
+ *   data/leads.json               → enquiries, by customer or email
+ *   data/quotes.json              → quotes incl. line items
+ *   data/quote_history.json
+ *   data/quote_revisions.json     → every revision of each quote
+ *   data/orders.json              → orders incl. diary + tasks
+ *   data/order_diary.json         → diary entries
+ *   data/payments.json
+ *   data/maintenance_signups.json → matched by email
+ *   data/emails.json              → email_log, matched by email
+ *   pdfs/quotes/*.pdf
+ *   pdfs/invoices/*.pdf
+ *
+ * PDFs are regenerated from current data so the export does not
+ * depend on files lingering on disk. Response tokens are omitted:
+ * they are credentials, not personal data.
+ * ============================================================
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import pool from "../db.js";
+import { getCustomerQuotes, getCustomerOrders } from "./customers.js";
+import { getCustomerContacts } from "./customerContacts.js";
+import { generateQuotePDF } from "./pdf.js";
+import { generateInvoicePDF } from "./invoice.js";
+import { createZip } from "./zip.js";
+
+const EXPORT_VERSION = 1;
+const SECRET_COLUMNS = ["response_token"];
+
+function stripSecrets(row) {
+  const copy = { ...row };
+  for (const column of SECRET_COLUMNS) delete copy[column];
+  return copy;
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/* ------------------------------------------------------------
+   📚 collectCustomerData()
+   @returns {Promise<object|null>} null when the customer is missing
+------------------------------------------------------------ */
+export async function collectCustomerData(customerId) {
+  const { rows: customerRows } = await pool.query("SELECT * FROM customers WHERE id = $1;", [
+    customerId,
+  ]);
+  if (!customerRows.length) return null;
+  const customer = customerRows[0];
+
+  const contacts = await getCustomerContacts(customerId);
+  const quotes = (await getCustomerQuotes(customerId)).map(stripSecrets);
+  const orders = await getCustomerOrders(customerId);
+  const quoteIds = quotes.map((q) => q.id);
+  const orderIds = orders.map((o) => o.id);
+
+  const [tags, leads, history, revisions, diary, payments, signups, emails] = await Promise.all([
+    pool.query(
+      `SELECT t.id, t.name, l.created_at AS tagged_at
+       FROM customer_tag_links l JOIN customer_tags t ON t.id = l.tag_id
+       WHERE l.customer_id = $1 ORDER BY LOWER(t.name);`,
+      [customerId]
+    ),
+    pool.query(
+      `SELECT * FROM leads
+       WHERE customer_id = $1 OR LOWER(email) = LOWER($2)
+       ORDER BY created_at ASC;`,
+      [customerId, customer.email]
+    ),
+    pool.query(
+      `SELECT * FROM quote_history WHERE quote_id = ANY($1::int[]) ORDER BY created_at ASC;`,
+      [quoteIds]
+    ),
+    pool.query(
+      `SELECT * FROM quote_revisions WHERE quote_id = ANY($1::int[]) ORDER BY quote_id ASC, revision ASC;`,
+      [quoteIds]
+    ),
+    pool.query(
+      `SELECT * FROM order_diary WHERE order_id = ANY($1::int[]) ORDER BY created_at ASC;`,
+      [orderIds]
+    ),
+    pool.query(
+      `SELECT * FROM payments
+       WHERE customer_id = $1
+          OR order_id IN (SELECT id FROM orders WHERE customer_id = $1)
+       ORDER BY created_at ASC;`,
+      [customerId]
+    ),
+    pool.query(
+      `SELECT * FROM maintenance_signups WHERE LOWER(email) = LOWER($1) ORDER BY created_at ASC;`,
+      [customer.email]
+    ),
+    pool.query(
+      `SELECT id, to_address, subject, attachments, message_id, status, error, created_at
+       FROM email_log WHERE LOWER(to_address) = LOWER($1) ORDER BY created_at ASC;`,
+      [customer.email]
+    ),
+  ]);
+
+  return {
+    customer,
+    contacts,
+    tags: tags.rows,
+    leads: leads.rows,
+    quotes,
+    quote_history: history.rows,
+    quote_revisions: revisions.rows,
+    orders,
+    order_diary: diary.rows,
+    payments: payments.rows,
+    maintenance_signups: signups.rows,
+    emails: emails.rows,
+  };
+}
+
+/* ------------------------------------------------------------
+   📄 renderCustomerPDFs()
+   Regenerates quote + issued invoice PDFs.
+   @returns {Promise<{files:Array, errors:Array}>}
+------------------------------------------------------------ */
+async function renderCustomerPDFs({ customer, quotes, orders, payments }) {
+  const files = [];
+  const errors = [];
+
+  const add = async (folder, label, render) => {
+    try {
+      const pdfPath = await render();
+      files.push({
+        name: `pdfs/${folder}/${path.basename(pdfPath)}`,
+        data: fs.readFileSync(pdfPath),
+        description: label,
+      });
+    } catch (err) {
+      console.error(`⚠️ [Export] Failed to render ${label}:`, err.message);
+      errors.push({ file: label, error: err.message });
+    }
+  };
+
+  for (const quote of quotes) {
+    await add("quotes", `Quote ${quote.quote_number || quote.id}`, () =>
+      generateQuotePDF({
+        ...customer,
+        ...quote,
+        customer_name: customer.name,
+        customer_business: customer.business,
+        customer_email: customer.email,
+        customer_phone: customer.phone,
+      })
+    );
+  }
+
+  for (const order of orders) {
+    const totalPaid = payments
+      .filter((p) => p.order_id === order.id && p.status === "paid" && Number(p.amount) > 0)
+      .reduce((sum, p) => sum + Number(p.amount), 0);
+
+    for (const type of ["deposit", "balance"]) {
+      if (!order[`${type}_invoiced`]) continue;
+      await add("invoices", `Order ${order.id} ${type} invoice`, () =>
+        generateInvoicePDF({ ...customer, ...order, total_paid: totalPaid }, type)
+      );
+    }
+  }
+
+  return { files, errors };
+}
+
+/* ------------------------------------------------------------
+   🗜️ buildCustomerExport()
+   @returns {Promise<{zip:Buffer, manifest:object}|null>}
+------------------------------------------------------------ */
+export async function buildCustomerExport(customerId, { requestedBy = null } = {}) {
+  const data = await collectCustomerData(customerId);
+  if (!data) return null;
+
+  const entries = Object.entries(data).map(([key, value]) => ({
+    name: `data/${key}.json`,
+    data: Buffer.from(JSON.stringify(value, null, 2), "utf8"),
+    description: key.replace(/_/g, " "),
+    records: Array.isArray(value) ? value.length : 1,
+  }));
+
+  const pdfs = await renderCustomerPDFs(data);
+  entries.push(...pdfs.files);
+
+  const manifest = {
+    export_version: EXPORT_VERSION,
+    generated_at: new Date().toISOString(),
+    requested_by: requestedBy,
+    customer: { id: data.customer.id, name: data.customer.name, email: data.customer.email },
+    files: entries.map((e) => ({
+      path: e.name,
+      description: e.description,
+      ...(e.records !== undefined && { records: e.records }),
+      bytes: e.data.length,
+      sha256: sha256(e.data),
+    })),
+    errors: pdfs.errors,
+  };
+
+  const zip = createZip([
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2) },
+    ...entries,
+  ]);
+
+  return { zip, manifest };
+}
@@ -0,0 +1,236 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer CSV Import
+ * ============================================================
+ * Onboards an existing client list in one go:
+ *
+ *   1. parse the CSV (first row = headers), undoing the formula
+ *      guard our own exports add (so an export re-imports cleanly)
+ *   2. map CSV headers → customer fields (explicit mapping, or
+ *      auto-matched on header name / common aliases)
+ *   3. validate each row with the same schema as POST /api/customers
+ *      and normalise postcode / phone / VAT number
+ *   4. flag duplicates against live customers and earlier rows
+ *   5. dry run → report only; commit → insert every valid,
+ *      non-duplicate row in a single transaction
+ *
+ * A commit is all-or-nothing: any invalid row (or a database
+ * error part-way through) rolls the whole import back.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { parseCsv, unguardCell } from "./csv.js";
+import { validateSchema } from "./validation.js";
+import { customerSchema } from "./schemas.js";
+import { scorePair, normaliseEmail, DUPLICATE_THRESHOLD } from "./customerMerge.js";
+import { normaliseCustomerDetails } from "./ukFormats.js";
+
+export const IMPORT_FIELDS = Object.keys(customerSchema);
+export const MAX_IMPORT_ROWS = 5000;
+
+// Normalised header → field, used when no explicit mapping is given
+const HEADER_ALIASES = {
+  company: "business",
+  company_name: "business",
+  business_name: "business",
+  organisation: "business",
+  contact: "name",
+  contact_name: "name",
+  full_name: "name",
+  email_address: "email",
+  e_mail: "email",
+  telephone: "phone",
+  tel: "phone",
+  mobile: "phone",
+  phone_number: "phone",
+  address: "address1",
+  address_1: "address1",
+  address_line_1: "address1",
+  address_2: "address2",
+  address_line_2: "address2",
+  town: "city",
+  post_code: "postcode",
+  postal_code: "postcode",
+  zip: "postcode",
+  vat: "vat_number",
+  vat_no: "vat_number",
+  vat_reg_no: "vat_number",
+  vat_registration_number: "vat_number",
+};
+
+const normaliseHeader = (header) =>
+  String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+/* ------------------------------------------------------------
+   🗺️ resolveMapping()
+   @param {string[]} headers
+   @param {object} [mapping] - { field: "CSV header" }
+   @returns {{columns?:object, error?:string}} field → column index
+------------------------------------------------------------ */
+function resolveMapping(headers, mapping) {
+  const columns = {};
+
+  if (mapping && Object.keys(mapping).length) {
+    const lookup = new Map(headers.map((h, i) => [h.trim().toLowerCase(), i]));
+    for (const [field, header] of Object.entries(mapping)) {
+      if (!IMPORT_FIELDS.includes(field)) {
+        return { error: `Unknown customer field "${field}" in mapping.` };
+      }
+      if (!header) continue;
+      const index = lookup.get(String(header).trim().toLowerCase());
+      if (index === undefined) {
+        return { error: `Column "${header}" (mapped to ${field}) is not in the file.` };
+      }
+      columns[field] = index;
+    }
+  } else {
+    headers.forEach((header, i) => {
+      const key = normaliseHeader(header);
+      const field = IMPORT_FIELDS.includes(key) ? key : HEADER_ALIASES[key];
+      if (field && columns[field] === undefined) columns[field] = i;
+    });
+  }
+
+  const missing = ["name", "email"].filter((f) => columns[f] === undefined);
+  if (missing.length) {
+    return { error: `No column mapped to required field(s): ${missing.join(", ")}.` };
+  }
+  return { columns };
+}
+
+/* ------------------------------------------------------------
+   🔎 analyseImport()
+   Parses, maps, validates and duplicate-checks without writing.
+
+   Row statuses:
+     valid      → will be created
+     invalid    → errors[] explains why
+     duplicate  → matches a live customer or an earlier row
+
+   File-level problems (unreadable, empty, bad mapping) return
+   { status: "invalid_file", error } instead.
+
+   @param {string} csvText
+   @param {{mapping?:object}} [options]
+   @returns {Promise<{status:"ok"|"invalid_file", error?:string, mapping?:object, rows?:Array}>}
+------------------------------------------------------------ */
+export async function analyseImport(csvText, { mapping } = {}) {
+  let records;
+  try {
+    records = parseCsv(csvText);
+  } catch (err) {
+    return { status: "invalid_file", error: `Could not read CSV: ${err.message}` };
+  }
+
+  if (records.length < 2) return { status: "invalid_file", error: "The CSV has no data rows." };
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return { status: "invalid_file", error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file.` };
+  }
+
+  const [headers, ...dataRows] = records;
+  const { columns, error } = resolveMapping(headers, mapping);
+  if (error) return { status: "invalid_file", error };
+
+  const { rows: existing } = await pool.query(
+    `SELECT id, name, business, email, phone, postcode
+     FROM customers
+     WHERE erased_at IS NULL;`
+  );
+
+  const seenEmails = new Map();
+  const rows = dataRows.map((cells, i) => {
+    const rowNumber = i + 2; // header is row 1
+    const raw = Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, unguardCell((cells[index] ?? "").trim()) || null])
+    );
+
+    const errors = validateSchema(raw, customerSchema, "row").map(({ field, message }) => ({
+      field,
+      message,
+    }));
+    if (errors.length) return { row: rowNumber, status: "invalid", data: raw, errors };
+
+    const data = normaliseCustomerDetails(raw);
+
+    const duplicates = existing
+      .map((customer) => ({ customer_id: customer.id, ...scorePair(data, customer) }))
+      .filter((match) => match.score >= DUPLICATE_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+
+    const emailKey = normaliseEmail(data.email);
+    const earlierRow = seenEmails.get(emailKey);
+    if (earlierRow) duplicates.push({ row: earlierRow, score: 1, reasons: ["email"] });
+    else seenEmails.set(emailKey, rowNumber);
+
+    return duplicates.length
+      ? { row: rowNumber, status: "duplicate", data, duplicates }
+      : { row: rowNumber, status: "valid", data };
+  });
+
+  return {
+    status: "ok",
+    mapping: Object.fromEntries(Object.entries(columns).map(([field, i]) => [field, headers[i]])),
+    rows,
+  };
+}
+
+export function summariseImport(rows) {
+  const count = (status) => rows.filter((r) => r.status === status).length;
+  return {
+    rows: rows.length,
+    valid: count("valid"),
+    invalid: count("invalid"),
+    duplicates: count("duplicate"),
+  };
+}
+
+/* ------------------------------------------------------------
+   📥 commitImport()
+   Inserts the analysed rows in one transaction. Duplicates are
+   skipped unless includeDuplicates is set.
+   @returns {Promise<object[]>} created customers
+------------------------------------------------------------ */
+export async function commitImport(rows, { includeDuplicates = false } = {}) {
+  const toCreate = rows.filter(
+    (r) => r.status === "valid" || (includeDuplicates && r.status === "duplicate")
+  );
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const created = [];
+    for (const { data } of toCreate) {
+      const { rows: inserted } = await client.query(
+        `INSERT INTO customers
+           (business, name, email, phone, address1, address2, city, county, postcode, vat_number, notes,
+            created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,NOW(),NOW())
+         RETURNING *;`,
+        [
+          data.business || null,
+          data.name,
+          data.email.toLowerCase(),
+          data.phone || null,
+          data.address1 || null,
+          data.address2 || null,
+          data.city || null,
+          data.county || null,
+          data.postcode || null,
+          data.vat_number || null,
+          data.notes || null,
+        ]
+      );
+      created.push(inserted[0]);
+    }
+
+    await client.query("COMMIT");
+    return created;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
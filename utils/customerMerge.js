@@ -0,0 +1,356 @@
+/**
+ * ============================================================
+ * PJH Web Services — Duplicate Customers & Merge
+ * ============================================================
+ * The contact form, maintenance signups and manual entry can
+ * create the same client twice. This module:
+ *
+ *   • findDuplicates()  → scores candidate pairs on normalised
+ *                         email, phone, postcode and fuzzy
+ *                         business / contact name
+ *   • mergeCustomers()  → folds a duplicate into a surviving
+ *                         record (quotes, orders + their diary,
+ *                         payments, contacts, tags, leads, queued
+ *                         email), reconciles Stripe IDs and
+ *                         logs the merge in customer_merges
+ * ============================================================
+ */
+
+import pool from "../db.js";
+
+// Score weights — a pair is reported once its score reaches DUPLICATE_THRESHOLD
+const WEIGHTS = { email: 0.6, phone: 0.4, business: 0.35, name: 0.2, postcode: 0.2 };
+export const DUPLICATE_THRESHOLD = 0.5;
+const FUZZY_MIN_SIMILARITY = 0.82;
+
+const BUSINESS_SUFFIXES =
+  /\b(ltd|limited|plc|llp|llc|inc|co|company|the|and|services|uk)\b/g;
+
+/* ------------------------------------------------------------
+   🧽 Normalisers
+------------------------------------------------------------ */
+export function normaliseEmail(email) {
+  const value = String(email || "").trim().toLowerCase();
+  const [local, domain] = value.split("@");
+  if (!local || !domain) return value || null;
+
+  let user = local.split("+")[0];
+  const mailbox = domain === "googlemail.com" ? "gmail.com" : domain;
+  if (mailbox === "gmail.com") user = user.replace(/\./g, "");
+  return `${user}@${mailbox}`;
+}
+
+export function normalisePhone(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.startsWith("0044")) digits = digits.slice(4);
+  else if (digits.startsWith("44")) digits = digits.slice(2);
+  digits = digits.replace(/^0/, "");
+  return digits.length >= 9 ? digits : null;
+}
+
+export function normalisePostcode(postcode) {
+  const value = String(postcode || "").replace(/\s+/g, "").toUpperCase();
+  return value || null;
+}
+
+export function normaliseBusiness(name) {
+  const value = String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(BUSINESS_SUFFIXES, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return value || null;
+}
+
+/**
+ * Levenshtein similarity in [0, 1] (1 = identical).
+ */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+function fingerprint(customer) {
+  return {
+    email: normaliseEmail(customer.email),
+    phone: normalisePhone(customer.phone),
+    postcode: normalisePostcode(customer.postcode),
+    business: normaliseBusiness(customer.business),
+    name: normaliseBusiness(customer.name),
+  };
+}
+
+/* ------------------------------------------------------------
+   ⚖️ scorePair()
+   @returns {{score:number, reasons:string[]}}
+------------------------------------------------------------ */
+export function scorePair(a, b) {
+  const fa = fingerprint(a);
+  const fb = fingerprint(b);
+  const reasons = [];
+  let score = 0;
+
+  if (fa.email && fa.email === fb.email) {
+    score += WEIGHTS.email;
+    reasons.push("email");
+  }
+  if (fa.phone && fa.phone === fb.phone) {
+    score += WEIGHTS.phone;
+    reasons.push("phone");
+  }
+  if (fa.postcode && fa.postcode === fb.postcode) {
+    score += WEIGHTS.postcode;
+    reasons.push("postcode");
+  }
+
+  const businessSim = similarity(fa.business, fb.business);
+  if (businessSim >= FUZZY_MIN_SIMILARITY) {
+    score += WEIGHTS.business * businessSim;
+    reasons.push("business");
+  }
+  const nameSim = similarity(fa.name, fb.name);
+  if (nameSim >= FUZZY_MIN_SIMILARITY) {
+    score += WEIGHTS.name * nameSim;
+    reasons.push("name");
+  }
+
+  return { score: Math.min(Math.round(score * 100) / 100, 1), reasons };
+}
+
+/* ------------------------------------------------------------
+   🔍 findDuplicates()
+   Compares live (non-erased) customers in memory — fine for a
+   CRM of this size. Pass customerId to only check one record.
+   @returns {Promise<Array<{customer_ids:number[], score:number, reasons:string[], customers:object[]}>>}
+------------------------------------------------------------ */
+export async function findDuplicates({ customerId = null, threshold = DUPLICATE_THRESHOLD } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id, name, business, email, phone, postcode, created_at
+     FROM customers
+     WHERE erased_at IS NULL
+     ORDER BY id ASC;`
+  );
+
+  const targets = customerId ? rows.filter((c) => c.id === Number(customerId)) : rows;
+  const pairs = [];
+
+  for (const a of targets) {
+    for (const b of rows) {
+      if (a.id === b.id || (!customerId && b.id < a.id)) continue;
+      const { score, reasons } = scorePair(a, b);
+      if (score >= threshold) {
+        pairs.push({ customer_ids: [a.id, b.id], score, reasons, customers: [a, b] });
+      }
+    }
+  }
+
+  return pairs.sort((x, y) => y.score - x.score);
+}
+
+/* ------------------------------------------------------------
+   🔀 mergeCustomers()
+   Moves everything from sourceId onto survivorId, then deletes
+   the source row. Blank survivor fields are filled from the
+   source; notes are concatenated.
+
+   Stripe: the survivor keeps its IDs unless it has none, or the
+   source holds the only active Direct Debit mandate (mandates
+   belong to a Stripe customer, so both IDs move together).
+   Two active mandates cannot be merged automatically.
+
+   @returns {Promise<{status:"merged"|"not_found"|"conflict", error?:string,
+                      merge?:object, customer?:object, before?:object}>}
+------------------------------------------------------------ */
+const FILLABLE_FIELDS = [
+  "business",
+  "phone",
+  "address1",
+  "address2",
+  "city",
+  "county",
+  "postcode",
+  "vat_number",
+];
+
+/**
+ * What customer_merges keeps of the deleted duplicate: IDs and
+ * bookkeeping only. Its personal details live on in the survivor
+ * (where erasure can reach them), never in the merge log.
+ */
+function mergeSnapshot(source, filled) {
+  return {
+    id: source.id,
+    created_at: source.created_at,
+    stripe_customer_id: source.stripe_customer_id,
+    payment_method: source.payment_method,
+    direct_debit_active: source.direct_debit_active,
+    fields_supplied: FILLABLE_FIELDS.filter((f) => source[f] && filled[f] === source[f]),
+    had_notes: Boolean(source.notes),
+  };
+}
+
+export async function mergeCustomers(survivorId, sourceId, { mergedBy = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    // Lock in id order so concurrent merges cannot deadlock
+    const { rows } = await client.query(
+      "SELECT * FROM customers WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE;",
+      [[survivorId, sourceId]]
+    );
+    const survivor = rows.find((c) => c.id === Number(survivorId));
+    const source = rows.find((c) => c.id === Number(sourceId));
+
+    if (!survivor || !source) {
+      await client.query("ROLLBACK");
+      return { status: "not_found" };
+    }
+    if (survivor.erased_at || source.erased_at) {
+      await client.query("ROLLBACK");
+      return { status: "conflict", error: "Erased customers cannot be merged." };
+    }
+    if (survivor.direct_debit_active && source.direct_debit_active) {
+      await client.query("ROLLBACK");
+      return {
+        status: "conflict",
+        error: "Both customers have an active Direct Debit mandate. Cancel one before merging.",
+      };
+    }
+
+    // 💳 Stripe reconciliation
+    const adoptSourceStripe =
+      (source.direct_debit_active && !survivor.direct_debit_active) ||
+      (!survivor.stripe_customer_id && source.stripe_customer_id);
+    const stripe = adoptSourceStripe
+      ? {
+          stripe_customer_id: source.stripe_customer_id,
+          stripe_mandate_id: source.stripe_mandate_id,
+          direct_debit_active: source.direct_debit_active,
+          payment_method: source.payment_method,
+        }
+      : {
+          stripe_customer_id: survivor.stripe_customer_id,
+          stripe_mandate_id: survivor.stripe_mandate_id,
+          direct_debit_active: survivor.direct_debit_active,
+          payment_method: survivor.payment_method,
+        };
+    const orphanedStripeId =
+      [survivor.stripe_customer_id, source.stripe_customer_id].find(
+        (id) => id && id !== stripe.stripe_customer_id
+      ) || null;
+
+    const filled = Object.fromEntries(
+      FILLABLE_FIELDS.map((f) => [f, survivor[f] || source[f] || null])
+    );
+    const notes =
+      [survivor.notes, source.notes && `[Merged from #${source.id}] ${source.notes}`]
+        .filter(Boolean)
+        .join("\n\n") || null;
+
+    // 📦 Move related records
+    const moved = {};
+    const tables = [
+      "quotes",
+      "orders",
+      "payments",
+      "customer_contacts",
+      "customer_erasure_requests",
+      "leads",
+      "customer_statements",
+      "email_queue",
+    ];
+    for (const table of tables) {
+      const { rowCount } = await client.query(
+        `UPDATE ${table} SET customer_id = $1 WHERE customer_id = $2;`,
+        [survivor.id, source.id]
+      );
+      moved[table] = rowCount;
+    }
+
+    // Tags: union onto the survivor (links are keyed on customer + tag)
+    const { rowCount: tagsMoved } = await client.query(
+      `INSERT INTO customer_tag_links (customer_id, tag_id)
+       SELECT $1, tag_id FROM customer_tag_links WHERE customer_id = $2
+       ON CONFLICT DO NOTHING;`,
+      [survivor.id, source.id]
+    );
+    await client.query("DELETE FROM customer_tag_links WHERE customer_id = $1;", [source.id]);
+    moved.customer_tag_links = tagsMoved;
+
+    // Mandate events: skip ones already logged against the survivor
+    const { rowCount: ddMoved } = await client.query(
+      `UPDATE direct_debit_events e SET customer_id = $1
+       WHERE e.customer_id = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM direct_debit_events s
+           WHERE s.customer_id = $1 AND s.stripe_event_id = e.stripe_event_id
+         );`,
+      [survivor.id, source.id]
+    );
+    moved.direct_debit_events = ddMoved;
+
+    const { rows: updated } = await client.query(
+      `UPDATE customers
+       SET business = $2, phone = $3, address1 = $4, address2 = $5, city = $6,
+           county = $7, postcode = $8, vat_number = $9, notes = $10,
+           stripe_customer_id = $11, stripe_mandate_id = $12,
+           direct_debit_active = $13, payment_method = $14,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [
+        survivor.id,
+        ...FILLABLE_FIELDS.map((f) => filled[f]),
+        notes,
+        stripe.stripe_customer_id,
+        stripe.stripe_mandate_id,
+        stripe.direct_debit_active,
+        stripe.payment_method,
+      ]
+    );
+
+    // Portal sessions/links for the duplicate cascade with it
+    await client.query("DELETE FROM customers WHERE id = $1;", [source.id]);
+
+    const { rows: mergeRows } = await client.query(
+      `INSERT INTO customer_merges
+         (survivor_id, merged_customer_id, merged_snapshot, moved, orphaned_stripe_customer_id, merged_by)
+       VALUES ($1, $2, $3::jsonb, $4::jsonb, $5, $6)
+       RETURNING *;`,
+      [
+        survivor.id,
+        source.id,
+        JSON.stringify(mergeSnapshot(source, filled)),
+        JSON.stringify(moved),
+        orphanedStripeId,
+        mergedBy,
+      ]
+    );
+
+    await client.query("COMMIT");
+    return { status: "merged", merge: mergeRows[0], customer: updated[0], before: survivor };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Segments
+ * ============================================================
+ * A segment is a saved set of filter rules over customer, order
+ * and payment data, e.g. "WebCare lapsed":
+ *
+ *   { "maintenance_status": "cancelled", "tags_none": ["trade"] }
+ *
+ * Rules use the same snake_case names as the GET /api/customers
+ * query string plus the segment-only keys below. Erased
+ * customers never match a segment.
+ * ============================================================
+ */
+
+// rule key → buildCustomerFilters() option (utils/customers.js)
+const RULE_OPTIONS = {
+  q: "q",
+  direct_debit_active: "directDebitActive",
+  payment_method: "paymentMethod",
+  has_balance: "hasBalance",
+  created_from: "createdFrom",
+  created_to: "createdTo",
+  tags_any: "tagsAny",
+  tags_all: "tagsAll",
+  tags_none: "tagsNone",
+  has_orders: "hasOrders",
+  order_status: "orderStatus",
+  min_total_paid: "minTotalPaid",
+  max_total_paid: "maxTotalPaid",
+  last_payment_after: "lastPaymentAfter",
+  last_payment_before: "lastPaymentBefore",
+  maintenance_status: "maintenanceStatus",
+};
+
+export const SEGMENT_RULE_KEYS = Object.keys(RULE_OPTIONS);
+
+// Columns written by segment / customer CSV exports
+export const CUSTOMER_CSV_COLUMNS = [
+  "id",
+  "business",
+  "name",
+  "email",
+  "phone",
+  "address1",
+  "address2",
+  "city",
+  "county",
+  "postcode",
+  "vat_number",
+  "payment_method",
+  "direct_debit_active",
+  "balance_due",
+  "tags",
+  "created_at",
+];
+
+/**
+ * Drop unknown / empty keys so only supported rules are stored.
+ * @param {object} rules
+ * @returns {object}
+ */
+export function cleanRules(rules = {}) {
+  return Object.fromEntries(
+    SEGMENT_RULE_KEYS.filter((key) => rules[key] !== undefined && rules[key] !== null && rules[key] !== "")
+      .map((key) => [key, rules[key]])
+  );
+}
+
+/**
+ * Convert stored rules into searchCustomers() / listCustomers() filters.
+ * @param {object} rules
+ * @returns {object}
+ */
+export function segmentFilters(rules = {}) {
+  const filters = { excludeErased: true };
+  for (const [key, value] of Object.entries(cleanRules(rules))) {
+    const isMoney = key === "min_total_paid" || key === "max_total_paid";
+    filters[RULE_OPTIONS[key]] = isMoney ? Number(value) : value;
+  }
+  return filters;
+}
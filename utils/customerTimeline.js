@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Activity Timeline
+ * ============================================================
+ * One newest-first feed of everything that happened to a
+ * customer, built as a single UNION over:
+ *
+ *   quote.created            quotes
+ *   quote.<action>           quote_history (accepted, rejected …)
+ *   order.created            orders
+ *   order.status_changed     audit_log order snapshots
+ *   diary.entry              order_diary
+ *   payment.<status>         payments (paid, failed, refunded)
+ *   email.<status>           email_log, to the customer or a contact
+ *   direct_debit.<event>     direct_debit_events (mandate lifecycle)
+ *
+ * Payments are updated in place by the Stripe webhook, so a
+ * payment appears once, with its current status.
+ *
+ * Entries are typed "<category>.<event>" and paginated with an
+ * opaque keyset cursor on (occurred_at, id).
+ * ============================================================
+ */
+
+import pool from "../db.js";
+
+export const TIMELINE_CATEGORIES = ["quote", "order", "diary", "payment", "email", "direct_debit"];
+
+const TIMELINE_SQL = `
+  SELECT 'quote:' || q.id AS id, 'quote.created' AS type, q.created_at AS occurred_at,
+         'quote' AS entity_type, q.id AS entity_id,
+         jsonb_build_object('quote_number', q.quote_number, 'title', q.title, 'status', q.status) AS data
+  FROM quotes q
+  WHERE q.customer_id = $1
+
+  UNION ALL
+  SELECT 'quote_history:' || h.id, 'quote.' || h.action, h.created_at,
+         'quote', q.id,
+         jsonb_build_object('quote_number', q.quote_number, 'feedback', h.feedback, 'actor', h.actor)
+  FROM quote_history h
+  JOIN quotes q ON q.id = h.quote_id
+  WHERE q.customer_id = $1
+
+  UNION ALL
+  SELECT 'order:' || o.id, 'order.created', o.created_at,
+         'order', o.id,
+         jsonb_build_object('title', o.title, 'status', o.status, 'quote_id', o.quote_id)
+  FROM orders o
+  WHERE o.customer_id = $1
+
+  UNION ALL
+  SELECT 'audit:' || a.id, 'order.status_changed', a.created_at,
+         'order', o.id,
+         jsonb_build_object('title', o.title, 'from', a.before->>'status', 'to', a.after->>'status',
+                            'actor', a.actor_name)
+  FROM audit_log a
+  JOIN orders o ON a.entity_type = 'order' AND a.entity_id = o.id::text
+  WHERE o.customer_id = $1
+    AND a.after ? 'status'
+    AND a.before->>'status' IS DISTINCT FROM a.after->>'status'
+    AND a.action <> 'create'
+
+  UNION ALL
+  SELECT 'diary:' || d.id, 'diary.entry', d.created_at,
+         'order', o.id,
+         jsonb_build_object('title', o.title, 'note', d.note, 'author', d.author)
+  FROM order_diary d
+  JOIN orders o ON o.id = d.order_id
+  WHERE o.customer_id = $1
+
+  UNION ALL
+  SELECT 'payment:' || p.id,
+         'payment.' || CASE WHEN p.type = 'refund' THEN 'refunded' ELSE p.status END,
+         p.created_at,
+         'payment', p.id,
+         jsonb_build_object('order_id', p.order_id, 'amount', p.amount, 'type', p.type,
+                            'method', p.method, 'reference', p.reference)
+  FROM payments p
+  WHERE (p.customer_id = $1 OR p.order_id IN (SELECT id FROM orders WHERE customer_id = $1))
+    AND (p.status IN ('paid', 'failed', 'refunded') OR p.type = 'refund')
+
+  UNION ALL
+  SELECT 'email:' || e.id, 'email.' || e.status, e.created_at,
+         'email', e.id,
+         jsonb_build_object('to', e.to_address, 'subject', e.subject,
+                            'attachments', e.attachments, 'error', e.error)
+  FROM email_log e
+  WHERE LOWER(e.to_address) = ANY($2::text[])
+
+  UNION ALL
+  SELECT 'direct_debit:' || x.id, 'direct_debit.' || x.event, x.created_at,
+         'customer', x.customer_id,
+         jsonb_build_object('mandate_id', x.mandate_id)
+  FROM direct_debit_events x
+  WHERE x.customer_id = $1
+`;
+
+function encodeTimelineCursor(occurredAt, id) {
+  return Buffer.from(JSON.stringify([occurredAt, id])).toString("base64url");
+}
+
+export function decodeTimelineCursor(cursor) {
+  try {
+    const [occurredAt, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof occurredAt !== "string" || isNaN(Date.parse(occurredAt)) || typeof id !== "string") {
+      return null;
+    }
+    return { occurredAt, id };
+  } catch {
+    return null;
+  }
+}
+
+/* ------------------------------------------------------------
+   🕒 getCustomerTimeline()
+   @param {number} customerId
+   @param {{limit?:number, cursor?:string, categories?:string[], from?:string, to?:string}} [options]
+   @returns {Promise<{rows:object[], nextCursor:string|null}|null>} null when the customer is missing
+------------------------------------------------------------ */
+export async function getCustomerTimeline(customerId, { limit = 50, cursor, categories, from, to } = {}) {
+  const { rows: customers } = await pool.query("SELECT id, email FROM customers WHERE id = $1;", [
+    customerId,
+  ]);
+  if (!customers.length) return null;
+
+  const { rows: contacts } = await pool.query(
+    "SELECT email FROM customer_contacts WHERE customer_id = $1;",
+    [customerId]
+  );
+  const emails = [
+    ...new Set([customers[0].email, ...contacts.map((c) => c.email)].filter(Boolean).map((e) => e.toLowerCase())),
+  ];
+
+  const conditions = [];
+  const params = [customerId, emails];
+  const add = (sql, ...values) => {
+    conditions.push(sql.replace(/\?/g, () => `$${params.push(values.shift())}`));
+  };
+
+  if (categories?.length) add("split_part(t.type, '.', 1) = ANY(?::text[])", categories);
+  if (from) add("t.occurred_at >= ?::date", from);
+  if (to) add("t.occurred_at < ?::date + INTERVAL '1 day'", to);
+
+  const after = cursor ? decodeTimelineCursor(cursor) : null;
+  if (after) add("(t.occurred_at, t.id) < (?::timestamp, ?)", after.occurredAt, after.id);
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const { rows } = await pool.query(
+    `SELECT t.*, t.occurred_at::text AS _cursor_at
+     FROM (${TIMELINE_SQL}) t
+     ${where}
+     ORDER BY t.occurred_at DESC, t.id DESC
+     LIMIT $${params.length + 1};`,
+    [...params, limit + 1]
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit && last ? encodeTimelineCursor(last._cursor_at, last.id) : null;
+
+  return {
+    rows: page.map(({ _cursor_at, ...entry }) => ({
+      ...entry,
+      category: entry.type.split(".")[0],
+    })),
+    nextCursor,
+  };
+}
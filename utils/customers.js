@@ -0,0 +1,348 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Utilities
+ * ============================================================
+ * Shared customer-scoped queries used by the admin CRM routes
+ * and the customer portal. Every query is filtered by
+ * customer_id so callers cannot leak another client's records.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+
+/* ------------------------------------------------------------
+   🧾 getCustomerQuotes()
+   All quotes for a customer, with package + maintenance names.
+------------------------------------------------------------ */
+export async function getCustomerQuotes(customerId) {
+  const { rows } = await pool.query(
+    `
+    SELECT q.*,
+           p.name AS package_name,
+           p.price_oneoff,
+           p.price_monthly,
+           m.name AS maintenance_name,
+           m.price AS maintenance_monthly
+    FROM quotes q
+    LEFT JOIN packages p ON q.package_id = p.id
+    LEFT JOIN maintenance_plans m ON q.maintenance_id = m.id
+    WHERE q.customer_id = $1
+    ORDER BY q.created_at DESC;
+    `,
+    [customerId]
+  );
+  return rows;
+}
+
+/* ------------------------------------------------------------
+   📦 getCustomerOrders()
+   All orders for a customer, with customer display fields.
+------------------------------------------------------------ */
+export async function getCustomerOrders(customerId) {
+  const { rows } = await pool.query(
+    `
+    SELECT o.*,
+           c.name AS customer_name,
+           c.business AS customer_business,
+           o.maintenance_name,
+           o.maintenance_monthly
+    FROM orders o
+    JOIN customers c ON o.customer_id = c.id
+    WHERE o.customer_id = $1
+    ORDER BY o.created_at DESC;
+    `,
+    [customerId]
+  );
+  return rows;
+}
+
+/* ------------------------------------------------------------
+   💳 getCustomerPayments()
+   Payments linked to the customer directly or via their orders
+   (refund rows are not always stamped with customer_id).
+------------------------------------------------------------ */
+export async function getCustomerPayments(customerId) {
+  const { rows } = await pool.query(
+    `
+    SELECT p.id, p.order_id, p.amount, p.type, p.method, p.status,
+           p.reference, p.created_at
+    FROM payments p
+    WHERE p.customer_id = $1
+       OR p.order_id IN (SELECT id FROM orders WHERE customer_id = $1)
+    ORDER BY p.created_at DESC;
+    `,
+    [customerId]
+  );
+  return rows;
+}
+
+/* ------------------------------------------------------------
+   💷 balanceDueSql()
+   SQL expression for what is still owed on an order row:
+   deposit + balance − paid + refunded (never below zero).
+------------------------------------------------------------ */
+export function balanceDueSql(alias = "o") {
+  return `GREATEST(
+    COALESCE(${alias}.deposit,0) + COALESCE(${alias}.balance,0)
+    - COALESCE((SELECT SUM(amount) FROM payments
+                WHERE order_id = ${alias}.id AND status = 'paid' AND amount > 0), 0)
+    + COALESCE((SELECT SUM(ABS(amount)) FROM payments
+                WHERE order_id = ${alias}.id AND (status = 'refunded' OR amount < 0)), 0),
+    0)`;
+}
+
+/* ------------------------------------------------------------
+   🔎 Customer search
+   Sortable columns map to NULL-safe expressions so keyset
+   (cursor) pagination over (sort value, id) stays stable.
+------------------------------------------------------------ */
+const textSort = (col) => ({ expr: `COALESCE(c.${col}, '')`, cast: "text" });
+
+export const CUSTOMER_SORTS = {
+  id: { expr: "c.id", cast: "int" },
+  business: textSort("business"),
+  name: textSort("name"),
+  email: textSort("email"),
+  phone: textSort("phone"),
+  address1: textSort("address1"),
+  address2: textSort("address2"),
+  city: textSort("city"),
+  county: textSort("county"),
+  postcode: textSort("postcode"),
+  notes: textSort("notes"),
+  payment_method: textSort("payment_method"),
+  direct_debit_active: { expr: "COALESCE(c.direct_debit_active, false)", cast: "boolean" },
+  created_at: { expr: "COALESCE(c.created_at, 'epoch')", cast: "timestamp" },
+  updated_at: { expr: "COALESCE(c.updated_at, 'epoch')", cast: "timestamp" },
+  balance_due: { expr: "bal.balance_due", cast: "numeric" },
+};
+
+// Cursors carry the sort they were issued for, so they cannot be replayed under another
+export function encodeCursor(sort, order, sortKey, id) {
+  return Buffer.from(JSON.stringify([sort, order, sortKey, id])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [sort, order, sortKey, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!CUSTOMER_SORTS[sort] || typeof sortKey !== "string" || !Number.isInteger(id)) return null;
+    return { sort, order, sortKey, id };
+  } catch {
+    return null;
+  }
+}
+
+/* ------------------------------------------------------------
+   🧰 buildCustomerFilters()
+   Shared WHERE builder for search, segments and bulk actions.
+   Every filter is optional; `bal` (balance_due) is always joined.
+------------------------------------------------------------ */
+function buildCustomerFilters({
+  q,
+  directDebitActive,
+  paymentMethod,
+  hasBalance,
+  createdFrom,
+  createdTo,
+  tagsAny,
+  tagsAll,
+  tagsNone,
+  hasOrders,
+  orderStatus,
+  minTotalPaid,
+  maxTotalPaid,
+  lastPaymentAfter,
+  lastPaymentBefore,
+  maintenanceStatus,
+  excludeErased = false,
+} = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, ...values) => {
+    let text = sql;
+    for (const value of values) {
+      params.push(value);
+      text = text.replace("?", `$${params.length}`);
+    }
+    conditions.push(text);
+  };
+
+  if (q) {
+    const like = `%${q.replace(/[\\%_]/g, "\\$&")}%`;
+    add(
+      `(c.name ILIKE ? OR c.business ILIKE ? OR c.email ILIKE ? OR c.phone ILIKE ?
+        OR REPLACE(c.postcode, ' ', '') ILIKE REPLACE(?, ' ', ''))`,
+      like, like, like, like, like
+    );
+  }
+  if (directDebitActive !== undefined) {
+    add("COALESCE(c.direct_debit_active, false) = ?", directDebitActive);
+  }
+  if (paymentMethod) add("c.payment_method = ?", paymentMethod);
+  if (hasBalance !== undefined) add(`(bal.balance_due > 0.005) = ?`, hasBalance);
+  if (createdFrom) add("c.created_at >= ?::date", createdFrom);
+  if (createdTo) add("c.created_at < (?::date + INTERVAL '1 day')", createdTo);
+  if (excludeErased) conditions.push("c.erased_at IS NULL");
+
+  // 🏷️ Tags (matched by name, case-insensitive)
+  const tagMatch = `SELECT COUNT(DISTINCT t.id) FROM customer_tag_links l
+                    JOIN customer_tags t ON t.id = l.tag_id
+                    WHERE l.customer_id = c.id AND LOWER(t.name) = ANY(?::text[])`;
+  const lower = (names) => names.map((n) => String(n).toLowerCase());
+  if (tagsAny?.length) add(`(${tagMatch}) > 0`, lower(tagsAny));
+  if (tagsAll?.length) add(`(${tagMatch}) = ?`, lower(tagsAll), new Set(lower(tagsAll)).size);
+  if (tagsNone?.length) add(`(${tagMatch}) = 0`, lower(tagsNone));
+
+  // 📦 Orders
+  if (hasOrders !== undefined) {
+    conditions.push(
+      `${hasOrders ? "" : "NOT "}EXISTS (SELECT 1 FROM orders o WHERE o.customer_id = c.id)`
+    );
+  }
+  if (orderStatus) {
+    add("EXISTS (SELECT 1 FROM orders o WHERE o.customer_id = c.id AND o.status = ?)", orderStatus);
+  }
+
+  // 💳 Payments (paid, positive amounts only)
+  const paidSql = `FROM payments p
+                   WHERE (p.customer_id = c.id OR p.order_id IN (SELECT id FROM orders WHERE customer_id = c.id))
+                     AND p.status = 'paid' AND p.amount > 0`;
+  if (minTotalPaid !== undefined) add(`(SELECT COALESCE(SUM(p.amount),0) ${paidSql}) >= ?`, minTotalPaid);
+  if (maxTotalPaid !== undefined) add(`(SELECT COALESCE(SUM(p.amount),0) ${paidSql}) <= ?`, maxTotalPaid);
+  if (lastPaymentAfter) add(`(SELECT MAX(p.created_at) ${paidSql}) >= ?::date`, lastPaymentAfter);
+  if (lastPaymentBefore) {
+    add(
+      `COALESCE((SELECT MAX(p.created_at) ${paidSql}), 'epoch') < (?::date + INTERVAL '1 day')`,
+      lastPaymentBefore
+    );
+  }
+
+  // 🛠️ WebCare (maintenance signups share the customer's email)
+  if (maintenanceStatus) {
+    add(
+      `EXISTS (SELECT 1 FROM maintenance_signups m
+               WHERE LOWER(m.email) = LOWER(c.email) AND m.status = ?)`,
+      maintenanceStatus
+    );
+  }
+
+  const from = `
+    FROM customers c
+    CROSS JOIN LATERAL (
+      SELECT COALESCE(SUM(${balanceDueSql("o")}), 0) AS balance_due
+      FROM orders o
+      WHERE o.customer_id = c.id AND o.status <> 'cancelled'
+    ) bal`;
+
+  return { from, conditions, params };
+}
+
+const TAGS_SQL = `ARRAY(SELECT t.name FROM customer_tag_links l
+                        JOIN customer_tags t ON t.id = l.tag_id
+                        WHERE l.customer_id = c.id ORDER BY t.name) AS tags`;
+
+/**
+ * Every customer matching the filters, with balance_due + tags (for exports).
+ * @param {object} filters - see buildCustomerFilters()
+ * @returns {Promise<object[]>}
+ */
+export async function listCustomers(filters = {}) {
+  const { from, conditions, params } = buildCustomerFilters(filters);
+  const { rows } = await pool.query(
+    `SELECT c.*, bal.balance_due, ${TAGS_SQL}
+     ${from} ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY c.id ASC;`,
+    params
+  );
+  return rows.map((row) => ({ ...row, balance_due: Number(row.balance_due) }));
+}
+
+/**
+ * IDs of every customer matching the filters (for bulk actions).
+ * @param {object} filters - see buildCustomerFilters()
+ * @returns {Promise<number[]>}
+ */
+export async function listCustomerIds(filters = {}) {
+  const { from, conditions, params } = buildCustomerFilters(filters);
+  const { rows } = await pool.query(
+    `SELECT c.id ${from} ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY c.id ASC;`,
+    params
+  );
+  return rows.map((r) => r.id);
+}
+
+/**
+ * Search, filter, sort and cursor-paginate customers.
+ * @param {object} options
+ * @param {string} [options.q]                  - matches name/business/email/phone/postcode
+ * @param {boolean} [options.directDebitActive]
+ * @param {string} [options.paymentMethod]
+ * @param {boolean} [options.hasBalance]        - has an outstanding balance
+ * @param {string} [options.createdFrom]        - ISO date (inclusive)
+ * @param {string} [options.createdTo]          - ISO date (inclusive)
+ * @param {string[]} [options.tagsAny]          - plus the other buildCustomerFilters() options
+ * @param {string} [options.sort="created_at"]  - key of CUSTOMER_SORTS
+ * @param {"asc"|"desc"} [options.order="desc"]
+ * @param {number} [options.limit=50]
+ * @param {string} [options.cursor]             - next_cursor from a previous page
+ *                                                (overrides sort + order)
+ * @returns {Promise<{rows:Array, total:number, nextCursor:string|null}>}
+ */
+export async function searchCustomers({
+  sort = "created_at",
+  order = "desc",
+  limit = 50,
+  cursor,
+  ...filters
+} = {}) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (after) ({ sort, order } = after);
+
+  const sortDef = CUSTOMER_SORTS[sort] || CUSTOMER_SORTS.created_at;
+  const direction = order === "asc" ? "ASC" : "DESC";
+
+  const { from, conditions, params } = buildCustomerFilters(filters);
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const { rows: countRows } = await pool.query(
+    `SELECT COUNT(*)::int AS total ${from} ${where};`,
+    params
+  );
+
+  const pageConditions = [...conditions];
+  const pageParams = [...params];
+  if (after) {
+    pageParams.push(after.sortKey, after.id);
+    const cmp = direction === "ASC" ? ">" : "<";
+    pageConditions.push(
+      `(${sortDef.expr}, c.id) ${cmp} ($${pageParams.length - 1}::${sortDef.cast}, $${pageParams.length}::int)`
+    );
+  }
+  pageParams.push(limit + 1);
+
+  const { rows } = await pool.query(
+    `
+    SELECT c.*, bal.balance_due, ${TAGS_SQL},
+           (${sortDef.expr})::text AS _sort_key
+    ${from}
+    ${pageConditions.length ? `WHERE ${pageConditions.join(" AND ")}` : ""}
+    ORDER BY ${sortDef.expr} ${direction}, c.id ${direction}
+    LIMIT $${pageParams.length};
+    `,
+    pageParams
+  );
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? encodeCursor(sort, order, last._sort_key, last.id) : null;
+
+  return {
+    rows: page.map(({ _sort_key, ...row }) => ({ ...row, balance_due: Number(row.balance_due) })),
+    total: countRows[0].total,
+    nextCursor,
+  };
+}
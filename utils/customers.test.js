@@ -0,0 +1,32 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Search Cursor Tests
+ * ============================================================
+ * Keyset pagination cursors round-trip and reject anything
+ * they were not issued as. Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor } from "./customers.js";
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+test("cursors round-trip", () => {
+  const cursor = encodeCursor("business", "asc", "acme", 42);
+  assert.deepEqual(decodeCursor(cursor), { sort: "business", order: "asc", sortKey: "acme", id: 42 });
+});
+
+test("decodeCursor rejects malformed cursors", () => {
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(""), null);
+  assert.equal(decodeCursor(undefined), null);
+});
+
+test("decodeCursor rejects unknown sorts and bad keys", () => {
+  assert.equal(decodeCursor(encode(["password", "asc", "x", 1])), null);
+  assert.equal(decodeCursor(encode(["name", "asc", 5, 1])), null);
+  assert.equal(decodeCursor(encode(["name", "asc", "x", "1"])), null);
+  assert.equal(decodeCursor(encode(["name", "asc", "x", 1.5])), null);
+});
@@ -1,6 +1,7 @@
 // server/utils/email.js
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import pool from "../db.js";
 
 dotenv.config();
 
@@ -33,6 +34,30 @@ transporter.verify((err, success) => {
   }
 });
 
+/* -------------------------------------------------------
+   Record every send attempt in email_log (keyed by the
+   intended recipient, even when TEST_EMAIL redirects it).
+   Logging failures never block the email itself.
+   ------------------------------------------------------- */
+async function logEmail({ to, subject, attachments, messageId, status, error }) {
+  try {
+    await pool.query(
+      `INSERT INTO email_log (to_address, subject, attachments, message_id, status, error)
+       VALUES ($1,$2,$3,$4,$5,$6);`,
+      [
+        String(to),
+        subject || null,
+        (attachments || []).map((a) => a.filename || a.path || "attachment"),
+        messageId || null,
+        status,
+        error || null,
+      ]
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to record email log:", err.message);
+  }
+}
+
 /* =======================================================
    Send Email Helper Function
    ======================================================= */
@@ -50,9 +75,11 @@ export async function sendEmail({ to, subject, html, text, attachments }) {
     });
 
     console.log(`📧 Email sent to ${finalRecipient}: ${info.messageId}`);
+    await logEmail({ to, subject, attachments, messageId: info.messageId, status: "sent" });
     return info;
   } catch (err) {
     console.error("❌ Error sending email:", err.message);
+    await logEmail({ to, subject, attachments, status: "failed", error: err.message });
     throw err;
   }
 }
@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * PJH Web Services — Email Queue
+ * ============================================================
+ * Bulk sends (segment emails etc.) are queued rather than sent
+ * inline, then drained in small batches by processEmailQueue()
+ * on a timer in index.js:
+ *
+ *   pending → sending → sent
+ *                    ↘ pending (retry) → failed after MAX_ATTEMPTS
+ *
+ * Rows stuck in "sending" (process died mid-batch) are released
+ * back to pending after STUCK_MINUTES. Mail for an erased
+ * customer is cancelled, never sent (see utils/customerErasure.js).
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { sendEmail } from "./email.js";
+
+const BATCH_SIZE = Number(process.env.EMAIL_QUEUE_BATCH_SIZE) || 20;
+const MAX_ATTEMPTS = 3;
+const STUCK_MINUTES = 15;
+
+/* ------------------------------------------------------------
+   📥 queueEmails()
+   @param {Array<{to:string, subject:string, html:string, customerId?:number}>} messages
+   @param {{segmentId?:number, queuedBy?:string}} [options]
+   @returns {Promise<number>} number of rows queued
+------------------------------------------------------------ */
+export async function queueEmails(messages, { segmentId = null, queuedBy = null } = {}) {
+  if (!messages.length) return 0;
+
+  const { rowCount } = await pool.query(
+    `INSERT INTO email_queue (to_address, subject, html, customer_id, segment_id, queued_by)
+     SELECT m.to_address, m.subject, m.html, m.customer_id, $2, $3
+     FROM jsonb_to_recordset($1::jsonb)
+       AS m(to_address TEXT, subject TEXT, html TEXT, customer_id INT);`,
+    [
+      JSON.stringify(
+        messages.map((m) => ({
+          to_address: m.to,
+          subject: m.subject,
+          html: m.html,
+          customer_id: m.customerId ?? null,
+        }))
+      ),
+      segmentId,
+      queuedBy,
+    ]
+  );
+  return rowCount;
+}
+
+/* ------------------------------------------------------------
+   📤 processEmailQueue()
+   Sends one batch. Never throws — safe to call from a timer.
+   @returns {Promise<{sent:number, failed:number}>}
+------------------------------------------------------------ */
+export async function processEmailQueue() {
+  const result = { sent: 0, failed: 0 };
+
+  try {
+    await pool.query(
+      `UPDATE email_queue SET status = 'pending'
+       WHERE status = 'sending' AND locked_at < NOW() - ($1 || ' minutes')::interval;`,
+      [STUCK_MINUTES]
+    );
+
+    const { rows } = await pool.query(
+      `UPDATE email_queue SET status = 'sending', attempts = attempts + 1, locked_at = NOW()
+       WHERE id IN (
+         SELECT q.id FROM email_queue q
+         WHERE q.status = 'pending'
+           AND NOT EXISTS (
+             SELECT 1 FROM customers c WHERE c.id = q.customer_id AND c.erased_at IS NOT NULL
+           )
+         ORDER BY q.created_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *;`,
+      [BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      try {
+        await sendEmail({ to: row.to_address, subject: row.subject, html: row.html });
+        await pool.query(
+          "UPDATE email_queue SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1;",
+          [row.id]
+        );
+        result.sent++;
+      } catch (err) {
+        await pool.query(
+          "UPDATE email_queue SET status = $2, last_error = $3 WHERE id = $1;",
+          [row.id, row.attempts >= MAX_ATTEMPTS ? "failed" : "pending", err.message]
+        );
+        result.failed++;
+      }
+    }
+
+    if (rows.length) {
+      console.log(`📨 [EmailQueue] Batch done — ${result.sent} sent, ${result.failed} failed`);
+    }
+  } catch (err) {
+    console.error("⚠️ [EmailQueue] Failed to process queue:", err.message);
+  }
+
+  return result;
+}
@@ -142,6 +142,207 @@ export function invoiceEmailTemplate({
   </html>`;
 }
 
+/* ============================================================
+   📒 STATEMENT OF ACCOUNT
+============================================================ */
+export function statementEmailTemplate({ customerName, periodLabel, closingBalance, link }) {
+  const balanceLine =
+    closingBalance > 0
+      ? `The balance due on your account is <strong>£${closingBalance.toFixed(2)}</strong>.`
+      : closingBalance < 0
+      ? `Your account is <strong>£${Math.abs(closingBalance).toFixed(2)} in credit</strong>.`
+      : "Your account is fully paid — thank you.";
+
+  return `
+  <html>
+    <body style="font-family:'Segoe UI',Helvetica,Arial,sans-serif;background-color:#f4f6f8;padding:40px;margin:0;">
+      <table width="100%" cellpadding="0" cellspacing="0" 
+             style="max-width:600px;margin:auto;background:#ffffff;border-radius:12px;
+                    box-shadow:0 4px 15px rgba(0,0,0,0.08);overflow:hidden;">
+        <tr>
+          <td style="background:#0d1117;text-align:center;padding:25px;">
+            <img src="${LOGO_BASE64}" alt="PJH Web Services" width="130" style="max-width:130px;height:auto;margin:auto;display:block;">
+            <h2 style="color:#58a6ff;margin:15px 0 0;font-size:22px;">Statement of Account</h2>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:35px 40px;">
+            <p style="color:#333;font-size:16px;">Hi ${customerName || "Customer"},</p>
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              Please find attached your statement of account for <strong>${periodLabel}</strong>.
+              ${balanceLine}
+            </p>
+
+            ${
+              link && closingBalance > 0
+                ? `<div style="text-align:center;margin:35px 0;">
+                    <a href="${link}"
+                       style="background:#007bff;color:#fff;text-decoration:none;font-weight:600;
+                              padding:14px 28px;border-radius:8px;display:inline-block;font-size:16px;">
+                      💳 View &amp; Pay
+                    </a>
+                   </div>`
+                : ""
+            }
+
+            <p style="color:#555;font-size:14px;line-height:1.5;">
+              If anything on the statement doesn’t look right, just reply to this email.
+            </p>
+
+            <p style="color:#777;font-size:13px;margin-top:30px;line-height:1.5;">
+              Kind regards,<br><strong>PJH Web Services</strong><br>
+              <a href="https://www.pjhwebservices.co.uk" style="color:#007bff;text-decoration:none;">www.pjhwebservices.co.uk</a>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#0d1117;color:#999;text-align:center;font-size:12px;padding:12px;">
+            © ${new Date().getFullYear()} PJH Web Services — All Rights Reserved
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>`;
+}
+
+/* ============================================================
+   📄 QUOTE (sent with the PDF attached)
+   `message` is an optional plain-text note from the sender.
+============================================================ */
+export function quoteEmailTemplate({ customerName, quoteNumber, title, total, validUntil, link, message }) {
+  const expiryDate = validUntil
+    ? new Date(`${validUntil}T00:00:00Z`).toLocaleDateString("en-GB", {
+        timeZone: "UTC",
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : null;
+  const note = message
+    ? escapeHtml(message)
+        .split(/\n{2,}/)
+        .map((p) => `<p style="color:#333;line-height:1.6;font-size:15px;">${p.replace(/\n/g, "<br>")}</p>`)
+        .join("\n            ")
+    : "";
+
+  return `
+  <html>
+    <body style="font-family:'Segoe UI',Helvetica,Arial,sans-serif;background-color:#f4f6f8;padding:40px;margin:0;">
+      <table width="100%" cellpadding="0" cellspacing="0"
+             style="max-width:600px;margin:auto;background:#ffffff;border-radius:12px;
+                    box-shadow:0 4px 15px rgba(0,0,0,0.08);overflow:hidden;">
+        <tr>
+          <td style="background:#0d1117;text-align:center;padding:25px;">
+            <img src="${LOGO_BASE64}" alt="PJH Web Services" width="130" style="max-width:130px;height:auto;margin:auto;display:block;">
+            <h2 style="color:#58a6ff;margin:15px 0 0;font-size:22px;">Your Quote</h2>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:35px 40px;">
+            <p style="color:#333;font-size:16px;">Hi ${escapeHtml(customerName || "Customer")},</p>
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              Thank you for your enquiry. Please find attached quote <strong>${escapeHtml(quoteNumber)}</strong>${
+                title ? ` for <strong>${escapeHtml(title)}</strong>` : ""
+              }, totalling <strong>£${Number(total || 0).toFixed(2)}</strong>.
+            </p>
+            ${note}
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              You can review the quote online and accept it, decline it or ask for changes${
+                expiryDate ? ` — it is valid until <strong>${expiryDate}</strong>` : ""
+              }.
+            </p>
+
+            <div style="text-align:center;margin:35px 0;">
+              <a href="${link}"
+                 style="background:#007bff;color:#fff;text-decoration:none;font-weight:600;
+                        padding:14px 28px;border-radius:8px;display:inline-block;font-size:16px;">
+                📄 View &amp; Respond
+              </a>
+            </div>
+
+            <p style="color:#555;font-size:14px;line-height:1.5;">
+              Any questions at all, just reply to this email.
+            </p>
+
+            <p style="color:#777;font-size:13px;margin-top:30px;line-height:1.5;">
+              Kind regards,<br><strong>PJH Web Services</strong><br>
+              <a href="https://www.pjhwebservices.co.uk" style="color:#007bff;text-decoration:none;">www.pjhwebservices.co.uk</a>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#0d1117;color:#999;text-align:center;font-size:12px;padding:12px;">
+            © ${new Date().getFullYear()} PJH Web Services — All Rights Reserved
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>`;
+}
+
+/* ============================================================
+   ⏳ QUOTE EXPIRY REMINDER
+============================================================ */
+export function quoteReminderTemplate({ customerName, quoteNumber, title, validUntil, daysLeft, link }) {
+  const expiryDate = new Date(`${validUntil}T00:00:00Z`).toLocaleDateString("en-GB", {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+  const when = daysLeft === 0 ? "today" : daysLeft === 1 ? "tomorrow" : `in ${daysLeft} days`;
+
+  return `
+  <html>
+    <body style="font-family:'Segoe UI',Helvetica,Arial,sans-serif;background-color:#f4f6f8;padding:40px;margin:0;">
+      <table width="100%" cellpadding="0" cellspacing="0"
+             style="max-width:600px;margin:auto;background:#ffffff;border-radius:12px;
+                    box-shadow:0 4px 15px rgba(0,0,0,0.08);overflow:hidden;">
+        <tr>
+          <td style="background:#0d1117;text-align:center;padding:25px;">
+            <img src="${LOGO_BASE64}" alt="PJH Web Services" width="130" style="max-width:130px;height:auto;margin:auto;display:block;">
+            <h2 style="color:#58a6ff;margin:15px 0 0;font-size:22px;">Your Quote Expires ${when === "today" ? "Today" : "Soon"}</h2>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:35px 40px;">
+            <p style="color:#333;font-size:16px;">Hi ${customerName || "Customer"},</p>
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              Just a reminder that quote <strong>${quoteNumber}</strong>${title ? ` for <strong>${title}</strong>` : ""}
+              expires ${when} (<strong>${expiryDate}</strong>).
+            </p>
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              You can review it and accept, decline or ask for changes using the button below.
+            </p>
+
+            <div style="text-align:center;margin:35px 0;">
+              <a href="${link}"
+                 style="background:#007bff;color:#fff;text-decoration:none;font-weight:600;
+                        padding:14px 28px;border-radius:8px;display:inline-block;font-size:16px;">
+                📄 View Quote
+              </a>
+            </div>
+
+            <p style="color:#555;font-size:14px;line-height:1.5;">
+              Need a little longer? Just reply to this email and we’ll extend it for you.
+            </p>
+
+            <p style="color:#777;font-size:13px;margin-top:30px;line-height:1.5;">
+              Kind regards,<br><strong>PJH Web Services</strong><br>
+              <a href="https://www.pjhwebservices.co.uk" style="color:#007bff;text-decoration:none;">www.pjhwebservices.co.uk</a>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#0d1117;color:#999;text-align:center;font-size:12px;padding:12px;">
+            © ${new Date().getFullYear()} PJH Web Services — All Rights Reserved
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>`;
+}
+
 /* ============================================================
    ✅ PAYMENT SUCCESS
 ============================================================ */
@@ -260,3 +461,94 @@ export function directDebitSetupTemplate({ customerName }) {
     </body>
   </html>`;
 }
+
+/* ============================================================
+   🔑 CLIENT PORTAL MAGIC LINK
+============================================================ */
+export function portalMagicLinkTemplate({ customerName, link, expiresMinutes = 15 }) {
+  return `
+  <html>
+    <body style="font-family:'Segoe UI',Helvetica,Arial,sans-serif;background:#f4f6f8;padding:40px;margin:0;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:auto;background:#fff;border-radius:12px;box-shadow:0 4px 15px rgba(0,0,0,0.08);">
+        <tr>
+          <td style="background:#0d1117;text-align:center;padding:25px;">
+            <img src="${LOGO_BASE64}" alt="PJH Web Services" width="130" style="display:block;margin:auto;">
+            <h2 style="color:#58a6ff;margin:15px 0 0;">Your Client Portal Login</h2>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:35px 40px;">
+            <p style="font-size:16px;color:#333;">Hi ${customerName || "Customer"},</p>
+            <p style="color:#333;line-height:1.6;font-size:15px;">
+              Use the secure button below to sign in to your PJH Web Services client portal,
+              where you can view your quotes, orders, payments and invoices.
+            </p>
+
+            <div style="text-align:center;margin:35px 0;">
+              <a href="${link}"
+                 style="background:#007bff;color:#fff;text-decoration:none;font-weight:600;
+                        padding:14px 28px;border-radius:8px;display:inline-block;font-size:16px;">
+                🔑 Sign In
+              </a>
+            </div>
+
+            <p style="color:#555;font-size:14px;line-height:1.5;">
+              This link can only be used once and expires in ${expiresMinutes} minutes.
+              If you didn’t request it, you can safely ignore this email.
+            </p>
+            <p style="color:#777;font-size:13px;margin-top:30px;">
+              Kind regards,<br><strong>PJH Web Services</strong>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#0d1117;color:#999;text-align:center;font-size:12px;padding:12px;">
+            © ${new Date().getFullYear()} PJH Web Services
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>`;
+}
+
+/* ============================================================
+   📣 CUSTOMER MESSAGE (segment bulk email)
+   `message` is plain text; {{name}} is replaced per recipient.
+============================================================ */
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+
+export function customerMessageTemplate({ customerName, subject, message }) {
+  const paragraphs = escapeHtml(String(message).replace(/\{\{\s*name\s*\}\}/g, customerName || "there"))
+    .split(/\n{2,}/)
+    .map((p) => `<p style="color:#333;line-height:1.6;font-size:15px;">${p.replace(/\n/g, "<br>")}</p>`)
+    .join("\n            ");
+
+  return `
+  <html>
+    <body style="font-family:'Segoe UI',Helvetica,Arial,sans-serif;background:#f4f6f8;padding:40px;margin:0;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:auto;background:#fff;border-radius:12px;box-shadow:0 4px 15px rgba(0,0,0,0.08);">
+        <tr>
+          <td style="background:#0d1117;text-align:center;padding:25px;">
+            <img src="${LOGO_BASE64}" alt="PJH Web Services" width="130" style="display:block;margin:auto;">
+            <h2 style="color:#58a6ff;margin:15px 0 0;">${escapeHtml(subject)}</h2>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:35px 40px;">
+            <p style="font-size:16px;color:#333;">Hi ${escapeHtml(customerName || "there")},</p>
+            ${paragraphs}
+            <p style="color:#777;font-size:13px;margin-top:30px;">
+              Kind regards,<br><strong>PJH Web Services</strong>
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="background:#0d1117;color:#999;text-align:center;font-size:12px;padding:12px;">
+            © ${new Date().getFullYear()} PJH Web Services
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>`;
+}
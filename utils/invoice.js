@@ -8,26 +8,36 @@
  * ✅ Adds top-right PJH Web Services logo
  * ✅ Generates dynamic filenames & saves to /public/invoices
  * ✅ Compatible with email + preview routes
+ *
+ * The brand colours, text/line helpers and letterhead are
+ * exported for other PJH documents (statements).
+ *
+ * Each deposit / balance invoice is numbered once, the first
+ * time it is issued (see issueInvoiceNumber / utils/numbering.js);
+ * refunds get a credit note number (issueCreditNoteNumber).
  * ============================================================
  */
 
 import fs from "fs";
 import path from "path";
 import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import pool from "../db.js";
+import { formatVatNumber } from "./ukFormats.js";
+import { nextDocumentNumber } from "./numbering.js";
 
-const BRAND_BLUE = rgb(0.15, 0.38, 0.92);
-const LIGHT_GREY = rgb(0.97, 0.98, 1.0);
-const BORDER_GREY = rgb(0.8, 0.8, 0.85);
-const TEXT_GREY = rgb(0.15, 0.15, 0.15);
+export const BRAND_BLUE = rgb(0.15, 0.38, 0.92);
+export const LIGHT_GREY = rgb(0.97, 0.98, 1.0);
+export const BORDER_GREY = rgb(0.8, 0.8, 0.85);
+export const TEXT_GREY = rgb(0.15, 0.15, 0.15);
 
-function sanitizeFilename(str) {
+export function sanitizeFilename(str) {
   return String(str || "")
     .replace(/[\/\\?%*:|"<>]/g, "_")
     .replace(/\s+/g, "_")
     .trim();
 }
 
-function wrapByWidth(text, maxWidth, font, size) {
+export function wrapByWidth(text, maxWidth, font, size) {
   const words = String(text || "").split(/\s+/);
   const lines = [];
   let current = "";
@@ -43,39 +53,135 @@ function wrapByWidth(text, maxWidth, font, size) {
   return lines;
 }
 
-function drawText(page, text, x, y, size, font, color = TEXT_GREY) {
+export function drawText(page, text, x, y, size, font, color = TEXT_GREY) {
   page.drawText(String(text || ""), { x, y, size, font, color });
 }
 
-function drawRightText(page, text, xRight, y, size, font, color = TEXT_GREY) {
+export function drawRightText(page, text, xRight, y, size, font, color = TEXT_GREY) {
   const w = font.widthOfTextAtSize(String(text || ""), size);
   page.drawText(String(text || ""), { x: xRight - w, y, size, font, color });
 }
 
-function drawLine(page, x1, y1, x2, y2, thickness = 1, color = BORDER_GREY) {
+export function drawLine(page, x1, y1, x2, y2, thickness = 1, color = BORDER_GREY) {
   page.drawLine({ start: { x: x1, y: y1 }, end: { x: x2, y: y2 }, thickness, color });
 }
 
 /**
- * Generate PDF invoice and save under /public/invoices
- * @param {Object} order - Order and customer data
- * @param {"deposit"|"balance"} type - Invoice type
- * @returns {Promise<string>} - Absolute path to saved PDF
+ * Order-based reference used before invoices were numbered, e.g. PJH-0042.
+ * @param {number} orderId
+ * @returns {string}
  */
-export async function generateInvoicePDF(order, type = "deposit") {
-  const pdfDoc = await PDFDocument.create();
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+export function invoiceReference(orderId) {
+  return `PJH-${String(orderId).padStart(4, "0")}`;
+}
 
-  const A4 = [595, 842];
-  const margin = 50;
-  const width = A4[0];
-  let y = A4[1] - 60;
-  const page = pdfDoc.addPage(A4);
+/**
+ * Number printed on an order's deposit / balance invoice.
+ * @param {object} order - orders row (with *_invoice_number)
+ * @param {"deposit"|"balance"} type
+ * @returns {string}
+ */
+export function invoiceNumber(order, type) {
+  return order[`${type}_invoice_number`] || invoiceReference(order.id);
+}
+
+/* ------------------------------------------------------------
+   🔢 issueInvoiceNumber()
+   Returns the invoice's number, issuing the next one in the
+   invoice series if it has none yet. The order row is locked
+   so two concurrent sends cannot both number it.
+   @param {number} orderId
+   @param {"deposit"|"balance"} type
+   @returns {Promise<string|null>} null if the order is missing
+------------------------------------------------------------ */
+export async function issueInvoiceNumber(orderId, type) {
+  if (!["deposit", "balance"].includes(type)) throw new Error(`Unknown invoice type "${type}"`);
+  const column = `${type}_invoice_number`;
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT o.${column} AS invoice_number, c.business, c.name
+       FROM orders o
+       JOIN customers c ON c.id = o.customer_id
+       WHERE o.id = $1
+       FOR UPDATE OF o;`,
+      [orderId]
+    );
+    if (!rows.length || rows[0].invoice_number) {
+      await client.query("ROLLBACK");
+      return rows[0]?.invoice_number || null;
+    }
+
+    const number = await nextDocumentNumber(client, "invoice", {
+      business: rows[0].business || rows[0].name,
+    });
+    await client.query(`UPDATE orders SET ${column} = $2, updated_at = NOW() WHERE id = $1;`, [orderId, number]);
+
+    await client.query("COMMIT");
+    return number;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* ------------------------------------------------------------
+   🔢 issueCreditNoteNumber()
+   Numbers a refund payment once; repeat calls return the
+   existing number.
+   @returns {Promise<string|null>} null if the payment is missing
+------------------------------------------------------------ */
+export async function issueCreditNoteNumber(paymentId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT p.credit_note_number, c.business, c.name
+       FROM payments p
+       LEFT JOIN orders o ON o.id = p.order_id
+       LEFT JOIN customers c ON c.id = COALESCE(p.customer_id, o.customer_id)
+       WHERE p.id = $1
+       FOR UPDATE OF p;`,
+      [paymentId]
+    );
+    if (!rows.length || rows[0].credit_note_number) {
+      await client.query("ROLLBACK");
+      return rows[0]?.credit_note_number || null;
+    }
+
+    const number = await nextDocumentNumber(client, "credit_note", {
+      business: rows[0].business || rows[0].name,
+    });
+    await client.query("UPDATE payments SET credit_note_number = $2 WHERE id = $1;", [paymentId, number]);
+
+    await client.query("COMMIT");
+    return number;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Logo, company details and document title across the top of a page.
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFPage} page
+ * @param {{title:string, font:PDFFont, bold:PDFFont, margin?:number}} options
+ * @returns {Promise<number>} y position below the header rule
+ */
+export async function drawLetterhead(pdfDoc, page, { title, font, bold, margin = 50 }) {
+  const { width, height } = page.getSize();
+  let y = height - 60;
 
-  /* ------------------------------------------------------------
-     HEADER + LOGO
-  ------------------------------------------------------------ */
   try {
     const logoPath = path.resolve(process.cwd(), "public", "assets", "pjh-logo-dark.png");
     if (fs.existsSync(logoPath)) {
@@ -86,7 +192,7 @@ export async function generateInvoicePDF(order, type = "deposit") {
       const logoHeight = (logoImage.height / logoImage.width) * logoWidth;
       page.drawImage(logoImage, {
         x: width - margin - logoWidth,
-        y: A4[1] - margin - logoHeight,
+        y: height - margin - logoHeight,
         width: logoWidth,
         height: logoHeight,
       });
@@ -98,21 +204,40 @@ export async function generateInvoicePDF(order, type = "deposit") {
   }
 
   drawText(page, "PJH Web Services", margin, y, 16, bold, BRAND_BLUE);
-  drawRightText(
-    page,
-    `${type === "deposit" ? "Deposit Invoice" : "Balance Invoice"}`,
-    width - margin - 100,
-    y,
-    18,
-    bold,
-    BRAND_BLUE
-  );
+  drawRightText(page, title, width - margin - 100, y, 18, bold, BRAND_BLUE);
   y -= 25;
   drawText(page, "www.pjhwebservices.co.uk", margin, y, 10, font, TEXT_GREY);
   drawText(page, "info@pjhwebservices.co.uk  •  07587 707 981", margin, y - 12, 10, font, TEXT_GREY);
   y -= 30;
   drawLine(page, margin, y, width - margin, y, 2, BRAND_BLUE);
-  y -= 35;
+  return y - 35;
+}
+
+/**
+ * Generate PDF invoice and save under /public/invoices
+ * @param {Object} order - Order and customer data
+ * @param {"deposit"|"balance"} type - Invoice type
+ * @returns {Promise<string>} - Absolute path to saved PDF
+ */
+export async function generateInvoicePDF(order, type = "deposit") {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const A4 = [595, 842];
+  const margin = 50;
+  const width = A4[0];
+  const page = pdfDoc.addPage(A4);
+
+  /* ------------------------------------------------------------
+     HEADER + LOGO
+  ------------------------------------------------------------ */
+  let y = await drawLetterhead(pdfDoc, page, {
+    title: type === "deposit" ? "Deposit Invoice" : "Balance Invoice",
+    font,
+    bold,
+    margin,
+  });
 
   /* ------------------------------------------------------------
      CUSTOMER INFO
@@ -123,9 +248,12 @@ export async function generateInvoicePDF(order, type = "deposit") {
   if (customer.address1) drawText(page, customer.address1, margin, y, 10, font);
   if (customer.city) drawText(page, customer.city, margin, y - 12, 10, font);
   if (customer.postcode) drawText(page, customer.postcode, margin, y - 24, 10, font);
+  if (customer.vat_number) {
+    drawText(page, `VAT No: ${formatVatNumber(customer.vat_number)}`, margin, y - 36, 10, font);
+  }
   y -= 48;
 
-  drawText(page, `Invoice #: PJH-${String(order.id).padStart(4, "0")}`, margin, y, 11, bold);
+  drawText(page, `Invoice #: ${invoiceNumber(order, type)}`, margin, y, 11, bold);
   drawRightText(page, `Date: ${new Date().toLocaleDateString("en-GB")}`, width - margin, y, 10, font);
   y -= 30;
 
@@ -224,8 +352,8 @@ export async function generateInvoicePDF(order, type = "deposit") {
 
   const customerName = sanitizeFilename(customer.business || customer.name || "Customer");
   const projectTitle = sanitizeFilename(order.title || "Project");
-  const invoiceNumber = `INV${String(order.id).padStart(4, "0")}`;
-  const fileName = `PJH-INV-${customerName}-${projectTitle}-${invoiceNumber}-${type.toUpperCase()}.pdf`;
+  const number = sanitizeFilename(invoiceNumber(order, type));
+  const fileName = `PJH-INV-${customerName}-${projectTitle}-${number}-${type.toUpperCase()}.pdf`;
   const outPath = path.join(outDir, fileName);
 
   fs.writeFileSync(outPath, await pdfDoc.save());
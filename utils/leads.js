@@ -0,0 +1,274 @@
+/**
+ * ============================================================
+ * PJH Web Services — Leads & Sales Pipeline
+ * ============================================================
+ * Every contact form submission is stored as a lead before any
+ * notification email is attempted, so an SMTP outage no longer
+ * loses the enquiry.
+ *
+ * Pipeline stages and the moves allowed between them:
+ *
+ *   new        → contacted | quoted | lost
+ *   contacted  → quoted | won | lost
+ *   quoted     → contacted | won | lost
+ *   won        → (closed)
+ *   lost       → contacted   (re-opened)
+ *
+ * Each move is recorded in lead_stage_history. convertLead()
+ * creates (or links) the customer and can raise a draft quote.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { generateResponseToken } from "./token.js";
+import { tokenExpiresAt } from "./quoteTokens.js";
+import { toArray } from "./quotes.js";
+import { recordRevision } from "./quoteRevisions.js";
+import { defaultValidUntil } from "./quoteExpiry.js";
+import { normaliseCustomerDetails } from "./ukFormats.js";
+import { nextDocumentNumber } from "./numbering.js";
+
+export const LEAD_STAGES = ["new", "contacted", "quoted", "won", "lost"];
+export const LEAD_SOURCES = ["contact_form", "phone", "email", "referral", "social", "other"];
+
+export const LEAD_STAGE_TRANSITIONS = {
+  new: ["contacted", "quoted", "lost"],
+  contacted: ["quoted", "won", "lost"],
+  quoted: ["contacted", "won", "lost"],
+  won: [],
+  lost: ["contacted"],
+};
+
+/* ------------------------------------------------------------
+   🧲 createLead()
+   @param {{name:string, email:string, phone?:string, business?:string,
+            message?:string, source?:string, ownerId?:number, notes?:string}} lead
+   @param {{createdBy?:string}} [options]
+   @returns {Promise<object>} the stored lead
+------------------------------------------------------------ */
+export async function createLead(
+  { name, email, phone, business, message, source = "contact_form", ownerId, notes },
+  { createdBy = null } = {}
+) {
+  const { rows } = await pool.query(
+    `INSERT INTO leads (name, email, phone, business, message, source, owner_id, notes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *;`,
+    [
+      name.trim(),
+      email.trim().toLowerCase(),
+      phone?.trim() || null,
+      business?.trim() || null,
+      message?.trim() || null,
+      source,
+      ownerId || null,
+      notes?.trim() || null,
+    ]
+  );
+
+  await pool.query(
+    `INSERT INTO lead_stage_history (lead_id, from_stage, to_stage, note, changed_by)
+     VALUES ($1, NULL, 'new', $2, $3);`,
+    [rows[0].id, `Created from ${source}`, createdBy]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Record that the staff notification email for a lead went out.
+ */
+export async function markLeadNotified(leadId) {
+  await pool.query("UPDATE leads SET notified_at = NOW() WHERE id = $1;", [leadId]);
+}
+
+/* ------------------------------------------------------------
+   🔀 changeLeadStage()
+   @returns {Promise<{status:"changed"|"not_found"|"invalid_transition"|"unchanged",
+                      lead?:object, before?:object, allowed?:string[]}>}
+------------------------------------------------------------ */
+export async function changeLeadStage(leadId, stage, { note = null, changedBy = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query("SELECT * FROM leads WHERE id = $1 FOR UPDATE;", [leadId]);
+    if (!rows.length) {
+      await client.query("ROLLBACK");
+      return { status: "not_found" };
+    }
+
+    const before = rows[0];
+    if (before.stage === stage) {
+      await client.query("ROLLBACK");
+      return { status: "unchanged", lead: before };
+    }
+
+    const allowed = LEAD_STAGE_TRANSITIONS[before.stage] || [];
+    if (!allowed.includes(stage)) {
+      await client.query("ROLLBACK");
+      return { status: "invalid_transition", before, allowed };
+    }
+
+    const { rows: updated } = await client.query(
+      `UPDATE leads SET stage = $2, stage_changed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [leadId, stage]
+    );
+    await client.query(
+      `INSERT INTO lead_stage_history (lead_id, from_stage, to_stage, note, changed_by)
+       VALUES ($1, $2, $3, $4, $5);`,
+      [leadId, before.stage, stage, note, changedBy]
+    );
+
+    await client.query("COMMIT");
+    return { status: "changed", lead: updated[0], before };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* ------------------------------------------------------------
+   🤝 convertLead()
+   Creates a customer from the lead (or links customerId), then
+   optionally a draft quote: a pending quote that has not been
+   sent to the customer yet. A lead with a quote moves to
+   "quoted".
+
+   Refuses with "email_exists" when a live customer already uses
+   the lead's email — pass customerId to link to them instead.
+
+   @param {number} leadId
+   @param {{customerId?:number, customer?:object, quote?:object|null, convertedBy?:string}} options
+   @returns {Promise<{status:"converted"|"not_found"|"already_converted"|"customer_not_found"|"email_exists",
+                      lead?:object, before?:object, customer?:object, quote?:object|null, existing_customer_id?:number}>}
+------------------------------------------------------------ */
+export async function convertLead(leadId, { customerId = null, customer = {}, quote = null, convertedBy = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows: leads } = await client.query("SELECT * FROM leads WHERE id = $1 FOR UPDATE;", [leadId]);
+    const lead = leads[0];
+    const fail = async (result) => {
+      await client.query("ROLLBACK");
+      return result;
+    };
+
+    if (!lead) return fail({ status: "not_found" });
+    if (lead.customer_id) return fail({ status: "already_converted", lead });
+
+    let customerRow;
+    if (customerId) {
+      const { rows } = await client.query(
+        "SELECT * FROM customers WHERE id = $1 AND erased_at IS NULL;",
+        [customerId]
+      );
+      if (!rows.length) return fail({ status: "customer_not_found" });
+      customerRow = rows[0];
+    } else {
+      const email = (customer.email || lead.email).trim().toLowerCase();
+      const { rows: existing } = await client.query(
+        "SELECT id FROM customers WHERE LOWER(email) = $1 AND erased_at IS NULL LIMIT 1;",
+        [email]
+      );
+      if (existing.length) return fail({ status: "email_exists", existing_customer_id: existing[0].id });
+
+      // Lead phones come straight from the contact form, so may not normalise
+      const details = normaliseCustomerDetails({
+        phone: customer.phone?.trim() || lead.phone || null,
+        postcode: customer.postcode,
+        vat_number: customer.vat_number,
+      });
+      const { rows } = await client.query(
+        `INSERT INTO customers
+           (business, name, email, phone, address1, address2, city, county, postcode, vat_number, notes,
+            created_at, updated_at)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,NOW(),NOW())
+         RETURNING *;`,
+        [
+          customer.business?.trim() || lead.business || null,
+          customer.name?.trim() || lead.name,
+          email,
+          details.phone || null,
+          customer.address1?.trim() || null,
+          customer.address2?.trim() || null,
+          customer.city?.trim() || null,
+          customer.county?.trim() || null,
+          details.postcode || null,
+          details.vat_number || null,
+          customer.notes?.trim() || lead.notes || null,
+        ]
+      );
+      customerRow = rows[0];
+    }
+
+    let quoteRow = null;
+    if (quote) {
+      const quoteNumber = await nextDocumentNumber(client, "quote", {
+        business: customerRow.business || customerRow.name,
+      });
+      const validUntil = quote.valid_until || defaultValidUntil();
+      const { rows } = await client.query(
+        `INSERT INTO quotes (
+           customer_id, quote_number, title, description, items, deposit, notes,
+           package_id, maintenance_id, custom_price, discount_percent, status, response_token,
+           valid_until, response_token_expires_at, created_at, updated_at
+         )
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'pending',$12,$13,$14,NOW(),NOW())
+         RETURNING *;`,
+        [
+          customerRow.id,
+          quoteNumber,
+          quote.title || `Enquiry from ${customerRow.business || customerRow.name}`,
+          quote.description ?? lead.message ?? "",
+          JSON.stringify(toArray(quote.items)),
+          quote.deposit ?? null,
+          quote.notes || "",
+          quote.package_id || null,
+          quote.maintenance_id || null,
+          quote.custom_price || null,
+          quote.discount_percent || 0,
+          generateResponseToken(),
+          validUntil,
+          tokenExpiresAt(validUntil),
+        ]
+      );
+      quoteRow = rows[0];
+      await recordRevision(client, quoteRow, { createdBy: convertedBy });
+    }
+
+    const nextStage = quoteRow && ["new", "contacted"].includes(lead.stage) ? "quoted" : lead.stage;
+    const { rows: updated } = await client.query(
+      `UPDATE leads
+       SET customer_id = $2, quote_id = COALESCE($3, quote_id), converted_at = NOW(),
+           stage = $4,
+           stage_changed_at = CASE WHEN stage = $4 THEN stage_changed_at ELSE NOW() END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [leadId, customerRow.id, quoteRow?.id ?? null, nextStage]
+    );
+    if (nextStage !== lead.stage) {
+      await client.query(
+        `INSERT INTO lead_stage_history (lead_id, from_stage, to_stage, note, changed_by)
+         VALUES ($1, $2, $3, $4, $5);`,
+        [leadId, lead.stage, nextStage, `Draft quote ${quoteRow.quote_number} created`, convertedBy]
+      );
+    }
+
+    await client.query("COMMIT");
+    return { status: "converted", lead: updated[0], before: lead, customer: customerRow, quote: quoteRow };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
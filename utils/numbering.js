@@ -0,0 +1,149 @@
+/**
+ * ============================================================
+ * PJH Web Services — Document Numbering
+ * ============================================================
+ * Gap-free, collision-free numbers for quotes, invoices,
+ * credit notes and statements, issued from document_sequences.
+ *
+ * Formats come from env (defaults below) and may use:
+ *
+ *   {SEQ} / {SEQ:5}   sequence number, optionally zero-padded
+ *   {YYYY} {YY} {MM}  issue date
+ *   {BUSINESS}        customer business / name, e.g. ACME-LTD
+ *
+ * Every distinct expansion of the non-SEQ tokens is its own
+ * series with its own counter, so INV-{YYYY}-{SEQ:5} restarts
+ * each January and PJH-WS/{BUSINESS}/{SEQ:6} counts per
+ * business. A new series starts after the highest number
+ * already on record for it, so switching formats (or the
+ * move from count-based quote numbers) never reissues one.
+ *
+ * Numbers are gap-free when issued on a transaction client:
+ * the sequence row stays locked until COMMIT / ROLLBACK and a
+ * rollback hands the number back.
+ * ============================================================
+ */
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const DEFAULT_FORMATS = {
+  quote: "PJH-WS/{BUSINESS}/{SEQ:6}",
+  invoice: "INV-{YYYY}-{SEQ:5}",
+  credit_note: "CN-{YYYY}-{SEQ:5}",
+  statement: "ST-{YYYY}-{SEQ:5}",
+};
+
+const FORMAT_ENV = {
+  quote: "QUOTE_NUMBER_FORMAT",
+  invoice: "INVOICE_NUMBER_FORMAT",
+  credit_note: "CREDIT_NOTE_NUMBER_FORMAT",
+  statement: "STATEMENT_NUMBER_FORMAT",
+};
+
+export const DOCUMENT_TYPES = Object.keys(DEFAULT_FORMATS);
+
+const SEQ_TOKEN = /\{SEQ(?::(\d{1,2}))?\}/;
+
+// Numbers already on record, per type — used to seed a new series
+const EXISTING_NUMBERS = {
+  quote: "SELECT quote_number AS number FROM quotes",
+  invoice: `SELECT deposit_invoice_number AS number FROM orders
+            UNION ALL SELECT balance_invoice_number FROM orders`,
+  credit_note: "SELECT credit_note_number AS number FROM payments",
+  statement: "SELECT statement_number AS number FROM customer_statements",
+};
+
+export const DOCUMENT_FORMATS = Object.fromEntries(
+  DOCUMENT_TYPES.map((type) => {
+    const configured = process.env[FORMAT_ENV[type]]?.trim();
+    if (configured && (configured.match(new RegExp(SEQ_TOKEN, "g")) || []).length !== 1) {
+      console.warn(`⚠️ ${FORMAT_ENV[type]} must contain exactly one {SEQ} — using ${DEFAULT_FORMATS[type]}`);
+      return [type, DEFAULT_FORMATS[type]];
+    }
+    return [type, configured || DEFAULT_FORMATS[type]];
+  })
+);
+
+function businessSlug(name) {
+  return (
+    String(name || "")
+      .trim()
+      .replace(/[^a-zA-Z0-9\s-]/g, "")
+      .replace(/\s+/g, "-")
+      .toUpperCase() || "CUSTOMER"
+  );
+}
+
+/**
+ * Expands everything but {SEQ}, e.g. "INV-2026-{SEQ:5}".
+ * @param {string} type - one of DOCUMENT_TYPES
+ * @param {{business?:string, date?:Date}} [context]
+ * @returns {string}
+ */
+export function documentSeries(type, { business = null, date = new Date() } = {}) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return DOCUMENT_FORMATS[type].replace(/\{(YYYY|YY|MM|BUSINESS)\}/g, (_token, name) => {
+    if (name === "YYYY") return String(date.getFullYear());
+    if (name === "YY") return String(date.getFullYear()).slice(-2);
+    if (name === "MM") return pad(date.getMonth() + 1);
+    return businessSlug(business);
+  });
+}
+
+export function formatDocumentNumber(series, seq) {
+  return series.replace(SEQ_TOKEN, (_token, width) => String(seq).padStart(Number(width) || 1, "0"));
+}
+
+// Highest sequence already used in this series (0 if none)
+async function highestExisting(db, type, series) {
+  if (!EXISTING_NUMBERS[type]) return 0;
+
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const [prefix, suffix] = series.split(SEQ_TOKEN).filter((_part, i) => i !== 1);
+  const { rows } = await db.query(
+    `SELECT COALESCE(MAX(SUBSTRING(number FROM $1)::bigint), 0) AS seq
+     FROM (${EXISTING_NUMBERS[type]}) existing
+     WHERE number ~ $1;`,
+    [`^${escape(prefix)}(\\d{1,18})${escape(suffix)}$`]
+  );
+  return Number(rows[0].seq);
+}
+
+/* ------------------------------------------------------------
+   🔢 nextDocumentNumber()
+   Pass a client mid-transaction and write the number in that
+   same transaction; with the pool the number is committed
+   straight away and a later failure leaves a gap.
+   @param {import("pg").Pool|import("pg").PoolClient} db
+   @param {string} type - one of DOCUMENT_TYPES
+   @param {{business?:string, date?:Date}} [context]
+   @returns {Promise<string>}
+------------------------------------------------------------ */
+export async function nextDocumentNumber(db, type, context = {}) {
+  if (!DOCUMENT_FORMATS[type]) throw new Error(`Unknown document type "${type}"`);
+
+  const series = documentSeries(type, context);
+  let { rows } = await db.query(
+    `UPDATE document_sequences
+     SET last_value = last_value + 1, updated_at = NOW()
+     WHERE doc_type = $1 AND series = $2
+     RETURNING last_value;`,
+    [type, series]
+  );
+
+  if (!rows.length) {
+    const seed = await highestExisting(db, type, series);
+    ({ rows } = await db.query(
+      `INSERT INTO document_sequences (doc_type, series, last_value)
+       VALUES ($1, $2, $3::bigint + 1)
+       ON CONFLICT (doc_type, series)
+       DO UPDATE SET last_value = document_sequences.last_value + 1, updated_at = NOW()
+       RETURNING last_value;`,
+      [type, series, seed]
+    ));
+  }
+
+  return formatDocumentNumber(series, rows[0].last_value);
+}
@@ -0,0 +1,34 @@
+/**
+ * ============================================================
+ * PJH Web Services — Document Numbering Tests
+ * ============================================================
+ * Series expansion and number formatting with the default
+ * formats. Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DOCUMENT_FORMATS, documentSeries, formatDocumentNumber } from "./numbering.js";
+
+const date = new Date(2026, 2, 14);
+const customFormats = ["QUOTE", "INVOICE", "CREDIT_NOTE"].some((t) => process.env[`${t}_NUMBER_FORMAT`]);
+
+test("every document type has exactly one {SEQ}", () => {
+  for (const [type, format] of Object.entries(DOCUMENT_FORMATS)) {
+    assert.equal(format.match(/\{SEQ(?::\d{1,2})?\}/g)?.length, 1, type);
+  }
+});
+
+test("documentSeries expands date and business tokens", { skip: customFormats && "custom formats set" }, () => {
+  assert.equal(documentSeries("invoice", { date }), "INV-2026-{SEQ:5}");
+  assert.equal(documentSeries("credit_note", { date }), "CN-2026-{SEQ:5}");
+  assert.equal(documentSeries("quote", { business: "Acme & Sons Ltd.", date }), "PJH-WS/ACME-SONS-LTD/{SEQ:6}");
+  assert.equal(documentSeries("quote", { business: "  ", date }), "PJH-WS/CUSTOMER/{SEQ:6}");
+});
+
+test("formatDocumentNumber pads to the {SEQ} width", () => {
+  assert.equal(formatDocumentNumber("INV-2026-{SEQ:5}", 42), "INV-2026-00042");
+  assert.equal(formatDocumentNumber("INV-2026-{SEQ:5}", 123456), "INV-2026-123456");
+  assert.equal(formatDocumentNumber("ST/{SEQ}", 7), "ST/7");
+});
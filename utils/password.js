@@ -0,0 +1,50 @@
+/**
+ * ============================================================
+ * PJH Web Services — Password Hashing Utility
+ * ============================================================
+ * scrypt-based hashing for admin user passwords (no native deps).
+ *
+ * Stored format:
+ *   scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+ * ============================================================
+ */
+
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const N = 16384;
+const R = 8;
+const P = 1;
+const KEY_LEN = 64;
+
+/**
+ * Hash a plain-text password.
+ * @param {string} password
+ * @returns {Promise<string>} Encoded hash string
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, KEY_LEN, { N, r: R, p: P });
+  return ["scrypt", N, R, P, salt.toString("hex"), hash.toString("hex")].join("$");
+}
+
+/**
+ * Verify a plain-text password against an encoded hash.
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, encoded) {
+  const parts = String(encoded || "").split("$");
+  if (parts.length !== 6 || parts[0] !== "scrypt") return false;
+
+  const [, n, r, p, saltHex, hashHex] = parts;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scryptAsync(String(password), Buffer.from(saltHex, "hex"), expected.length, {
+    N: Number(n),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
@@ -11,6 +11,7 @@
 import fs from "fs";
 import path from "path";
 import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { formatVatNumber } from "./ukFormats.js";
 
 // -----------------------------------------------------------------------------
 // BRAND COLOURS
@@ -129,13 +130,18 @@ export async function generateQuotePDF(row) {
 
   // Meta info
   const issued = new Date(row.created_at || Date.now());
-  drawText(page, `Quote # ${row.quote_number || row.id}`, margin, y, h1, bold);
+  const revision = Number(row.revision ?? row.current_revision) || 1;
+  const revisionLabel = revision > 1 ? ` (v${revision})` : "";
+  drawText(page, `Quote # ${row.quote_number || row.id}${revisionLabel}`, margin, y, h1, bold);
   y -= 18;
   drawText(page, `Date: ${issued.toLocaleDateString()}`, margin, y, bodySize, font);
   y -= 14;
+  const validUntil = row.valid_until
+    ? new Date(typeof row.valid_until === "string" ? `${row.valid_until.slice(0, 10)}T00:00:00` : row.valid_until)
+    : new Date(issued.getTime() + 90 * 86400000);
   drawText(
     page,
-    `Valid Until: ${new Date(issued.getTime() + 90 * 86400000).toLocaleDateString()}`,
+    `Valid Until: ${validUntil.toLocaleDateString()}`,
     margin,
     y,
     bodySize,
@@ -144,7 +150,7 @@ export async function generateQuotePDF(row) {
 
   // Customer Box
   const blockW = 270;
-  const blockH = 130;
+  const blockH = row.vat_number ? 142 : 130;
   const blockX = width - margin - blockW;
   const blockY = y - 6 - blockH;
 
@@ -183,7 +189,13 @@ export async function generateQuotePDF(row) {
     drawText(page, email, blockX + 10, yBlock, bodySize, font);
     yBlock -= 12;
   }
-  if (phone) drawText(page, phone, blockX + 10, yBlock, bodySize, font);
+  if (phone) {
+    drawText(page, phone, blockX + 10, yBlock, bodySize, font);
+    yBlock -= 12;
+  }
+  if (row.vat_number) {
+    drawText(page, `VAT No: ${formatVatNumber(row.vat_number)}`, blockX + 10, yBlock, bodySize, font);
+  }
 
   // ---------------------------------------------------------------------------
   // Project + Description
@@ -364,7 +376,7 @@ export async function generateQuotePDF(row) {
     row.customer_business || row.customer_name || row.business || row.name || "Customer"
   );
   const qno = sanitizeFilename(row.quote_number || row.id);
-  const fileName = `PJH_Web_Services_${nameForFile}_Quote_${qno}.pdf`;
+  const fileName = `PJH_Web_Services_${nameForFile}_Quote_${qno}${revision > 1 ? `_v${revision}` : ""}.pdf`;
   const outPath = path.join(outDir, fileName);
 
   fs.writeFileSync(outPath, await pdfDoc.save());
@@ -0,0 +1,92 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Portal Sessions
+ * ============================================================
+ * Passwordless access for clients:
+ *   • One-time magic links (15 min, single use)
+ *   • Server-side portal sessions scoped to one customer_id
+ * Only SHA-256 hashes of tokens are stored.
+ * ============================================================
+ */
+
+import dotenv from "dotenv";
+import pool from "../db.js";
+import { generateResponseToken, hashToken } from "./token.js";
+
+dotenv.config();
+
+export const PORTAL_COOKIE = "pjh_portal";
+
+const MAGIC_LINK_TTL_MS = (Number(process.env.PORTAL_LINK_TTL_MINUTES) || 15) * 60000;
+export const PORTAL_SESSION_TTL_MS =
+  (Number(process.env.PORTAL_SESSION_TTL_HOURS) || 24) * 3600000;
+
+/* ------------------------------------------------------------
+   Magic links
+------------------------------------------------------------ */
+
+/**
+ * Create a one-time login link token for a customer.
+ * @returns {Promise<string>} Plain token to embed in the emailed link
+ */
+export async function createMagicLink(customerId, { ip } = {}) {
+  const token = generateResponseToken();
+  await pool.query(
+    `INSERT INTO customer_magic_links (customer_id, token_hash, ip, expires_at, created_at)
+     VALUES ($1,$2,$3,$4,NOW())`,
+    [customerId, hashToken(token), ip || null, new Date(Date.now() + MAGIC_LINK_TTL_MS)]
+  );
+  return token;
+}
+
+/**
+ * Burn a magic link token.
+ * @returns {Promise<number|null>} The customer ID, or null if unknown / used / expired.
+ */
+export async function consumeMagicLink(token) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `UPDATE customer_magic_links
+       SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING customer_id`,
+    [hashToken(token)]
+  );
+  return rows[0]?.customer_id ?? null;
+}
+
+/* ------------------------------------------------------------
+   Portal sessions
+------------------------------------------------------------ */
+
+export async function createPortalSession(customerId, { ip, userAgent } = {}) {
+  const token = generateResponseToken();
+  const expiresAt = new Date(Date.now() + PORTAL_SESSION_TTL_MS);
+  await pool.query(
+    `INSERT INTO customer_sessions (customer_id, token_hash, ip, user_agent, expires_at, created_at)
+     VALUES ($1,$2,$3,$4,$5,NOW())`,
+    [customerId, hashToken(token), ip || null, userAgent || null, expiresAt]
+  );
+  return { token, expiresAt };
+}
+
+/**
+ * @returns {Promise<object|null>} Live session row (includes customer_id), or null.
+ */
+export async function verifyPortalSession(token) {
+  if (!token) return null;
+  const { rows } = await pool.query(
+    `SELECT * FROM customer_sessions
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+export async function revokePortalSession(token) {
+  if (!token) return;
+  await pool.query(
+    "UPDATE customer_sessions SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL",
+    [hashToken(token)]
+  );
+}
@@ -0,0 +1,181 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Validity, Expiry & Reminders
+ * ============================================================
+ * Every quote gets a valid_until date (QUOTE_VALID_DAYS after
+ * creation unless one is given). runQuoteExpiryJob() runs on a
+ * timer in index.js and:
+ *
+ *   • emails the client QUOTE_REMINDER_DAYS before expiry
+ *     (e.g. "7,1" → a week before and the day before)
+ *   • moves quotes past valid_until to status "expired"
+ *
+ * Both steps write quote_history. Reminders are claimed in
+ * quote_reminders before sending, keyed on the validity date,
+ * so a renewed quote gets a fresh set and two app instances
+ * never send the same one.
+ * ============================================================
+ */
+
+import dotenv from "dotenv";
+import pool from "../db.js";
+import { sendEmail } from "./email.js";
+import { resolveRecipient, recipientLabel } from "./customerContacts.js";
+import { quoteReminderTemplate } from "./emailTemplates.js";
+import { quoteResponseLink } from "./quoteTokens.js";
+
+dotenv.config();
+
+export const QUOTE_VALID_DAYS = Number(process.env.QUOTE_VALID_DAYS) || 30;
+
+export const QUOTE_REMINDER_DAYS = String(process.env.QUOTE_REMINDER_DAYS ?? "7,1")
+  .split(",")
+  .map((d) => Number(d.trim()))
+  .filter((d) => Number.isInteger(d) && d >= 0)
+  .sort((a, b) => a - b);
+
+// Statuses still waiting on the client
+const OPEN_STATUSES = ["pending", "amend_requested"];
+
+/**
+ * Default valid_until (YYYY-MM-DD) for a quote issued today.
+ */
+export function defaultValidUntil(from = new Date(), days = QUOTE_VALID_DAYS) {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/* ------------------------------------------------------------
+   ⌛ expireOverdueQuotes()
+   @returns {Promise<object[]>} quotes moved to expired
+------------------------------------------------------------ */
+export async function expireOverdueQuotes() {
+  const { rows } = await pool.query(
+    `WITH expired AS (
+       UPDATE quotes
+       SET status = 'expired', updated_at = NOW()
+       WHERE status = ANY($1::text[])
+         AND valid_until < CURRENT_DATE
+       RETURNING id, quote_number, customer_id, valid_until
+     ), logged AS (
+       INSERT INTO quote_history (quote_id, action, actor, created_at)
+       SELECT id, 'expired', 'system', NOW() FROM expired
+     )
+     SELECT * FROM expired;`,
+    [OPEN_STATUSES]
+  );
+  return rows;
+}
+
+/* ------------------------------------------------------------
+   🔔 sendQuoteReminders()
+   A quote due in N days gets the reminder for the smallest
+   configured interval ≥ N, so a missed run catches up with one
+   email rather than several. Quotes issued in the last day are
+   left alone (the client has only just received them).
+   @returns {Promise<{sent:number, failed:number}>}
+------------------------------------------------------------ */
+export async function sendQuoteReminders() {
+  const result = { sent: 0, failed: 0 };
+  if (!QUOTE_REMINDER_DAYS.length) return result;
+
+  const { rows: quotes } = await pool.query(
+    `SELECT q.id, q.customer_id, q.quote_number, q.title, q.response_token,
+            q.valid_until::text AS valid_until,
+            (q.valid_until - CURRENT_DATE) AS days_left
+     FROM quotes q
+     WHERE q.status = ANY($1::text[])
+       AND q.valid_until BETWEEN CURRENT_DATE AND CURRENT_DATE + $2::int
+       AND q.created_at < NOW() - INTERVAL '1 day'
+       AND q.response_token IS NOT NULL
+       AND q.response_token_revoked_at IS NULL
+       AND q.response_token_used_at IS NULL;`,
+    [OPEN_STATUSES, QUOTE_REMINDER_DAYS[QUOTE_REMINDER_DAYS.length - 1]]
+  );
+
+  for (const quote of quotes) {
+    const daysBefore = QUOTE_REMINDER_DAYS.find((d) => d >= quote.days_left);
+
+    // Claim first; skip if this (or a later, closer) reminder already went out
+    const { rows: claimed } = await pool.query(
+      `INSERT INTO quote_reminders (quote_id, valid_until, days_before)
+       SELECT $1, $2::date, $3
+       WHERE NOT EXISTS (
+         SELECT 1 FROM quote_reminders
+         WHERE quote_id = $1 AND valid_until = $2::date AND days_before <= $3
+       )
+       ON CONFLICT (quote_id, valid_until, days_before) DO NOTHING
+       RETURNING id;`,
+      [quote.id, quote.valid_until, daysBefore]
+    );
+    if (!claimed.length) continue;
+
+    try {
+      const recipient = await resolveRecipient(quote.customer_id, "quote");
+      if (!recipient?.email) throw new Error("Customer has no email address.");
+
+      await sendEmail({
+        to: recipient.email,
+        subject: `Reminder: your quote ${quote.quote_number} expires ${
+          quote.days_left === 0 ? "today" : quote.days_left === 1 ? "tomorrow" : `in ${quote.days_left} days`
+        }`,
+        html: quoteReminderTemplate({
+          customerName: recipient.name,
+          quoteNumber: quote.quote_number,
+          title: quote.title,
+          validUntil: quote.valid_until,
+          daysLeft: quote.days_left,
+          link: quoteResponseLink(quote.response_token),
+        }),
+      });
+
+      await pool.query(
+        `UPDATE quote_reminders SET sent_to = $2, sent_at = NOW() WHERE id = $1;`,
+        [claimed[0].id, recipient.email]
+      );
+      await pool.query(
+        `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
+         VALUES ($1, 'reminder_sent', $2, 'system', NOW());`,
+        [quote.id, `${quote.days_left} day(s) before expiry, to ${recipientLabel(recipient)}`]
+      );
+      result.sent++;
+    } catch (err) {
+      // Release the claim so the next run retries
+      await pool.query("DELETE FROM quote_reminders WHERE id = $1;", [claimed[0].id]).catch(() => {});
+      console.error(`❌ [Quotes] Reminder for ${quote.quote_number} failed:`, err.message);
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+/* ------------------------------------------------------------
+   ⏰ runQuoteExpiryJob()
+   Reminders first, so a quote expiring today still gets its
+   same-day reminder. Never throws — safe to call from a timer.
+   @returns {Promise<{reminded:number, failed:number, expired:number}>}
+------------------------------------------------------------ */
+export async function runQuoteExpiryJob() {
+  const summary = { reminded: 0, failed: 0, expired: 0 };
+  try {
+    const reminders = await sendQuoteReminders();
+    summary.reminded = reminders.sent;
+    summary.failed = reminders.failed;
+
+    const expired = await expireOverdueQuotes();
+    summary.expired = expired.length;
+
+    if (summary.reminded || summary.failed || summary.expired) {
+      console.log(
+        `⏰ [Quotes] Expiry job: ${summary.reminded} reminder(s) sent, ` +
+          `${summary.failed} failed, ${summary.expired} quote(s) expired`
+      );
+    }
+  } catch (err) {
+    console.error("❌ [Quotes] Expiry job failed:", err);
+  }
+  return summary;
+}
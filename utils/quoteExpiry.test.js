@@ -0,0 +1,23 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Validity Tests
+ * ============================================================
+ * Default valid_until dates and reminder day parsing.
+ * Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { defaultValidUntil, QUOTE_REMINDER_DAYS } from "./quoteExpiry.js";
+
+test("defaultValidUntil adds the validity period as a local date", () => {
+  assert.equal(defaultValidUntil(new Date(2026, 0, 15), 30), "2026-02-14");
+  assert.equal(defaultValidUntil(new Date(2026, 11, 20), 14), "2027-01-03");
+  assert.equal(defaultValidUntil(new Date(2028, 1, 1), 28), "2028-02-29");
+});
+
+test("reminder days are whole, non-negative and ascending", () => {
+  for (const days of QUOTE_REMINDER_DAYS) assert.ok(Number.isInteger(days) && days >= 0);
+  assert.deepEqual(QUOTE_REMINDER_DAYS, [...QUOTE_REMINDER_DAYS].sort((a, b) => a - b));
+});
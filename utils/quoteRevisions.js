@@ -0,0 +1,273 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Revisions
+ * ============================================================
+ * A quote keeps one quote_number and response link for life,
+ * but every amendment becomes a new revision (v1, v2, …) in
+ * quote_revisions with its own items, pricing and PDF.
+ *
+ * The quotes row always mirrors the latest revision, so the
+ * token page, order creation and reporting keep reading
+ * quotes as before. Older revisions are read-only history.
+ *
+ *   • recordRevision()  → snapshot a quote row as its current revision
+ *   • reviseQuote()     → apply changes as the next revision
+ *   • diffRevisions()   → line-item + pricing differences
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { TERMINAL_STATUSES, tokenExpiresAt } from "./quoteTokens.js";
+import { toArray, lineTotal, quoteTotals } from "./quotes.js";
+
+// Quote columns that belong to a revision
+export const REVISION_FIELDS = [
+  "title",
+  "description",
+  "items",
+  "deposit",
+  "notes",
+  "package_id",
+  "maintenance_id",
+  "custom_price",
+  "discount_percent",
+  "valid_until",
+];
+
+const round = (n) => Math.round(n * 100) / 100;
+const pad = (n) => String(n).padStart(2, "0");
+
+// DATE columns come back as local-midnight Date objects
+function dateText(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+/* ------------------------------------------------------------
+   📸 recordRevision()
+   Stores the quote row as revision quote.current_revision.
+   Pass a transaction client when called mid-transaction.
+   @returns {Promise<object|null>} revision row (null if it already exists)
+------------------------------------------------------------ */
+export async function recordRevision(db, quote, { createdBy = null, note = null } = {}) {
+  const { rows } = await db.query(
+    `INSERT INTO quote_revisions (
+       quote_id, revision, title, description, items, deposit, notes,
+       package_id, maintenance_id, custom_price, discount_percent, valid_until,
+       change_note, created_by
+     )
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+     ON CONFLICT (quote_id, revision) DO NOTHING
+     RETURNING *;`,
+    [
+      quote.id,
+      quote.current_revision || 1,
+      quote.title,
+      quote.description,
+      JSON.stringify(toArray(quote.items)),
+      quote.deposit,
+      quote.notes,
+      quote.package_id,
+      quote.maintenance_id,
+      quote.custom_price,
+      quote.discount_percent,
+      dateText(quote.valid_until),
+      note,
+      createdBy,
+    ]
+  );
+  return rows[0] || null;
+}
+
+/* ------------------------------------------------------------
+   📋 Lookups
+------------------------------------------------------------ */
+export async function getQuoteRevisions(quoteId) {
+  const { rows } = await pool.query(
+    "SELECT * FROM quote_revisions WHERE quote_id = $1 ORDER BY revision ASC;",
+    [quoteId]
+  );
+  return rows.map((r) => ({ ...r, items: toArray(r.items), totals: quoteTotals(r) }));
+}
+
+export async function getQuoteRevision(quoteId, revision) {
+  const { rows } = await pool.query(
+    "SELECT * FROM quote_revisions WHERE quote_id = $1 AND revision = $2;",
+    [quoteId, revision]
+  );
+  if (!rows.length) return null;
+  return { ...rows[0], items: toArray(rows[0].items), totals: quoteTotals(rows[0]) };
+}
+
+/* ------------------------------------------------------------
+   🔍 diffRevisions()
+   Items are matched on name (case / whitespace-insensitive);
+   repeated names pair up in order.
+   @returns {{changed:boolean, items:{added:object[], removed:object[], changed:object[]},
+              pricing:object, fields:object[]}}
+------------------------------------------------------------ */
+function describeItem(item) {
+  return {
+    name: item.name,
+    qty: Number(item.qty) || 1,
+    unit_price: Number(item.unit_price ?? item.price ?? 0),
+    discount_percent: Number(item.discount_percent) || 0,
+    total: round(lineTotal(item)),
+  };
+}
+
+export function diffRevisions(from, to) {
+  const key = (item) => String(item?.name || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+  const remaining = new Map();
+  for (const item of toArray(from.items)) {
+    const list = remaining.get(key(item)) || [];
+    list.push(describeItem(item));
+    remaining.set(key(item), list);
+  }
+
+  const items = { added: [], removed: [], changed: [] };
+  for (const item of toArray(to.items)) {
+    const next = describeItem(item);
+    const previous = remaining.get(key(item))?.shift();
+    if (!previous) {
+      items.added.push(next);
+      continue;
+    }
+    const differs = ["qty", "unit_price", "discount_percent"].some((f) => previous[f] !== next[f]);
+    if (differs || previous.name !== next.name) {
+      items.changed.push({ name: next.name, from: previous, to: next, change: round(next.total - previous.total) });
+    }
+  }
+  for (const list of remaining.values()) items.removed.push(...list);
+
+  const before = quoteTotals(from);
+  const after = quoteTotals(to);
+  const pricing = Object.fromEntries(
+    Object.keys(after).map((field) => [
+      field,
+      { from: before[field], to: after[field], change: round(after[field] - before[field]) },
+    ])
+  );
+
+  const normalise = (field, value) =>
+    field === "valid_until"
+      ? dateText(value)
+      : value === "" || value === undefined
+      ? null
+      : ["package_id", "maintenance_id", "custom_price"].includes(field) && value !== null
+      ? Number(value)
+      : value;
+  const fields = ["title", "description", "notes", "package_id", "maintenance_id", "custom_price", "valid_until"]
+    .map((field) => ({ field, from: normalise(field, from[field]), to: normalise(field, to[field]) }))
+    .filter((f) => f.from !== f.to);
+
+  const changed =
+    items.added.length > 0 ||
+    items.removed.length > 0 ||
+    items.changed.length > 0 ||
+    fields.length > 0 ||
+    Object.values(pricing).some((p) => p.change !== 0);
+
+  return { changed, items, pricing, fields };
+}
+
+/* ------------------------------------------------------------
+   ✏️ reviseQuote()
+   Applies changes (any REVISION_FIELDS; omitted fields carry
+   over) as the next revision. An amend_requested or expired
+   quote goes back to pending; the response link stays the
+   same, so the client sees the new revision straight away.
+   action is the quote_history entry ("revised", "renewed").
+
+   Accepted / rejected / converted quotes are locked — reissue
+   the link first to re-open a rejected one.
+
+   @returns {Promise<{status:"revised"|"not_found"|"locked"|"unchanged",
+                      quote?:object, revision?:object, before?:object, diff?:object}>}
+------------------------------------------------------------ */
+export async function reviseQuote(quoteId, changes, { createdBy = null, note = null, action = "revised" } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query("SELECT * FROM quotes WHERE id = $1 FOR UPDATE;", [quoteId]);
+    const before = rows[0];
+    const fail = async (result) => {
+      await client.query("ROLLBACK");
+      return result;
+    };
+
+    if (!before) return fail({ status: "not_found" });
+
+    const { rows: orders } = await client.query("SELECT id FROM orders WHERE quote_id = $1 LIMIT 1;", [
+      quoteId,
+    ]);
+    if (TERMINAL_STATUSES.includes(before.status) || orders.length) {
+      return fail({ status: "locked", before });
+    }
+
+    const next = Object.fromEntries(
+      REVISION_FIELDS.map((field) => [field, changes[field] !== undefined ? changes[field] : before[field]])
+    );
+    const diff = diffRevisions(before, next);
+    if (!diff.changed) return fail({ status: "unchanged", quote: before });
+
+    const validUntil = dateText(next.valid_until);
+    const validityChanged = validUntil !== dateText(before.valid_until);
+
+    const { rows: updated } = await client.query(
+      `UPDATE quotes
+       SET title = $2, description = $3, items = $4, deposit = $5, notes = $6,
+           package_id = $7, maintenance_id = $8, custom_price = $9, discount_percent = $10,
+           valid_until = $11,
+           response_token_expires_at = CASE WHEN $12::boolean THEN $13 ELSE response_token_expires_at END,
+           current_revision = current_revision + 1,
+           status = 'pending',
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *;`,
+      [
+        quoteId,
+        next.title || "",
+        next.description || "",
+        JSON.stringify(toArray(next.items)),
+        next.deposit ?? null,
+        next.notes || "",
+        next.package_id || null,
+        next.maintenance_id || null,
+        next.custom_price || null,
+        next.discount_percent || 0,
+        validUntil,
+        validityChanged,
+        tokenExpiresAt(validUntil),
+      ]
+    );
+    const quote = updated[0];
+    const revision = await recordRevision(client, quote, { createdBy, note });
+
+    await client.query(
+      `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
+       VALUES ($1, $2, $3, $4, NOW());`,
+      [quoteId, action, note, createdBy || "admin"]
+    );
+
+    await client.query("COMMIT");
+    return {
+      status: "revised",
+      quote,
+      revision: { ...revision, items: toArray(revision.items), totals: quoteTotals(revision) },
+      before,
+      diff,
+    };
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Revision Diff Tests
+ * ============================================================
+ * diffRevisions() and the quoteTotals() maths it compares.
+ * Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffRevisions } from "./quoteRevisions.js";
+import { quoteTotals } from "./quotes.js";
+
+const base = {
+  title: "Website rebuild",
+  valid_until: "2026-03-31",
+  deposit: 100,
+  items: [
+    { name: "Design", qty: 1, unit_price: 300 },
+    { name: "Hosting", qty: 12, unit_price: 10 },
+  ],
+};
+
+test("quoteTotals applies line then global discounts", () => {
+  const totals = quoteTotals({
+    items: [{ name: "Build", qty: 2, unit_price: 100, discount_percent: 10 }],
+    discount_percent: 50,
+  });
+  assert.deepEqual(totals, { subtotal: 180, discount_percent: 50, total: 90, deposit: 45, balance: 45 });
+});
+
+test("identical revisions are unchanged", () => {
+  const diff = diffRevisions(base, structuredClone(base));
+  assert.equal(diff.changed, false);
+  assert.deepEqual(diff.fields, []);
+});
+
+test("items match on name regardless of case and spacing", () => {
+  const diff = diffRevisions(base, {
+    ...base,
+    items: [
+      { name: "  design ", qty: 1, unit_price: 350 },
+      { name: "SEO", qty: 1, unit_price: 80 },
+    ],
+  });
+
+  assert.equal(diff.changed, true);
+  assert.deepEqual(diff.items.added.map((i) => i.name), ["SEO"]);
+  assert.deepEqual(diff.items.removed.map((i) => i.name), ["Hosting"]);
+  assert.equal(diff.items.changed.length, 1);
+  assert.equal(diff.items.changed[0].change, 50);
+  assert.equal(diff.pricing.total.change, 10);
+});
+
+test("field changes compare dates by day", () => {
+  const diff = diffRevisions(base, { ...base, title: "Website refresh", valid_until: new Date("2026-03-31T00:00:00") });
+  assert.deepEqual(diff.fields, [{ field: "title", from: "Website rebuild", to: "Website refresh" }]);
+});
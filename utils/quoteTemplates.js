@@ -0,0 +1,50 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Templates
+ * ============================================================
+ * Reusable starting points for quotes: a title, description,
+ * bundle of line items, default deposit % and linked package /
+ * maintenance plan. Managed via /api/quote-templates.
+ *
+ * POST /api/customers/:id/quotes with template_id copies the
+ * template into a normal quote (fields sent with the request
+ * win), which is then edited through revisions like any other.
+ * Later template edits never touch quotes already created.
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { toArray, quoteTotals } from "./quotes.js";
+
+export async function findQuoteTemplate(id) {
+  const { rows } = await pool.query("SELECT * FROM quote_templates WHERE id = $1;", [id]);
+  if (!rows.length) return null;
+  return { ...rows[0], items: toArray(rows[0].items) };
+}
+
+/* ------------------------------------------------------------
+   🧩 applyQuoteTemplate()
+   Merges request fields over the template. The deposit is the
+   template's percentage of the final total unless one is given.
+   @returns {object} quote fields, ready for the quotes INSERT
+------------------------------------------------------------ */
+export function applyQuoteTemplate(template, input = {}) {
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : fallback);
+
+  const quote = {
+    ...input,
+    title: pick("title", template.title),
+    description: pick("description", template.description),
+    items: pick("items", toArray(template.items).map((item) => ({ ...item }))),
+    notes: pick("notes", template.notes),
+    package_id: pick("package_id", template.package_id),
+    maintenance_id: pick("maintenance_id", template.maintenance_id),
+  };
+
+  if (input.deposit === undefined && template.deposit_percent != null) {
+    const { total } = quoteTotals({ ...quote, deposit: 0 });
+    quote.deposit = Math.round(total * Number(template.deposit_percent)) / 100;
+  }
+
+  return quote;
+}
@@ -0,0 +1,202 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Response Tokens
+ * ============================================================
+ * Tokenised quote links are single-purpose and expiring:
+ *   • Expire at the end of the quote's valid_until date
+ *     (or QUOTE_TOKEN_TTL_DAYS after issue when none is set),
+ *     or once the expiry job marks the quote expired
+ *   • Burn once a terminal response (accept / reject) is given
+ *   • Can be revoked or reissued by an admin
+ *   • Each successful open is logged as a "viewed" event
+ *
+ * Shared by /api/quotes/by-token/* and /api/responses/*.
+ * ============================================================
+ */
+
+import dotenv from "dotenv";
+import pool from "../db.js";
+import { generateResponseToken } from "./token.js";
+
+dotenv.config();
+
+const TOKEN_TTL_DAYS = Number(process.env.QUOTE_TOKEN_TTL_DAYS) || 30;
+const FRONTEND_URL = process.env.FRONTEND_URL || "https://www.pjhwebservices.co.uk";
+
+// Responses that close the quote to further client changes
+export const TERMINAL_STATUSES = ["accepted", "rejected", "closed"];
+
+/* ------------------------------------------------------------
+   📅 tokenExpiresAt()
+   End of the valid_until day, or now + TTL when not set.
+------------------------------------------------------------ */
+export function tokenExpiresAt(validUntil) {
+  if (validUntil) {
+    const end = new Date(validUntil);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+  return new Date(Date.now() + TOKEN_TTL_DAYS * 86400000);
+}
+
+/**
+ * Client-facing page for a response token.
+ */
+export function quoteResponseLink(token) {
+  return `${FRONTEND_URL}/quote/${token}`;
+}
+
+/* ------------------------------------------------------------
+   🔑 issueResponseToken()
+   Generates a fresh token for a quote, replacing any old one.
+   @returns {Promise<object|null>} Updated quote row
+------------------------------------------------------------ */
+export async function issueResponseToken(quoteId, { validUntil } = {}) {
+  const { rows: current } = await pool.query(
+    "SELECT valid_until FROM quotes WHERE id = $1;",
+    [quoteId]
+  );
+  if (!current.length) return null;
+
+  const until = validUntil ?? current[0].valid_until;
+  const { rows } = await pool.query(
+    `
+    UPDATE quotes
+    SET response_token = $2,
+        response_token_expires_at = $3,
+        response_token_used_at = NULL,
+        response_token_revoked_at = NULL,
+        valid_until = $4,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [quoteId, generateResponseToken(), tokenExpiresAt(until), until || null]
+  );
+  return rows[0] || null;
+}
+
+/* ------------------------------------------------------------
+   🚫 revokeResponseToken()
+   @returns {Promise<object|null>} Updated quote row
+------------------------------------------------------------ */
+export async function revokeResponseToken(quoteId) {
+  const { rows } = await pool.query(
+    `
+    UPDATE quotes
+    SET response_token_revoked_at = COALESCE(response_token_revoked_at, NOW()),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [quoteId]
+  );
+  return rows[0] || null;
+}
+
+/* ------------------------------------------------------------
+   🔍 resolveResponseToken()
+   @returns {Promise<{quote?:object, error?:{status:number, reason:string, message:string}}>}
+------------------------------------------------------------ */
+export async function resolveResponseToken(token) {
+  const { rows } = await pool.query("SELECT * FROM quotes WHERE response_token = $1;", [token]);
+  const quote = rows[0];
+
+  if (!quote) {
+    return { error: { status: 404, reason: "not_found", message: "Quote not found." } };
+  }
+  if (quote.response_token_revoked_at) {
+    return {
+      error: { status: 410, reason: "revoked", message: "This quote link is no longer valid." },
+    };
+  }
+  const expired = {
+    status: 410,
+    reason: "expired",
+    message: "This quote has expired. Please contact us for an updated quote.",
+  };
+  if (quote.status === "expired") return { error: expired };
+  if (quote.response_token_used_at || TERMINAL_STATUSES.includes(quote.status)) {
+    const outcome = quote.status === "closed" ? "converted to an order" : quote.status;
+    return {
+      error: { status: 410, reason: "used", message: `This quote has already been ${outcome}.` },
+    };
+  }
+
+  const expiresAt = quote.response_token_expires_at
+    ? new Date(quote.response_token_expires_at)
+    : null;
+  const pastValidity = quote.valid_until && tokenExpiresAt(quote.valid_until) < new Date();
+  if ((expiresAt && expiresAt < new Date()) || pastValidity) return { error: expired };
+
+  return { quote };
+}
+
+/* ------------------------------------------------------------
+   👀 recordQuoteView()
+   Logs a client open of the quote page. Never throws — a
+   failed log must not stop the client seeing their quote.
+------------------------------------------------------------ */
+export async function recordQuoteView(quoteId) {
+  try {
+    await pool.query(
+      `INSERT INTO quote_history (quote_id, action, actor, created_at)
+       VALUES ($1, 'viewed', 'client', NOW());`,
+      [quoteId]
+    );
+  } catch (err) {
+    console.error(`⚠️ Failed to log view of quote #${quoteId}:`, err.message);
+  }
+}
+
+/* ------------------------------------------------------------
+   ✍️ respondToQuote()
+   Applies a client response via token and logs quote_history.
+   Terminal responses burn the token in the same UPDATE so two
+   concurrent clicks cannot both succeed.
+   @param {"accepted"|"rejected"|"amend_requested"} status
+------------------------------------------------------------ */
+export async function respondToQuote(token, { status, feedback = null, actor = "client" }) {
+  const resolved = await resolveResponseToken(token);
+  if (resolved.error) return resolved;
+
+  const terminal = TERMINAL_STATUSES.includes(status);
+  const { rows } = await pool.query(
+    `
+    UPDATE quotes
+    SET status = $2,
+        feedback = CASE WHEN $3::boolean THEN $4 ELSE feedback END,
+        response_token_used_at = CASE WHEN $5::boolean THEN NOW() ELSE NULL END,
+        updated_at = NOW()
+    WHERE id = $1
+      AND response_token = $6
+      AND response_token_used_at IS NULL
+      AND response_token_revoked_at IS NULL
+    RETURNING *;
+    `,
+    [resolved.quote.id, status, status !== "accepted", feedback, terminal, token]
+  );
+
+  if (!rows.length) {
+    return {
+      error: { status: 410, reason: "used", message: "This quote link has already been used." },
+    };
+  }
+
+  await pool.query(
+    `INSERT INTO quote_history (quote_id, action, feedback, actor, created_at)
+     VALUES ($1, $2, $3, $4, NOW());`,
+    [rows[0].id, status, feedback, actor]
+  );
+
+  return { quote: rows[0] };
+}
+
+/* ------------------------------------------------------------
+   📤 sendTokenError() — 404 / 410 in the token routes' shape
+------------------------------------------------------------ */
+export function sendTokenError(res, error) {
+  return res
+    .status(error.status)
+    .json({ success: false, message: error.message, reason: error.reason });
+}
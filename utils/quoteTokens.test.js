@@ -0,0 +1,30 @@
+/**
+ * ============================================================
+ * PJH Web Services — Quote Response Token Tests
+ * ============================================================
+ * Token expiry and link helpers. Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { tokenExpiresAt, quoteResponseLink } from "./quoteTokens.js";
+
+test("tokenExpiresAt runs to the end of the valid_until day", () => {
+  const expires = tokenExpiresAt("2026-03-31");
+  assert.equal(expires.getDate(), new Date("2026-03-31").getDate());
+  assert.deepEqual(
+    [expires.getHours(), expires.getMinutes(), expires.getSeconds(), expires.getMilliseconds()],
+    [23, 59, 59, 999]
+  );
+});
+
+test("tokenExpiresAt falls back to the TTL when there is no valid_until", () => {
+  const before = Date.now();
+  const expires = tokenExpiresAt(null).getTime();
+  assert.ok(expires > before + 86400000, "at least a day away");
+});
+
+test("quoteResponseLink points at the client quote page", () => {
+  assert.match(quoteResponseLink("abc123"), /\/quote\/abc123$/);
+});
@@ -48,3 +48,36 @@ export async function findQuote(quoteId) {
   const { rows } = await pool.query("SELECT * FROM quotes WHERE id = $1", [quoteId]);
   return rows[0] || null;
 }
+
+/**
+ * Line value after its own discount (qty defaults to 1, as on the PDF).
+ */
+export function lineTotal(item) {
+  const qty = Number(item?.qty) || 1;
+  const unit = Number(item?.unit_price ?? item?.price ?? 0) || 0;
+  const disc = Math.min(Math.max(Number(item?.discount_percent) || 0, 0), 100);
+  return qty * unit * (1 - disc / 100);
+}
+
+/* ------------------------------------------------------------
+   🧮 quoteTotals()
+   Same maths as the quote PDF: line discounts, then the global
+   discount, deposit defaulting to 50%.
+   @returns {{subtotal:number, discount_percent:number, total:number,
+              deposit:number, balance:number}}
+------------------------------------------------------------ */
+export function quoteTotals(quote) {
+  const round = (n) => Math.round(n * 100) / 100;
+  const subtotal = toArray(quote.items).reduce((sum, item) => sum + lineTotal(item), 0);
+  const discountPercent = Number(quote.discount_percent) || 0;
+  const total = subtotal * (1 - discountPercent / 100);
+  const deposit = quote.deposit != null ? Number(quote.deposit) : total * 0.5;
+
+  return {
+    subtotal: round(subtotal),
+    discount_percent: discountPercent,
+    total: round(total),
+    deposit: round(deposit),
+    balance: round(Math.max(total - deposit, 0)),
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * ============================================================
+ * PJH Web Services — Rate Limiting & Login Lockout
+ * ============================================================
+ * Postgres-backed so limits survive restarts and are shared
+ * between instances:
+ *   • Fixed-window hit counters (rate_limit_buckets)
+ *   • Progressive lockout after repeated failed logins
+ *     (login_lockouts) — each lockout doubles, up to a cap
+ *
+ * Per-route limits live in RATE_LIMITS and can be overridden
+ * with env vars, e.g. RATE_LIMIT_CONTACT_PER_IP=10.
+ * ============================================================
+ */
+
+import dotenv from "dotenv";
+import pool from "../db.js";
+
+dotenv.config();
+
+/* ------------------------------------------------------------
+   Per-route configuration
+   perIp / perIdentifier → max hits per window
+------------------------------------------------------------ */
+const DEFAULT_LIMITS = {
+  login: { windowSeconds: 15 * 60, perIp: 20, perIdentifier: 10 },
+  login_totp: { windowSeconds: 15 * 60, perIp: 20, perIdentifier: 10 },
+  contact: { windowSeconds: 60 * 60, perIp: 5, perIdentifier: 3 },
+  maintenance_signup: { windowSeconds: 60 * 60, perIp: 5, perIdentifier: 3 },
+  portal_login: { windowSeconds: 15 * 60, perIp: 10, perIdentifier: 3 },
+  quote_token: { windowSeconds: 15 * 60, perIp: 60, perIdentifier: 30 },
+};
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+export const RATE_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([name, limits]) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    return [
+      name,
+      {
+        windowSeconds: envNumber(`${prefix}_WINDOW_SECONDS`, limits.windowSeconds),
+        perIp: envNumber(`${prefix}_PER_IP`, limits.perIp),
+        perIdentifier: envNumber(`${prefix}_PER_IDENTIFIER`, limits.perIdentifier),
+      },
+    ];
+  })
+);
+
+// Failed logins allowed before a lockout, and how long it lasts
+const LOCKOUT_THRESHOLD = envNumber("LOGIN_LOCKOUT_THRESHOLD", 5);
+const LOCKOUT_BASE_SECONDS = envNumber("LOGIN_LOCKOUT_BASE_SECONDS", 60);
+const LOCKOUT_MAX_SECONDS = envNumber("LOGIN_LOCKOUT_MAX_SECONDS", 60 * 60);
+// Quiet period after which failures / lockout history are forgotten
+const FAILURE_RESET_SECONDS = 15 * 60;
+const LOCKOUT_RESET_SECONDS = 24 * 60 * 60;
+
+/* ------------------------------------------------------------
+   🚦 hitBucket()
+   Counts one hit against a fixed window.
+   @returns {Promise<{hits:number, retryAfter:number}>}
+     retryAfter = seconds until the window resets
+------------------------------------------------------------ */
+export async function hitBucket(key, windowSeconds) {
+  const { rows } = await pool.query(
+    `
+    INSERT INTO rate_limit_buckets (bucket_key, hits, window_start, updated_at)
+    VALUES ($1, 1, NOW(), NOW())
+    ON CONFLICT (bucket_key) DO UPDATE SET
+      hits = CASE
+        WHEN rate_limit_buckets.window_start <= NOW() - make_interval(secs => $2)
+        THEN 1 ELSE rate_limit_buckets.hits + 1 END,
+      window_start = CASE
+        WHEN rate_limit_buckets.window_start <= NOW() - make_interval(secs => $2)
+        THEN NOW() ELSE rate_limit_buckets.window_start END,
+      updated_at = NOW()
+    RETURNING hits,
+      GREATEST(CEIL(EXTRACT(EPOCH FROM
+        (window_start + make_interval(secs => $2) - NOW()))), 1)::int AS retry_after;
+    `,
+    [key, windowSeconds]
+  );
+  return { hits: rows[0].hits, retryAfter: rows[0].retry_after };
+}
+
+/* ------------------------------------------------------------
+   🔒 getLockout()
+   @returns {Promise<number>} Seconds left on an active lockout (0 = none)
+------------------------------------------------------------ */
+export async function getLockout(identifier) {
+  if (!identifier) return 0;
+  const { rows } = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS retry_after
+     FROM login_lockouts
+     WHERE identifier = $1 AND locked_until > NOW();`,
+    [identifier]
+  );
+  return rows[0]?.retry_after || 0;
+}
+
+/* ------------------------------------------------------------
+   ❌ recordLoginFailure()
+   Counts a failed attempt; every LOCKOUT_THRESHOLD failures
+   locks the identifier for base × 2^(previous lockouts).
+   @returns {Promise<number>} Seconds locked (0 if not locked)
+------------------------------------------------------------ */
+export async function recordLoginFailure(identifier) {
+  if (!identifier) return 0;
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO login_lockouts (identifier, failures, lockouts, last_failure_at)
+    VALUES ($1, 1, 0, NOW())
+    ON CONFLICT (identifier) DO UPDATE SET
+      failures = CASE
+        WHEN login_lockouts.last_failure_at <= NOW() - make_interval(secs => $2)
+        THEN 1 ELSE login_lockouts.failures + 1 END,
+      lockouts = CASE
+        WHEN login_lockouts.last_failure_at <= NOW() - make_interval(secs => $3)
+        THEN 0 ELSE login_lockouts.lockouts END,
+      last_failure_at = NOW()
+    RETURNING failures, lockouts;
+    `,
+    [identifier, FAILURE_RESET_SECONDS, LOCKOUT_RESET_SECONDS]
+  );
+
+  const { failures, lockouts } = rows[0];
+  if (failures < LOCKOUT_THRESHOLD) return 0;
+
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** lockouts, LOCKOUT_MAX_SECONDS);
+  await pool.query(
+    `UPDATE login_lockouts
+     SET failures = 0, lockouts = lockouts + 1,
+         locked_until = NOW() + make_interval(secs => $2)
+     WHERE identifier = $1;`,
+    [identifier, seconds]
+  );
+
+  console.warn(`🔒 Login locked for ${seconds}s after ${failures} failures (${identifier})`);
+  return seconds;
+}
+
+/* ------------------------------------------------------------
+   ✅ clearLoginFailures() — call after a successful login
+------------------------------------------------------------ */
+export async function clearLoginFailures(identifier) {
+  if (!identifier) return;
+  await pool.query("DELETE FROM login_lockouts WHERE identifier = $1;", [identifier]);
+}
+
+/* ------------------------------------------------------------
+   🧹 pruneRateLimits() — drop stale buckets and lockouts
+------------------------------------------------------------ */
+export async function pruneRateLimits() {
+  try {
+    await pool.query(
+      "DELETE FROM rate_limit_buckets WHERE updated_at < NOW() - INTERVAL '1 day';"
+    );
+    await pool.query(
+      `DELETE FROM login_lockouts
+       WHERE last_failure_at < NOW() - make_interval(secs => $1)
+         AND (locked_until IS NULL OR locked_until < NOW());`,
+      [LOCKOUT_RESET_SECONDS]
+    );
+  } catch (err) {
+    console.error("⚠️ Failed to prune rate limit tables:", err.message);
+  }
+}
@@ -0,0 +1,540 @@
+/**
+ * ============================================================
+ * PJH Web Services — Request Schemas
+ * ============================================================
+ * Declared shapes for request bodies / queries, used with
+ * validate() from middleware/validate.js. Rule syntax is
+ * documented in utils/validation.js.
+ *
+ * Numeric route params (:id, :orderId, :quoteId …) are checked
+ * per-router with router.param(name, validateId).
+ * ============================================================
+ */
+
+import { ROLES } from "../middleware/auth.js";
+import { API_KEY_SCOPES } from "./apiKeys.js";
+import { CUSTOMER_SORTS, decodeCursor } from "./customers.js";
+import { CONTACT_ROLES } from "./customerContacts.js";
+import { CUSTOMER_CSV_COLUMNS } from "./customerSegments.js";
+import { LEAD_STAGES, LEAD_SOURCES } from "./leads.js";
+import { TIMELINE_CATEGORIES, decodeTimelineCursor } from "./customerTimeline.js";
+import { checkUkPostcode, checkPhoneNumber, checkVatNumber } from "./ukFormats.js";
+
+/* ------------------------------------------------------------
+   Shared building blocks
+------------------------------------------------------------ */
+const money = { type: "number", min: 0, max: 1000000 };
+const percent = { type: "number", min: 0, max: 100 };
+const shortText = { type: "string", max: 255 };
+const longText = { type: "string", max: 5000 };
+const listOrText = {
+  check: (v) =>
+    Array.isArray(v) || typeof v === "string" ? null : "must be a list or comma-separated text",
+};
+const phoneNumber = { type: "string", max: 50, check: checkPhoneNumber };
+const objectOrJson = {
+  check: (v) => {
+    if (typeof v === "object" && !Array.isArray(v)) return null;
+    try {
+      return typeof v === "string" && JSON.parse(v) ? null : "must be an object";
+    } catch {
+      return "must be valid JSON";
+    }
+  },
+};
+
+/* ------------------------------------------------------------
+   👥 Customers
+------------------------------------------------------------ */
+export const customerSchema = {
+  business: shortText,
+  name: { type: "string", required: true, max: 255 },
+  email: { type: "email", required: true, max: 255 },
+  phone: phoneNumber,
+  address1: shortText,
+  address2: shortText,
+  city: { type: "string", max: 100 },
+  county: { type: "string", max: 100 },
+  postcode: { type: "string", max: 20, check: checkUkPostcode },
+  vat_number: { type: "string", max: 20, check: checkVatNumber },
+  notes: longText,
+};
+
+const queryFlag = { type: "string", oneOf: ["true", "false"] };
+
+export const customerSearchQuerySchema = {
+  q: { type: "string", max: 255 },
+  direct_debit_active: queryFlag,
+  payment_method: { type: "string", oneOf: ["card", "direct_debit", "mixed"] },
+  has_balance: queryFlag,
+  created_from: { type: "date" },
+  created_to: { type: "date" },
+  sort: { type: "string", oneOf: Object.keys(CUSTOMER_SORTS) },
+  order: { type: "string", oneOf: ["asc", "desc"] },
+  limit: { type: "integer", min: 1, max: 200 },
+  tags: { type: "string", max: 500 },
+  cursor: {
+    type: "string",
+    max: 1024,
+    check: (v) => (decodeCursor(v) ? null : "is not a valid cursor"),
+  },
+};
+
+export const customerMergeSchema = {
+  source_id: { type: "id", required: true },
+};
+
+// GET /api/customers/:id/timeline?types=payment,email&limit=50
+export const customerTimelineQuerySchema = {
+  types: {
+    type: "string",
+    max: 200,
+    check: (v) => {
+      const unknown = v.split(",").map((t) => t.trim()).filter((t) => t && !TIMELINE_CATEGORIES.includes(t));
+      return unknown.length ? `must only contain: ${TIMELINE_CATEGORIES.join(", ")}` : null;
+    },
+  },
+  from: { type: "date" },
+  to: { type: "date" },
+  limit: { type: "integer", min: 1, max: 200 },
+  cursor: {
+    type: "string",
+    max: 1024,
+    check: (v) => (decodeTimelineCursor(v) ? null : "is not a valid cursor"),
+  },
+};
+
+const statementRange = {
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+// GET /api/customers/:id/statement?from&to&format=pdf
+export const statementQuerySchema = {
+  ...statementRange,
+  format: { type: "string", oneOf: ["json", "pdf"] },
+};
+
+export const statementEmailSchema = statementRange;
+
+// POST /api/customers/import?dry_run=true&mapping[name]=Contact%20Name …
+export const customerImportQuerySchema = {
+  dry_run: queryFlag,
+  include_duplicates: queryFlag,
+  mapping: {
+    type: "object",
+    fields: Object.fromEntries(Object.keys(customerSchema).map((field) => [field, shortText])),
+  },
+};
+
+// GET /api/customers/export.csv — list filters plus ?columns=id,name,email
+export const customerCsvExportQuerySchema = {
+  q: customerSearchQuerySchema.q,
+  direct_debit_active: queryFlag,
+  payment_method: customerSearchQuerySchema.payment_method,
+  has_balance: queryFlag,
+  created_from: { type: "date" },
+  created_to: { type: "date" },
+  tags: customerSearchQuerySchema.tags,
+  columns: {
+    type: "string",
+    max: 1000,
+    check: (v) => {
+      const unknown = v.split(",").map((c) => c.trim()).filter((c) => c && !CUSTOMER_CSV_COLUMNS.includes(c));
+      return unknown.length
+        ? `has unknown column(s): ${unknown.join(", ")} (allowed: ${CUSTOMER_CSV_COLUMNS.join(", ")})`
+        : null;
+    },
+  },
+};
+
+const contactFields = {
+  phone: phoneNumber,
+  job_title: { type: "string", max: 150 },
+  roles: { type: "array", max: CONTACT_ROLES.length, items: { type: "string", oneOf: CONTACT_ROLES } },
+};
+
+export const contactCreateSchema = {
+  name: { type: "string", required: true, max: 255 },
+  email: { type: "email", required: true, max: 255 },
+  ...contactFields,
+};
+
+export const contactUpdateSchema = {
+  name: shortText,
+  email: { type: "email", max: 255 },
+  ...contactFields,
+};
+
+/* ------------------------------------------------------------
+   🏷️ Tags, segments & bulk actions
+------------------------------------------------------------ */
+const tagName = { type: "string", max: 100 };
+const tagNames = { type: "array", max: 50, items: { type: "string", required: true, max: 100 } };
+
+export const tagCreateSchema = {
+  name: { ...tagName, required: true },
+  colour: { type: "string", max: 20 },
+};
+
+export const tagUpdateSchema = {
+  name: tagName,
+  colour: { type: "string", max: 20 },
+};
+
+export const customerTagsSchema = {
+  tag_ids: { type: "array", required: true, min: 1, max: 50, items: { type: "id", required: true } },
+};
+
+const segmentRules = {
+  type: "object",
+  fields: {
+    q: { type: "string", max: 255 },
+    direct_debit_active: { type: "boolean" },
+    payment_method: { type: "string", oneOf: ["card", "direct_debit", "mixed"] },
+    has_balance: { type: "boolean" },
+    created_from: { type: "date" },
+    created_to: { type: "date" },
+    tags_any: tagNames,
+    tags_all: tagNames,
+    tags_none: tagNames,
+    has_orders: { type: "boolean" },
+    order_status: { type: "string", oneOf: ["in_progress", "completed", "cancelled"] },
+    min_total_paid: money,
+    max_total_paid: money,
+    last_payment_after: { type: "date" },
+    last_payment_before: { type: "date" },
+    maintenance_status: { type: "string", oneOf: ["pending", "active", "cancelled", "failed"] },
+  },
+};
+
+export const segmentCreateSchema = {
+  name: { type: "string", required: true, max: 150 },
+  description: longText,
+  rules: { ...segmentRules, required: true },
+};
+
+export const segmentUpdateSchema = {
+  name: { type: "string", max: 150 },
+  description: longText,
+  rules: segmentRules,
+};
+
+export const segmentTagActionSchema = {
+  tag_id: { type: "id", required: true },
+};
+
+export const segmentEmailActionSchema = {
+  subject: { type: "string", required: true, max: 200 },
+  message: { type: "string", required: true, max: 20000 },
+};
+
+export const customerErasureSchema = {
+  reason: { type: "string", max: 1000 },
+};
+
+/* ------------------------------------------------------------
+   🧾 Quotes
+------------------------------------------------------------ */
+export const quoteItemSchema = {
+  type: "object",
+  fields: {
+    name: { type: "string", required: true, max: 500 },
+    qty: { type: "number", min: 0.01, max: 100000 },
+    unit_price: money,
+    price: money,
+    discount_percent: percent,
+  },
+  check: (item) =>
+    item?.unit_price == null && item?.price == null ? "unit_price is required" : null,
+};
+
+export const quoteSchema = {
+  title: shortText,
+  description: longText,
+  items: { type: "array", max: 200, items: quoteItemSchema },
+  deposit: money,
+  notes: longText,
+  package_id: { type: "id" },
+  maintenance_id: { type: "id" },
+  custom_price: money,
+  discount_percent: percent,
+  valid_until: { type: "date" },
+};
+
+// POST /api/customers/:id/quotes — template_id pre-fills any omitted fields
+export const quoteCreateSchema = {
+  ...quoteSchema,
+  template_id: { type: "id" },
+};
+
+// POST /api/quotes/:quoteId/revisions — omitted fields carry over
+export const quoteRevisionSchema = {
+  ...quoteSchema,
+  change_note: longText,
+};
+
+// POST /api/quotes/:quoteId/renew — new date (or days from today) plus optional re-pricing
+export const quoteRenewSchema = {
+  ...quoteRevisionSchema,
+  valid_until: {
+    type: "date",
+    check: (v) => (Date.parse(v) >= new Date().setHours(0, 0, 0, 0) ? null : "must not be in the past"),
+  },
+  days: { type: "integer", min: 1, max: 365 },
+};
+
+// POST /api/quotes/:quoteId/send — optional covering note
+export const quoteSendSchema = {
+  message: longText,
+};
+
+/* ------------------------------------------------------------
+   🧩 Quote Templates
+------------------------------------------------------------ */
+export const quoteTemplateCreateSchema = {
+  name: { type: "string", required: true, max: 150 },
+  title: shortText,
+  description: longText,
+  items: { type: "array", max: 200, items: quoteItemSchema },
+  deposit_percent: percent,
+  notes: longText,
+  package_id: { type: "id" },
+  maintenance_id: { type: "id" },
+};
+
+export const quoteTemplateUpdateSchema = {
+  ...quoteTemplateCreateSchema,
+  name: { type: "string", max: 150 },
+};
+
+export const quoteFeedbackSchema = {
+  feedback: { type: "string", max: 5000 },
+};
+
+export const quoteAmendSchema = {
+  feedback: { type: "string", required: true, max: 5000 },
+};
+
+export const quoteTokenParams = {
+  token: { type: "token", required: true },
+};
+
+export const quoteReissueSchema = {
+  valid_until: { type: "date" },
+};
+
+/* ------------------------------------------------------------
+   📦 Packages
+------------------------------------------------------------ */
+const packageFields = {
+  tagline: shortText,
+  price_oneoff: money,
+  price_monthly: money,
+  term_months: { type: "integer", min: 1, max: 120 },
+  features: listOrText,
+  description: longText,
+  discount_percent: percent,
+  visible: { type: "boolean" },
+  pricing_guardrails: objectOrJson,
+};
+
+export const packageCreateSchema = {
+  name: { type: "string", required: true, max: 255 },
+  ...packageFields,
+};
+
+export const packageUpdateSchema = {
+  name: shortText,
+  ...packageFields,
+};
+
+/* ------------------------------------------------------------
+   💳 Orders & payments
+------------------------------------------------------------ */
+export const invoiceTypeParams = {
+  type: { type: "string", required: true, oneOf: ["deposit", "balance"] },
+};
+
+export const orderRefundSchema = {
+  payment_id: { type: "id", required: true },
+  amount: { type: "number", required: true, min: 0.01, max: 1000000 },
+};
+
+export const paymentRefundSchema = {
+  order_id: { type: "id", required: true },
+  amount: { type: "number", required: true, min: 0.01, max: 1000000 },
+  reason: { type: "string", oneOf: ["duplicate", "fraudulent", "requested_by_customer"] },
+  notes: longText,
+};
+
+export const checkoutSchema = {
+  orderId: { type: "id", required: true },
+  flow: { type: "string", max: 50 },
+  type: { type: "string", max: 50 },
+  amount: money,
+};
+
+export const billingCheckoutSchema = {
+  orderId: { type: "id", required: true },
+  customerId: { type: "id", required: true },
+  packageId: { type: "id" },
+  maintenanceId: { type: "id" },
+};
+
+/* ------------------------------------------------------------
+   📒 Order diary
+------------------------------------------------------------ */
+export const diaryNoteSchema = {
+  note: { type: "string", required: true, max: 5000 },
+};
+
+/* ------------------------------------------------------------
+   🔐 Auth, team & API keys
+------------------------------------------------------------ */
+export const loginSchema = {
+  email: { type: "email", required: true, max: 255 },
+  password: { type: "string", required: true, max: 1024 },
+};
+
+export const totpLoginSchema = {
+  challenge: { type: "string", required: true, max: 2048 },
+  code: { type: "string", required: true, max: 32 },
+};
+
+export const passwordChangeSchema = {
+  current_password: { type: "string", required: true, max: 1024 },
+  new_password: { type: "string", required: true, min: 10, max: 1024 },
+};
+
+export const totpCodeSchema = {
+  code: { type: "string", required: true, max: 32 },
+};
+
+export const totpDisableSchema = {
+  password: { type: "string", required: true, max: 1024 },
+  ...totpCodeSchema,
+};
+
+export const adminUserCreateSchema = {
+  name: { type: "string", required: true, max: 150 },
+  email: { type: "email", required: true, max: 255 },
+  password: { type: "string", required: true, min: 10, max: 1024 },
+  role: { type: "string", oneOf: ROLES },
+};
+
+export const adminUserUpdateSchema = {
+  name: { type: "string", max: 150 },
+  password: { type: "string", min: 10, max: 1024 },
+  role: { type: "string", oneOf: ROLES },
+  active: { type: "boolean" },
+};
+
+export const rolePolicySchema = {
+  require_totp: { type: "boolean", required: true },
+};
+
+const apiKeyScope = { type: "string", required: true, oneOf: Object.keys(API_KEY_SCOPES) };
+
+export const apiKeySchema = {
+  name: { type: "string", required: true, max: 150 },
+  scopes: { type: "array", required: true, min: 1, items: apiKeyScope },
+  expires_at: {
+    type: "date",
+    check: (v) => (Date.parse(v) > Date.now() ? null : "must be in the future"),
+  },
+};
+
+export const apiKeyUpdateSchema = {
+  name: { type: "string", max: 150 },
+  scopes: { type: "array", min: 1, items: apiKeyScope },
+};
+
+/* ------------------------------------------------------------
+   📜 Audit log query
+------------------------------------------------------------ */
+export const auditQuerySchema = {
+  actor_type: { type: "string", oneOf: ["admin", "api_key", "system"] },
+  actor_id: { type: "id" },
+  action: { type: "string", max: 50 },
+  entity_type: { type: "string", max: 50 },
+  entity_id: { type: "string", max: 64 },
+  from: { type: "date" },
+  to: { type: "date" },
+  limit: { type: "integer", min: 1, max: 200 },
+  offset: { type: "integer", min: 0 },
+};
+
+/* ------------------------------------------------------------
+   🧲 Leads
+------------------------------------------------------------ */
+const leadFields = {
+  phone: { type: "string", max: 50 },
+  business: shortText,
+  message: longText,
+  source: { type: "string", oneOf: LEAD_SOURCES },
+  owner_id: { type: "id" },
+  notes: longText,
+};
+
+export const leadCreateSchema = {
+  name: { type: "string", required: true, max: 150 },
+  email: { type: "email", required: true, max: 255 },
+  ...leadFields,
+};
+
+export const leadUpdateSchema = {
+  name: { type: "string", max: 150 },
+  email: { type: "email", max: 255 },
+  ...leadFields,
+};
+
+export const leadStageSchema = {
+  stage: { type: "string", required: true, oneOf: LEAD_STAGES },
+  note: longText,
+};
+
+export const leadConvertSchema = {
+  customer_id: { type: "id" },
+  customer: {
+    type: "object",
+    // Overrides for the new customer; defaults come from the lead
+    fields: { ...customerSchema, name: shortText, email: { type: "email", max: 255 } },
+  },
+  create_quote: { type: "boolean" },
+  quote: { type: "object", fields: quoteSchema },
+};
+
+export const leadListQuerySchema = {
+  stage: { type: "string", oneOf: LEAD_STAGES },
+  source: { type: "string", oneOf: LEAD_SOURCES },
+  owner_id: { type: "id" },
+  q: { type: "string", max: 255 },
+  converted: queryFlag,
+  limit: { type: "integer", min: 1, max: 200 },
+  offset: { type: "integer", min: 0 },
+};
+
+/* ------------------------------------------------------------
+   🌍 Public forms & portal
+------------------------------------------------------------ */
+export const contactSchema = {
+  name: { type: "string", required: true, max: 150 },
+  email: { type: "email", required: true, max: 255 },
+  phone: { type: "string", required: true, max: 50 },
+  message: { type: "string", required: true, max: 5000 },
+};
+
+export const maintenanceSignupSchema = {
+  name: { type: "string", required: true, max: 150 },
+  email: { type: "email", required: true, max: 255 },
+  planId: { type: "id", required: true },
+};
+
+export const portalLoginSchema = {
+  email: { type: "email", required: true, max: 255 },
+};
+
+export const portalVerifySchema = {
+  token: { type: "token", required: true },
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * ============================================================
+ * PJH Web Services — Admin Session Utility
+ * ============================================================
+ * Issues and validates admin sessions:
+ *   • Short-lived signed access token (JWT, httpOnly cookie)
+ *   • Long-lived rotating refresh token (hashed in admin_sessions)
+ *   • Server-side revocation so logout takes effect immediately
+ *   • Short-lived challenges for the two-factor login step
+ * ============================================================
+ */
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import pool from "../db.js";
+
+dotenv.config();
+
+export const ACCESS_COOKIE = "pjh_admin";
+export const REFRESH_COOKIE = "pjh_admin_refresh";
+
+const ACCESS_TTL_SECONDS = Number(process.env.ADMIN_ACCESS_TTL_SECONDS) || 15 * 60;
+const SESSION_TTL_DAYS = Number(process.env.ADMIN_SESSION_TTL_DAYS) || 7;
+export const ACCESS_TTL_MS = ACCESS_TTL_SECONDS * 1000;
+export const SESSION_TTL_MS = SESSION_TTL_DAYS * 86400000;
+
+const SESSION_SECRET =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.SESSION_SECRET) {
+  console.warn("⚠️ SESSION_SECRET not set — admin sessions will not survive a restart.");
+}
+
+const isProduction = process.env.NODE_ENV === "production";
+
+/* ------------------------------------------------------------
+   Helpers
+------------------------------------------------------------ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function signAccessToken(sessionId, userId) {
+  return jwt.sign({ sid: sessionId, sub: String(userId) }, SESSION_SECRET, {
+    expiresIn: ACCESS_TTL_SECONDS,
+  });
+}
+
+/**
+ * Cookie options shared by the access + refresh cookies.
+ * Cross-site (Vercel → Render) requires SameSite=None + Secure in production.
+ */
+export function cookieOptions(maxAgeMs, cookiePath = "/") {
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "none" : "lax",
+    maxAge: maxAgeMs,
+    path: cookiePath,
+  };
+}
+
+/* ------------------------------------------------------------
+   Session lifecycle
+------------------------------------------------------------ */
+
+/**
+ * Create a new admin session for a user and return its tokens.
+ * @param {{ userId: number, ip?: string, userAgent?: string }} meta
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresAt: Date }>}
+ */
+export async function createSession({ userId, ip, userAgent }) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await pool.query(
+    `INSERT INTO admin_sessions
+       (session_id, admin_user_id, refresh_hash, ip, user_agent, expires_at, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,NOW())`,
+    [sessionId, userId, hashToken(refreshToken), ip || null, userAgent || null, expiresAt]
+  );
+
+  return { accessToken: signAccessToken(sessionId, userId), refreshToken, expiresAt };
+}
+
+/**
+ * Rotate the refresh token of a live session and issue a fresh access token.
+ * Returns null if the refresh token is unknown, revoked or expired.
+ */
+export async function refreshSession(refreshToken) {
+  if (!refreshToken) return null;
+
+  const nextRefresh = crypto.randomBytes(48).toString("hex");
+  const { rows } = await pool.query(
+    `UPDATE admin_sessions s
+       SET refresh_hash = $1, last_seen_at = NOW()
+      FROM admin_users u
+     WHERE s.refresh_hash = $2
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.id = s.admin_user_id
+       AND u.active = TRUE
+     RETURNING s.session_id, s.admin_user_id, s.expires_at`,
+    [hashToken(nextRefresh), hashToken(refreshToken)]
+  );
+
+  if (!rows.length) return null;
+
+  return {
+    accessToken: signAccessToken(rows[0].session_id, rows[0].admin_user_id),
+    refreshToken: nextRefresh,
+    expiresAt: rows[0].expires_at,
+  };
+}
+
+/**
+ * Verify an access token and confirm its session and user are still active.
+ * @returns {Promise<object|null>} Session row with user fields, or null if invalid.
+ */
+export async function verifySession(accessToken) {
+  if (!accessToken) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, SESSION_SECRET);
+  } catch {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT s.*, u.name AS user_name, u.email AS user_email, u.role AS user_role
+     FROM admin_sessions s
+     JOIN admin_users u ON u.id = s.admin_user_id
+     WHERE s.session_id = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.active = TRUE`,
+    [payload.sid]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Revoke a session by access token and/or refresh token.
+ */
+export async function revokeSession({ accessToken, refreshToken } = {}) {
+  let sessionId = null;
+  if (accessToken) {
+    // Expired access tokens must still be revocable on logout
+    try {
+      sessionId = jwt.verify(accessToken, SESSION_SECRET, { ignoreExpiration: true }).sid;
+    } catch {
+      sessionId = null;
+    }
+  }
+
+  await pool.query(
+    `UPDATE admin_sessions
+       SET revoked_at = NOW()
+     WHERE revoked_at IS NULL
+       AND (session_id = $1 OR refresh_hash = $2)`,
+    [sessionId, refreshToken ? hashToken(refreshToken) : null]
+  );
+}
+
+/**
+ * Revoke every live session belonging to a user (deactivation, password reset).
+ */
+export async function revokeUserSessions(userId) {
+  await pool.query(
+    `UPDATE admin_sessions SET revoked_at = NOW()
+     WHERE admin_user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+}
+
+/* ------------------------------------------------------------
+   Two-factor login challenges
+------------------------------------------------------------ */
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Sign a short-lived challenge proving the password step succeeded.
+ * @param {number} userId
+ * @param {"totp"|"enrol"} purpose - verify an existing TOTP, or enrol one first
+ */
+export function signChallenge(userId, purpose) {
+  return jwt.sign({ sub: String(userId), purpose }, SESSION_SECRET, {
+    expiresIn: CHALLENGE_TTL_SECONDS,
+  });
+}
+
+/**
+ * Verify a challenge token for the given purpose.
+ * @returns {number|null} The user ID, or null if invalid / expired.
+ */
+export function verifyChallenge(token, purpose) {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, SESSION_SECRET);
+    return payload.purpose === purpose ? Number(payload.sub) : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * ============================================================
+ * PJH Web Services — Customer Statements of Account
+ * ============================================================
+ * Ledger over a date range:
+ *
+ *   debit   → deposit / balance invoices raised (orders.*_invoiced_at)
+ *   credit  → payments received (status paid, amount > 0)
+ *   debit   → refunds paid back (type refund / negative rows)
+ *
+ * Everything before `from` rolls up into the opening balance.
+ * Only invoiced amounts count, so the closing balance can be
+ * lower than balance_due on the customer list (which includes
+ * work not yet invoiced).
+ *
+ * The PDF reuses the invoice letterhead + drawing helpers and
+ * is returned as bytes rather than written under /public.
+ * Emailed statements carry a number (statement.number, see
+ * utils/numbering.js) and a customer_statements row that tracks
+ * the send; downloads are unnumbered previews.
+ * ============================================================
+ */
+
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import pool from "../db.js";
+import {
+  BRAND_BLUE,
+  LIGHT_GREY,
+  BORDER_GREY,
+  TEXT_GREY,
+  sanitizeFilename,
+  wrapByWidth,
+  drawText,
+  drawRightText,
+  drawLine,
+  drawLetterhead,
+  invoiceReference,
+} from "./invoice.js";
+import { formatVatNumber } from "./ukFormats.js";
+import { nextDocumentNumber } from "./numbering.js";
+
+const toPence = (value) => Math.round(Number(value || 0) * 100);
+const toPounds = (pence) => pence / 100;
+const isoDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const LEDGER_SQL = `
+  WITH customer_orders AS (
+    SELECT * FROM orders WHERE customer_id = $1
+  ),
+  ledger AS (
+    SELECT o.deposit_invoiced_at AS occurred_at, 'invoice' AS type, 'deposit' AS kind,
+           o.id AS order_id, NULL::int AS payment_id, o.title, o.deposit AS amount,
+           NULL::text AS method, o.deposit_invoice_number::text AS reference
+    FROM customer_orders o
+    WHERE o.deposit_invoiced AND COALESCE(o.deposit, 0) > 0
+
+    UNION ALL
+    SELECT o.balance_invoiced_at, 'invoice', 'balance',
+           o.id, NULL, o.title, o.balance, NULL, o.balance_invoice_number
+    FROM customer_orders o
+    WHERE o.balance_invoiced AND COALESCE(o.balance, 0) > 0
+
+    UNION ALL
+    SELECT p.created_at,
+           CASE WHEN p.type = 'refund' OR p.amount < 0 THEN 'refund' ELSE 'payment' END,
+           p.type, p.order_id, p.id, o.title, ABS(p.amount), p.method,
+           COALESCE(p.credit_note_number, p.reference)
+    FROM payments p
+    LEFT JOIN orders o ON o.id = p.order_id
+    WHERE (p.customer_id = $1 OR p.order_id IN (SELECT id FROM customer_orders))
+      AND ((p.status = 'paid' AND p.amount > 0) OR p.type = 'refund' OR p.amount < 0)
+  )
+  SELECT *, occurred_at::date::text AS entry_date, (occurred_at < $2::date) AS before_period
+  FROM ledger
+  WHERE occurred_at < $3::date + INTERVAL '1 day'
+  ORDER BY occurred_at ASC,
+           CASE type WHEN 'invoice' THEN 0 ELSE 1 END,
+           order_id ASC NULLS LAST,
+           payment_id ASC NULLS FIRST;
+`;
+
+function describe(row) {
+  const project = row.title ? ` — ${row.title}` : "";
+  if (row.type === "invoice") {
+    return {
+      reference: row.reference || invoiceReference(row.order_id),
+      description: `${row.kind === "deposit" ? "Deposit" : "Balance"} invoice${project}`,
+    };
+  }
+  const method = row.method ? ` (${row.method})` : "";
+  return {
+    reference: row.reference || `PAY-${row.payment_id}`,
+    description: `${row.type === "refund" ? "Refund" : "Payment received"}${method}${project}`,
+  };
+}
+
+/* ------------------------------------------------------------
+   📒 buildStatement()
+   @param {number} customerId
+   @param {{from?:string, to?:string}} [range] - ISO dates, inclusive;
+          from defaults to the start of the account, to to today
+   @returns {Promise<object|null>} null when the customer is missing
+------------------------------------------------------------ */
+export async function buildStatement(customerId, { from = null, to = null } = {}) {
+  const { rows: customers } = await pool.query(
+    `SELECT id, business, name, email, address1, address2, city, county, postcode, vat_number, erased_at
+     FROM customers WHERE id = $1;`,
+    [customerId]
+  );
+  if (!customers.length) return null;
+
+  const periodTo = to || isoDate(new Date());
+  const { rows } = await pool.query(LEDGER_SQL, [customerId, from, periodTo]);
+
+  let balance = 0;
+  let opening = 0;
+  const totals = { invoiced: 0, paid: 0, refunded: 0 };
+  const entries = [];
+
+  for (const row of rows) {
+    const pence = toPence(row.amount);
+    const debit = row.type === "payment" ? 0 : pence;
+    const credit = row.type === "payment" ? pence : 0;
+    balance += debit - credit;
+
+    if (row.before_period) {
+      opening = balance;
+      continue;
+    }
+
+    if (row.type === "invoice") totals.invoiced += pence;
+    else if (row.type === "payment") totals.paid += pence;
+    else totals.refunded += pence;
+
+    entries.push({
+      date: row.entry_date,
+      type: row.type,
+      ...describe(row),
+      order_id: row.order_id,
+      payment_id: row.payment_id,
+      debit: toPounds(debit),
+      credit: toPounds(credit),
+      balance: toPounds(balance),
+    });
+  }
+
+  return {
+    customer: customers[0],
+    period: { from, to: periodTo },
+    generated_at: new Date().toISOString(),
+    opening_balance: toPounds(opening),
+    entries,
+    totals: {
+      invoiced: toPounds(totals.invoiced),
+      paid: toPounds(totals.paid),
+      refunded: toPounds(totals.refunded),
+    },
+    closing_balance: toPounds(balance),
+  };
+}
+
+/* ------------------------------------------------------------
+   🔢 issueStatementNumber()
+   Numbers the statement and records it as pending in one short
+   transaction — the email goes out afterwards, so the sequence
+   is never held across SMTP. Sets statement.number.
+   @returns {Promise<number>} customer_statements id
+------------------------------------------------------------ */
+export async function issueStatementNumber(statement, { sentTo = null, createdBy = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const number = await nextDocumentNumber(client, "statement", {
+      business: statement.customer.business || statement.customer.name,
+    });
+    const { rows } = await client.query(
+      `INSERT INTO customer_statements
+         (statement_number, customer_id, period_from, period_to, closing_balance, sent_to, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id;`,
+      [
+        number,
+        statement.customer.id,
+        statement.period.from,
+        statement.period.to,
+        statement.closing_balance,
+        sentTo,
+        createdBy,
+      ]
+    );
+    await client.query("COMMIT");
+
+    statement.number = number;
+    return rows[0].id;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Records the outcome of sending a numbered statement.
+ * @param {number} statementId - from issueStatementNumber()
+ * @param {Error|null} [error]
+ */
+export async function markStatementSent(statementId, error = null) {
+  await pool.query(
+    `UPDATE customer_statements
+     SET status = $2, error = $3, sent_at = CASE WHEN $2 = 'sent' THEN NOW() ELSE sent_at END
+     WHERE id = $1;`,
+    [statementId, error ? "failed" : "sent", error?.message || null]
+  );
+}
+
+/**
+ * Download / attachment name for a statement PDF.
+ */
+export function statementFileName(statement) {
+  const customer = statement.customer;
+  const name = sanitizeFilename(customer.business || customer.name || "Customer");
+  const suffix = statement.number ? sanitizeFilename(statement.number) : statement.period.to;
+  return `PJH-Statement-${name}-${suffix}.pdf`;
+}
+
+/* ------------------------------------------------------------
+   🖨️ generateStatementPDF()
+   A4, continues onto extra pages with the table header repeated.
+   @param {object} statement - from buildStatement()
+   @returns {Promise<Uint8Array>}
+------------------------------------------------------------ */
+export async function generateStatementPDF(statement) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+  const A4 = [595, 842];
+  const margin = 50;
+  const width = A4[0];
+  const tableLeft = margin;
+  const tableRight = width - margin;
+  const col = {
+    date: tableLeft,
+    ref: tableLeft + 62,
+    desc: tableLeft + 140,
+    debit: tableRight - 130,
+    credit: tableRight - 65,
+    balance: tableRight,
+  };
+  const money = (n) => (n ? n.toFixed(2) : "");
+  const ukDate = (iso) => (iso ? new Date(`${iso}T00:00:00Z`).toLocaleDateString("en-GB", { timeZone: "UTC" }) : "");
+
+  let page = pdfDoc.addPage(A4);
+  let y = await drawLetterhead(pdfDoc, page, { title: "Statement", font, bold, margin });
+
+  /* ------------------------------------------------------------
+     CUSTOMER + PERIOD
+  ------------------------------------------------------------ */
+  const customer = statement.customer;
+  drawText(page, `To: ${customer.business || customer.name || "Customer"}`, margin, y, 12, bold);
+  drawRightText(page, `Statement date: ${ukDate(isoDate(statement.generated_at))}`, tableRight, y, 10, font);
+  if (statement.number) drawRightText(page, `Statement #: ${statement.number}`, tableRight, y - 14, 10, font);
+  y -= 14;
+  const address = [customer.address1, customer.address2, customer.city, customer.postcode].filter(Boolean);
+  if (customer.vat_number) address.push(`VAT No: ${formatVatNumber(customer.vat_number)}`);
+  for (const line of address) {
+    drawText(page, line, margin, y, 10, font);
+    y -= 12;
+  }
+  y -= 10;
+  const period = statement.period.from
+    ? `${ukDate(statement.period.from)} – ${ukDate(statement.period.to)}`
+    : `Up to ${ukDate(statement.period.to)}`;
+  drawText(page, `Period: ${period}`, margin, y, 11, bold);
+  y -= 25;
+
+  /* ------------------------------------------------------------
+     LEDGER TABLE
+  ------------------------------------------------------------ */
+  const drawTableHeader = () => {
+    drawLine(page, tableLeft, y, tableRight, y, 1.5, BRAND_BLUE);
+    y -= 16;
+    drawText(page, "Date", col.date, y, 10, bold, BRAND_BLUE);
+    drawText(page, "Reference", col.ref, y, 10, bold, BRAND_BLUE);
+    drawText(page, "Description", col.desc, y, 10, bold, BRAND_BLUE);
+    drawRightText(page, "Debit (£)", col.debit, y, 10, bold, BRAND_BLUE);
+    drawRightText(page, "Credit (£)", col.credit, y, 10, bold, BRAND_BLUE);
+    drawRightText(page, "Balance (£)", col.balance, y, 10, bold, BRAND_BLUE);
+    y -= 8;
+    drawLine(page, tableLeft, y, tableRight, y, 1, BORDER_GREY);
+    y -= 14;
+  };
+
+  const ensureSpace = (needed) => {
+    if (y - needed > margin + 40) return;
+    page = pdfDoc.addPage(A4);
+    y = A4[1] - margin;
+    drawText(page, `Statement — ${customer.business || customer.name} (continued)`, margin, y, 10, bold, BRAND_BLUE);
+    y -= 25;
+    drawTableHeader();
+  };
+
+  drawTableHeader();
+
+  page.drawRectangle({ x: tableLeft, y: y - 4, width: tableRight - tableLeft, height: 16, color: LIGHT_GREY });
+  drawText(page, "Opening balance", col.desc, y, 10, bold);
+  drawRightText(page, statement.opening_balance.toFixed(2), col.balance, y, 10, bold);
+  y -= 20;
+
+  for (const entry of statement.entries) {
+    const lines = wrapByWidth(entry.description, col.debit - col.desc - 60, font, 9);
+    ensureSpace(lines.length * 11 + 6);
+
+    drawText(page, ukDate(entry.date), col.date, y, 9, font);
+    drawText(page, String(entry.reference).slice(0, 14), col.ref, y, 9, font);
+    drawRightText(page, money(entry.debit), col.debit, y, 9, font);
+    drawRightText(page, money(entry.credit), col.credit, y, 9, font);
+    drawRightText(page, entry.balance.toFixed(2), col.balance, y, 9, font);
+    for (const line of lines) {
+      drawText(page, line, col.desc, y, 9, font);
+      y -= 11;
+    }
+    y -= 6;
+  }
+
+  if (!statement.entries.length) {
+    drawText(page, "No transactions in this period.", col.desc, y, 10, font, rgb(0.45, 0.45, 0.45));
+    y -= 18;
+  }
+
+  /* ------------------------------------------------------------
+     TOTALS
+  ------------------------------------------------------------ */
+  ensureSpace(90);
+  y -= 6;
+  drawLine(page, tableLeft, y, tableRight, y, 1, BORDER_GREY);
+  y -= 18;
+
+  const totalsRow = (label, value, isBold = false, color = TEXT_GREY) => {
+    drawRightText(page, label, tableRight - 150, y, 11, isBold ? bold : font, color);
+    drawRightText(page, `£${value.toFixed(2)}`, tableRight, y, 11, isBold ? bold : font, color);
+    y -= 14;
+  };
+  totalsRow("Invoiced:", statement.totals.invoiced);
+  totalsRow("Payments received:", statement.totals.paid);
+  if (statement.totals.refunded) totalsRow("Refunds:", statement.totals.refunded);
+  totalsRow(
+    statement.closing_balance < 0 ? "In credit:" : "Balance due:",
+    Math.abs(statement.closing_balance),
+    true,
+    BRAND_BLUE
+  );
+  y -= 26;
+
+  /* ------------------------------------------------------------
+     FOOTER
+  ------------------------------------------------------------ */
+  drawText(page, "Thank you for your business!", margin, y, 11, bold, BRAND_BLUE);
+  y -= 14;
+  drawText(
+    page,
+    "Please contact PJH Web Services if anything on this statement looks wrong.",
+    margin,
+    y,
+    9,
+    font,
+    TEXT_GREY
+  );
+  y -= 10;
+  drawLine(page, margin, y, width - margin, y, 1, BORDER_GREY);
+  y -= 14;
+  drawText(page, "This statement was automatically generated by PJH Web Services.", margin, y, 8, font, rgb(0.45, 0.45, 0.45));
+
+  return pdfDoc.save();
+}
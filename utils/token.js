@@ -20,3 +20,12 @@ import crypto from "crypto";
 export function generateResponseToken() {
   return crypto.randomBytes(32).toString("hex");
 }
+
+/**
+ * Hash a token for storage so a database leak does not expose live links
+ * @param {string} token
+ * @returns {string} 64-character hex SHA-256 digest
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
@@ -0,0 +1,181 @@
+/**
+ * ============================================================
+ * PJH Web Services — TOTP Utility (RFC 4226 / RFC 6238)
+ * ============================================================
+ * Offline one-time passwords for admin two-factor auth.
+ * No network or third-party libraries — HMAC via node:crypto.
+ *
+ * Example use:
+ *   const secret = generateSecret();
+ *   const uri = buildOtpauthUri({ secret, account: "pj@pjh.co.uk" });
+ *   verifyTOTP(secret, "123456"); // → matched time step or null
+ * ============================================================
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const DEFAULTS = {
+  step: 30,
+  digits: 6,
+  algorithm: "sha1",
+  t0: 0,
+};
+
+/* ------------------------------------------------------------
+   Base32 (RFC 4648, no padding)
+------------------------------------------------------------ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input || "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error(`Invalid base32 character: ${char}`);
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/* ------------------------------------------------------------
+   Secrets + provisioning
+------------------------------------------------------------ */
+
+/**
+ * Generate a random base32 secret (160 bits by default, as RFC 4226 recommends).
+ */
+export function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan as a QR code.
+ */
+export function buildOtpauthUri({ secret, account, issuer = "PJH Web Services", ...opts }) {
+  const { step, digits, algorithm } = { ...DEFAULTS, ...opts };
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(step),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/* ------------------------------------------------------------
+   HOTP / TOTP
+------------------------------------------------------------ */
+
+/**
+ * RFC 4226 HOTP value for a counter.
+ * @param {Buffer} key - Raw secret bytes
+ * @param {number} counter
+ */
+export function generateHOTP(key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(msg).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+function toKey(secret) {
+  return Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+}
+
+function timeStep(time, { step, t0 }) {
+  return Math.floor((Math.floor(time / 1000) - t0) / step);
+}
+
+/**
+ * RFC 6238 TOTP value.
+ * @param {string|Buffer} secret - base32 string or raw bytes
+ * @param {{ time?: number, step?: number, digits?: number, algorithm?: string, t0?: number }} opts
+ *   time is in milliseconds (defaults to now)
+ */
+export function generateTOTP(secret, opts = {}) {
+  const o = { ...DEFAULTS, ...opts };
+  const counter = timeStep(opts.time ?? Date.now(), o);
+  return generateHOTP(toKey(secret), counter, o);
+}
+
+/**
+ * Verify a TOTP token within ±window steps of the current time.
+ * @returns {number|null} The matched time step (store it to block replays), or null.
+ */
+export function verifyTOTP(secret, token, opts = {}) {
+  const o = { ...DEFAULTS, window: 1, ...opts };
+  const candidate = String(token || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${o.digits}}$`).test(candidate)) return null;
+
+  const key = toKey(secret);
+  const current = timeStep(opts.time ?? Date.now(), o);
+
+  for (let i = -o.window; i <= o.window; i++) {
+    const expected = generateHOTP(key, current + i, o);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return current + i;
+    }
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------
+   Recovery codes
+------------------------------------------------------------ */
+
+/**
+ * Generate single-use backup codes, e.g. "4f9a-2c1e-b7d0".
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString("hex").match(/.{4}/g).join("-")
+  );
+}
+
+/**
+ * Normalise + hash a recovery code for storage / lookup.
+ */
+export function hashRecoveryCode(code) {
+  const normalised = String(code || "").toLowerCase().replace(/[^a-f0-9]/g, "");
+  return crypto.createHash("sha256").update(normalised).digest("hex");
+}
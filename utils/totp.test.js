@@ -0,0 +1,58 @@
+/**
+ * ============================================================
+ * PJH Web Services — TOTP Utility Tests
+ * ============================================================
+ * RFC 6238 Appendix B test vectors (SHA-1, SHA-256, SHA-512;
+ * 8 digits, 30s step) plus base32 and verification round trips.
+ * Run: npm test
+ * ============================================================
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { base32Encode, base32Decode, generateTOTP, verifyTOTP } from "./totp.js";
+
+const RFC_SECRET = Buffer.from("12345678901234567890", "ascii");
+
+// Appendix B uses a seed as long as each hash's digest
+const RFC_SECRETS = {
+  sha1: RFC_SECRET,
+  sha256: Buffer.from("12345678901234567890123456789012", "ascii"),
+  sha512: Buffer.from("1234567890".repeat(6) + "1234", "ascii"),
+};
+
+// [Unix time (seconds), expected TOTP per algorithm]
+const RFC_6238_VECTORS = [
+  [59, { sha1: "94287082", sha256: "46119246", sha512: "90693936" }],
+  [1111111109, { sha1: "07081804", sha256: "68084774", sha512: "25091201" }],
+  [1111111111, { sha1: "14050471", sha256: "67062674", sha512: "99943326" }],
+  [1234567890, { sha1: "89005924", sha256: "91819424", sha512: "93441116" }],
+  [2000000000, { sha1: "69279037", sha256: "90698825", sha512: "38618901" }],
+  [20000000000, { sha1: "65353130", sha256: "77737706", sha512: "47863826" }],
+];
+
+for (const algorithm of Object.keys(RFC_SECRETS)) {
+  test(`generateTOTP matches the RFC 6238 ${algorithm.toUpperCase()} vectors`, () => {
+    for (const [seconds, expected] of RFC_6238_VECTORS) {
+      const token = generateTOTP(RFC_SECRETS[algorithm], { time: seconds * 1000, digits: 8, algorithm });
+      assert.equal(token, expected[algorithm], `T=${seconds}`);
+    }
+  });
+}
+
+test("base32 secrets decode to the same key", () => {
+  const secret = base32Encode(RFC_SECRET);
+  assert.deepEqual(base32Decode(secret), RFC_SECRET);
+  assert.equal(generateTOTP(secret, { time: 59 * 1000, digits: 8 }), "94287082");
+});
+
+test("verifyTOTP accepts adjacent steps and rejects others", () => {
+  const time = 1111111109 * 1000;
+  const token = generateTOTP(RFC_SECRET, { time });
+  const step = Math.floor(time / 1000 / 30);
+
+  assert.equal(verifyTOTP(RFC_SECRET, token, { time }), step);
+  assert.equal(verifyTOTP(RFC_SECRET, token, { time: time + 30 * 1000 }), step);
+  assert.equal(verifyTOTP(RFC_SECRET, token, { time: time + 90 * 1000 }), null);
+  assert.equal(verifyTOTP(RFC_SECRET, "12345", { time }), null);
+});
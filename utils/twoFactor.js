@@ -0,0 +1,89 @@
+/**
+ * ============================================================
+ * PJH Web Services — Admin Two-Factor Helpers
+ * ============================================================
+ * Database-side 2FA logic shared by the auth routes:
+ *   • Role policy lookup (which roles must use TOTP)
+ *   • Second-factor verification (TOTP with replay guard,
+ *     or a single-use recovery code)
+ *   • Recovery code issuing
+ * ============================================================
+ */
+
+import pool from "../db.js";
+import { verifyTOTP, generateRecoveryCodes, hashRecoveryCode } from "./totp.js";
+
+/**
+ * Whether a role must have TOTP enabled to sign in.
+ */
+export async function roleRequiresTotp(role) {
+  const { rows } = await pool.query(
+    "SELECT require_totp FROM admin_role_policies WHERE role = $1;",
+    [role]
+  );
+  return rows[0]?.require_totp === true;
+}
+
+/**
+ * Verify a TOTP code or recovery code for a user with TOTP enabled.
+ * TOTP steps are recorded so the same code cannot be replayed;
+ * recovery codes are burned on use.
+ * @returns {Promise<"totp"|"recovery"|null>} Which factor matched, or null.
+ */
+export async function verifySecondFactor(user, code) {
+  if (!user?.totp_enabled || !user.totp_secret || !code) return null;
+
+  const step = verifyTOTP(user.totp_secret, code);
+  if (step !== null) {
+    const { rowCount } = await pool.query(
+      `UPDATE admin_users SET totp_last_step = $1
+       WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1);`,
+      [step, user.id]
+    );
+    return rowCount ? "totp" : null;
+  }
+
+  const { rowCount } = await pool.query(
+    `UPDATE admin_recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM admin_recovery_codes
+       WHERE admin_user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     );`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  if (rowCount) {
+    console.warn(`🔑 Recovery code used by ${user.email}`);
+    return "recovery";
+  }
+
+  return null;
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set.
+ * @returns {Promise<string[]>} Plain codes — shown to the user once, never stored.
+ */
+export async function issueRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM admin_recovery_codes WHERE admin_user_id = $1;", [userId]);
+    for (const code of codes) {
+      await client.query(
+        "INSERT INTO admin_recovery_codes (admin_user_id, code_hash) VALUES ($1,$2);",
+        [userId, hashRecoveryCode(code)]
+      );
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return codes;
+}
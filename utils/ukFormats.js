@@ -0,0 +1,141 @@
+/**
+ * ============================================================
+ * PJH Web Services — UK Contact Detail Formats
+ * ============================================================
+ * Offline validation + normalisation for customer details that
+ * end up on invoices and quotes:
+ *
+ *   • postcodes    → upper case, one space before the inward
+ *                    code ("sw1a1aa" → "SW1A 1AA")
+ *   • phones       → E.164, UK by default ("07700 900123" →
+ *                    "+447700900123")
+ *   • VAT numbers  → "GB" + digits, checked with the HMRC
+ *                    mod 97 / mod 9755 check-digit algorithm
+ *
+ * Each normaliser returns null for blank input and false when
+ * the value is present but invalid.
+ * ============================================================
+ */
+
+/* ------------------------------------------------------------
+   📮 Postcodes
+   Outward code formats A9, A99, AA9, AA99, A9A, AA9A with the
+   Royal Mail letter restrictions per position; inward code 9AA.
+------------------------------------------------------------ */
+const OUTWARD_PATTERN =
+  /^(?:[A-PR-UWYZ]\d\d?|[A-PR-UWYZ][A-HK-Y]\d\d?|[A-PR-UWYZ]\d[A-HJKPS-UW]|[A-PR-UWYZ][A-HK-Y]\d[ABEHMNPRV-Y])$/;
+const INWARD_PATTERN = /^\d[ABD-HJLNP-UW-Z]{2}$/;
+
+export function normaliseUkPostcode(value) {
+  const compact = String(value ?? "").replace(/\s+/g, "").toUpperCase();
+  if (!compact) return null;
+  if (compact === "GIR0AA") return "GIR 0AA";
+
+  const outward = compact.slice(0, -3);
+  const inward = compact.slice(-3);
+  if (!OUTWARD_PATTERN.test(outward) || !INWARD_PATTERN.test(inward)) return false;
+  return `${outward} ${inward}`;
+}
+
+/* ------------------------------------------------------------
+   📞 Phone numbers → E.164
+   Accepts national UK numbers (07…, 01…, 02…), +44 / 0044,
+   the "+44 (0)…" habit and other international numbers.
+------------------------------------------------------------ */
+export function normalisePhoneE164(value, { defaultCountryCode = "44" } = {}) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  if (!/^\+?[\d\s().-]+$/.test(raw)) return false;
+
+  const cleaned = raw.replace(/\(0\)/g, "").replace(/[\s().-]/g, "");
+  let digits;
+  if (cleaned.startsWith("+")) digits = cleaned.slice(1);
+  else if (cleaned.startsWith("00")) digits = cleaned.slice(2);
+  else if (cleaned.startsWith("0")) digits = defaultCountryCode + cleaned.slice(1);
+  else digits = defaultCountryCode + cleaned;
+
+  if (!/^[1-9]\d+$/.test(digits)) return false;
+
+  if (digits.startsWith("44")) {
+    // "+44 07700…" — drop the trunk zero
+    const national = digits.slice(2).replace(/^0/, "");
+    if (!/^[1-9]\d{8,9}$/.test(national)) return false;
+    return `+44${national}`;
+  }
+
+  return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : false;
+}
+
+/* ------------------------------------------------------------
+   🧾 VAT numbers
+   GB / XI prefix (optional on input) followed by:
+     • 9 digits, or 12 for branch traders (check digits on the
+       first 9) — weights 8…2 on the first seven digits plus
+       the final two must be divisible by 97, either as-is
+       (mod 97) or after adding 55 (mod 9755)
+     • GD000–GD499 government departments
+     • HA500–HA999 health authorities
+------------------------------------------------------------ */
+export function isValidGbVatCheckDigits(digits) {
+  if (!/^\d{9}$/.test(digits) || /^0+$/.test(digits)) return false;
+
+  const weights = [8, 7, 6, 5, 4, 3, 2];
+  const total =
+    weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0) +
+    Number(digits.slice(7));
+  return total % 97 === 0 || (total + 55) % 97 === 0;
+}
+
+export function normaliseVatNumber(value) {
+  const compact = String(value ?? "").replace(/[\s.-]/g, "").toUpperCase();
+  if (!compact) return null;
+
+  const match = compact.match(/^(GB|XI)?(.+)$/);
+  const prefix = match[1] || "GB";
+  const number = match[2];
+
+  if (/^GD\d{3}$/.test(number)) return Number(number.slice(2)) < 500 ? prefix + number : false;
+  if (/^HA\d{3}$/.test(number)) return Number(number.slice(2)) >= 500 ? prefix + number : false;
+  if (!/^(\d{9}|\d{12})$/.test(number)) return false;
+
+  return isValidGbVatCheckDigits(number.slice(0, 9)) ? prefix + number : false;
+}
+
+/**
+ * "GB123456789" → "GB 123 4567 89" for printing.
+ */
+export function formatVatNumber(vatNumber) {
+  const match = String(vatNumber || "").match(/^([A-Z]{2})(\d{3})(\d{4})(\d{2})(\d{3})?$/);
+  if (!match) return vatNumber || "";
+  return match.slice(1).filter(Boolean).join(" ");
+}
+
+/* ------------------------------------------------------------
+   ✅ Schema checks — see utils/schemas.js
+------------------------------------------------------------ */
+export const checkUkPostcode = (v) =>
+  normaliseUkPostcode(v) === false ? "must be a valid UK postcode" : null;
+
+export const checkPhoneNumber = (v) =>
+  normalisePhoneE164(v) === false ? "must be a valid phone number" : null;
+
+export const checkVatNumber = (v) =>
+  normaliseVatNumber(v) === false ? "must be a valid UK VAT number" : null;
+
+/**
+ * Normalise the UK-format fields of a customer-shaped object.
+ * Blank values become null; invalid ones are kept as typed
+ * (validation should have rejected them already).
+ */
+export function normaliseCustomerDetails(details) {
+  const result = { ...details };
+  const apply = (field, normalise) => {
+    if (result[field] === undefined) return;
+    const value = normalise(result[field]);
+    result[field] = value === false ? String(result[field]).trim() : value;
+  };
+  apply("postcode", normaliseUkPostcode);
+  apply("phone", normalisePhoneE164);
+  apply("vat_number", normaliseVatNumber);
+  return result;
+}
@@ -0,0 +1,162 @@
+/**
+ * ============================================================
+ * PJH Web Services — Request Validation
+ * ============================================================
+ * Tiny declarative schema checker shared by every router.
+ * A schema maps field names to rules:
+ *
+ *   {
+ *     name:  { type: "string", required: true, max: 255 },
+ *     email: { type: "email", required: true },
+ *     items: { type: "array", items: { type: "object", fields: {...} } },
+ *   }
+ *
+ * Rule options:
+ *   type      string | email | number | integer | id | boolean |
+ *             date | token | array | object
+ *   required  value must be present (not undefined / null / "")
+ *   min, max  numeric range, or length for strings / arrays
+ *   oneOf     allowed values
+ *   pattern   RegExp for strings
+ *   items     rule applied to each array element
+ *   fields    nested schema for objects
+ *   check     (value) => error message | null, for cross-field rules
+ *
+ * Unknown fields are ignored. Errors are collected, not thrown:
+ *   [{ field: "items[0].qty", location: "body", message: "must be a number" }]
+ * ============================================================
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ID_PATTERN = /^[1-9]\d{0,9}$/;
+const MAX_ID = 2147483647; // Postgres INTEGER
+
+function isMissing(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+/**
+ * Check whether a value is a valid database ID (positive INTEGER).
+ */
+export function isValidId(value) {
+  return ID_PATTERN.test(String(value)) && Number(value) <= MAX_ID;
+}
+
+/* ------------------------------------------------------------
+   🔍 checkRule()
+   Validates one value, pushing any problems onto errors.
+------------------------------------------------------------ */
+function checkRule(value, rule, path, location, errors) {
+  const fail = (message) => {
+    errors.push({ field: path, location, message });
+  };
+
+  if (isMissing(value)) {
+    if (rule.required) fail("is required");
+    return;
+  }
+
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "token": {
+      if (typeof value !== "string") return fail("must be text");
+      const text = value.trim();
+      if (rule.required && !text) return fail("is required");
+      if (rule.type === "email" && !EMAIL_PATTERN.test(text)) {
+        return fail("must be a valid email address");
+      }
+      if (rule.type === "token" && !/^[A-Za-z0-9_-]{16,128}$/.test(text)) {
+        return fail("is not a valid token");
+      }
+      if (rule.min !== undefined && text.length < rule.min) {
+        return fail(`must be at least ${rule.min} characters`);
+      }
+      if (rule.max !== undefined && text.length > rule.max) {
+        return fail(`must be at most ${rule.max} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(text)) return fail("has an invalid format");
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      const number = toNumber(value);
+      if (!Number.isFinite(number)) return fail("must be a number");
+      if (rule.type === "integer" && !Number.isInteger(number)) {
+        return fail("must be a whole number");
+      }
+      if (rule.min !== undefined && number < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && number > rule.max) return fail(`must be at most ${rule.max}`);
+      break;
+    }
+
+    case "id":
+      if (!isValidId(value)) return fail("must be a numeric ID");
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+
+    case "date":
+      if (typeof value !== "string" || isNaN(Date.parse(value))) {
+        return fail("must be a valid date");
+      }
+      break;
+
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be a list");
+      const list = value;
+      if (rule.min !== undefined && list.length < rule.min) {
+        return fail(`must contain at least ${rule.min} item(s)`);
+      }
+      if (rule.max !== undefined && list.length > rule.max) {
+        return fail(`must contain at most ${rule.max} item(s)`);
+      }
+      if (rule.items) {
+        list.forEach((item, i) => checkRule(item, rule.items, `${path}[${i}]`, location, errors));
+      }
+      break;
+    }
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      if (rule.fields) collectErrors(value, rule.fields, location, errors, `${path}.`);
+      break;
+
+    default:
+      break;
+  }
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return fail(`must be one of: ${rule.oneOf.join(", ")}`);
+  }
+
+  const message = rule.check?.(value);
+  if (message) fail(message);
+}
+
+function collectErrors(data, schema, location, errors, prefix = "") {
+  for (const [field, rule] of Object.entries(schema)) {
+    checkRule(data?.[field], rule, `${prefix}${field}`, location, errors);
+  }
+  return errors;
+}
+
+/* ------------------------------------------------------------
+   ✅ validateSchema()
+   @param {object} data      - req.body / req.query / req.params
+   @param {object} schema    - field → rule map
+   @param {string} location  - "body" | "query" | "params"
+   @returns {Array<{field:string, location:string, message:string}>}
+------------------------------------------------------------ */
+export function validateSchema(data, schema, location = "body") {
+  return collectErrors(data || {}, schema, location, []);
+}